@@ -11,534 +11,4943 @@
  *   UBER_CLIENT_ID=...
  *   UBER_CLIENT_SECRET=...
  *   UBER_CUSTOMER_ID=...
+ *   UBER_BACKEND=uber            # uber | simulator (in-memory Uber Direct stand-in, no credentials needed)
+ *   UBER_WEBHOOK_SIGNING_KEY=... # webhook HMAC key (simulator signs with it too)
+ *   UBER_WEBHOOK_DEV_MODE=false  # true = accept unsigned webhook events (local dev only)
+ *   UBER_WEBHOOK_TOLERANCE_SEC=600 # reject webhook events older than this
+ *   UBER_SIM_STEP_MS=15000       # simulator: time between delivery status transitions
+ *   UBER_TIMEOUT_MS=10000        # per-call timeouts (also UBER_TOKEN_/QUOTE_/CREATE_TIMEOUT_MS)
+ *   UBER_MAX_RETRIES=3           # retries for 429/5xx/network errors (exponential backoff)
+ *   UBER_BREAKER_THRESHOLD=5     # consecutive Uber failures before the circuit opens
+ *   UBER_BREAKER_COOLDOWN_MS=30000
+ *   GEOCODER=none                # none | fixture | nominatim | google (GOOGLE_MAPS_API_KEY)
+ *   GEOCODER_FIXTURES=./geocode-fixtures.json # fixture provider data (offline/tests)
+ *   RECONCILE_ENABLED=true       # poll Uber for non-terminal deliveries in case a webhook was missed
+ *   RECONCILE_INTERVAL_MS=60000  # time between reconciliation runs
+ *   RECONCILE_BATCH=25           # max deliveries checked per run
+ *   ADMIN_EMAIL=... ADMIN_PASSWORD=... # first admin account, created on startup when there are none
+ *   AUTH_SESSION_TTL_HOURS=12    # admin UI login session lifetime
+ *   LEGACY_STOCK_WAREHOUSE_ID=... # warehouse that receives the old Item.qty counts on first start (see migrateLegacyStock)
+ *   MANIFEST_MAX_WEIGHT_KG=30    # courier vehicle limit for a whole order (checked before quoting)
+ *   MANIFEST_MAX_VOLUME_L=250    # same, for the summed item volume
+ *   LOG_LEVEL=info               # debug | info | warn | error (JSON lines; secrets and PII are redacted)
+ *   PUBLIC_URL=https://shop.example.com # base of the customer tracking links (/track/:token)
+ *   BRAND_NAME=... BRAND_COLOR=#111827 BRAND_LOGO_URL=... # tracking page + customer message branding
+ *   NOTIFY_SMS=none              # none | console | file | http | twilio (TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, TWILIO_FROM)
+ *   NOTIFY_EMAIL=none            # none | console | file | http | sendgrid (SENDGRID_API_KEY, NOTIFY_EMAIL_FROM)
+ *   NOTIFY_FILE=./notifications.log # file adapter: one JSON line per message (local testing)
+ *   NOTIFY_HTTP_URL=...          # http adapter: POSTs { channel, to, subject, body, ... } (NOTIFY_HTTP_TOKEN as Bearer)
+ *   NOTIFY_TEMPLATES=...         # optional JSON file overriding message templates per event
+ *   NOTIFY_TIME_ZONE=America/Los_Angeles # time zone for ETAs in messages (default: server's)
+ *   NOTIFY_MAX_ATTEMPTS=5        # send attempts per message before it is marked failed
  */
 
 require("dotenv").config();
 const express = require("express");
 const axios = require("axios");
+const crypto = require("crypto");
+const { AsyncLocalStorage } = require("async_hooks");
+const { EventEmitter } = require("events");
+const fs = require("fs");
 const mongoose = require("mongoose");
 
 const app = express();
-app.use(express.json({ limit: "2mb" }));
+app.use(
+    express.json({
+        limit: "2mb",
+        verify: (req, res, buf) => {
+            req.rawBody = buf; // webhook signatures are computed over the exact bytes Uber sent
+        },
+    })
+);
+
+// Request id for logs and the audit trail; a caller-supplied X-Request-Id is kept.
+// Everything the request does (Uber calls, webhook processing) logs under the same id.
+app.use((req, res, next) => {
+    req.id = String(req.get("x-request-id") || "").slice(0, 100) || crypto.randomUUID();
+    res.set("X-Request-Id", req.id);
+
+    const started = Date.now();
+    res.on("finish", () => {
+        const level = req.path === "/api/health" ? "debug" : res.statusCode >= 500 ? "error" : "info";
+        logger[level]("request", {
+            requestId: req.id,
+            method: req.method,
+            path: req.originalUrl.split("?")[0],
+            status: res.statusCode,
+            durationMs: Date.now() - started,
+            actor: req.auth ? req.auth.name : undefined,
+        });
+    });
+
+    logContext.run({ requestId: req.id }, next);
+});
 
 // ====================== CONFIG ======================
 
 const PORT = process.env.PORT || 3000;
 
+const UBER_SIMULATOR = process.env.UBER_BACKEND === "simulator";
+const UBER_SIM_URL = `http://127.0.0.1:${PORT}/sim/uber`;
+
 const UBER = {
-    BASE_URL: "https://api.uber.com",
-    TOKEN_URL: "https://login.uber.com/oauth/v2/token",
-    CLIENT_ID: process.env.UBER_CLIENT_ID,
-    CLIENT_SECRET: process.env.UBER_CLIENT_SECRET,
-    CUSTOMER_ID: process.env.UBER_CUSTOMER_ID,
+    BACKEND: UBER_SIMULATOR ? "simulator" : "uber",
+    BASE_URL: UBER_SIMULATOR ? UBER_SIM_URL : "https://api.uber.com",
+    TOKEN_URL: UBER_SIMULATOR ? `${UBER_SIM_URL}/oauth/v2/token` : "https://login.uber.com/oauth/v2/token",
+    CLIENT_ID: process.env.UBER_CLIENT_ID || (UBER_SIMULATOR ? "sim_client" : undefined),
+    CLIENT_SECRET: process.env.UBER_CLIENT_SECRET || (UBER_SIMULATOR ? "sim_secret" : undefined),
+    CUSTOMER_ID: process.env.UBER_CUSTOMER_ID || (UBER_SIMULATOR ? "sim_customer" : undefined),
+    WEBHOOK_SIGNING_KEY: process.env.UBER_WEBHOOK_SIGNING_KEY || (UBER_SIMULATOR ? "sim_signing_key" : undefined),
     SCOPE: "eats.deliveries",
 };
 
+const UBER_HTTP = {
+    TIMEOUTS: {
+        default: Number(process.env.UBER_TIMEOUT_MS) || 10000,
+        token: Number(process.env.UBER_TOKEN_TIMEOUT_MS) || 5000,
+        quote: Number(process.env.UBER_QUOTE_TIMEOUT_MS) || 10000,
+        create: Number(process.env.UBER_CREATE_TIMEOUT_MS) || 20000,
+        get: Number(process.env.UBER_TIMEOUT_MS) || 10000,
+        cancel: Number(process.env.UBER_TIMEOUT_MS) || 10000,
+    },
+    MAX_RETRIES: Number(process.env.UBER_MAX_RETRIES ?? 3),
+    BACKOFF_BASE_MS: Number(process.env.UBER_BACKOFF_BASE_MS) || 500,
+    BACKOFF_MAX_MS: Number(process.env.UBER_BACKOFF_MAX_MS) || 8000,
+    MAX_RETRY_AFTER_MS: 30000, // a longer Retry-After is surfaced to the caller instead of waited out
+    BREAKER_THRESHOLD: Number(process.env.UBER_BREAKER_THRESHOLD) || 5,
+    BREAKER_COOLDOWN_MS: Number(process.env.UBER_BREAKER_COOLDOWN_MS) || 30000,
+};
+
+const WEBHOOK = {
+    DEV_MODE: process.env.UBER_WEBHOOK_DEV_MODE === "true",
+    TOLERANCE_SEC: Number(process.env.UBER_WEBHOOK_TOLERANCE_SEC) || 600,
+};
+
+const GEO = {
+    PROVIDER: process.env.GEOCODER || "none", // none | fixture | nominatim | google
+    FIXTURES_PATH: process.env.GEOCODER_FIXTURES || "./geocode-fixtures.json",
+    GOOGLE_API_KEY: process.env.GOOGLE_MAPS_API_KEY,
+    TIMEOUT_MS: 5000,
+};
+
+const RECONCILE = {
+    ENABLED: process.env.RECONCILE_ENABLED !== "false",
+    INTERVAL_MS: Number(process.env.RECONCILE_INTERVAL_MS) || 60000,
+    BATCH: Number(process.env.RECONCILE_BATCH) || 25,
+    BACKOFF_BASE_MS: 60 * 1000, // next check after a change; doubles per unchanged check
+    BACKOFF_MAX_MS: 30 * 60 * 1000,
+    SPACING_MS: 250, // pause between Uber calls within a run
+};
+
+const AUTH = {
+    SESSION_COOKIE: "sid",
+    SESSION_TTL_MS: (Number(process.env.AUTH_SESSION_TTL_HOURS) || 12) * 3600 * 1000,
+    BOOTSTRAP_EMAIL: process.env.ADMIN_EMAIL,
+    BOOTSTRAP_PASSWORD: process.env.ADMIN_PASSWORD,
+    LOGIN_MAX_FAILURES: 5, // per email + IP within LOGIN_WINDOW_MS
+    LOGIN_WINDOW_MS: 15 * 60 * 1000,
+};
+
+// Courier vehicle limits; item weights are grams and dimensions centimetres (Uber's units)
+const MANIFEST = {
+    MAX_TOTAL_WEIGHT_G: (Number(process.env.MANIFEST_MAX_WEIGHT_KG) || 30) * 1000,
+    MAX_TOTAL_VOLUME_CM3: (Number(process.env.MANIFEST_MAX_VOLUME_L) || 250) * 1000,
+    MAX_ITEM_WEIGHT_G: 20 * 1000,
+    MAX_SIDE_CM: 120,
+};
+
+const LOG = {
+    LEVEL: (process.env.LOG_LEVEL || "info").toLowerCase(),
+};
+
+// Customer-facing tracking page (see PUBLIC TRACKING)
+const BRAND = {
+    PUBLIC_URL: (process.env.PUBLIC_URL || `http://localhost:${PORT}`).replace(/\/+$/, ""),
+    NAME: process.env.BRAND_NAME || "Our store", // also the sender name in customer messages
+    COLOR: /^#[0-9a-f]{6}$/i.test(process.env.BRAND_COLOR || "") ? process.env.BRAND_COLOR : "#111827",
+    LOGO_URL: /^https?:\/\//.test(process.env.BRAND_LOGO_URL || "") ? process.env.BRAND_LOGO_URL : null,
+};
+
+// Customer notifications on delivery status changes (see NOTIFICATIONS)
+const NOTIFY = {
+    ADAPTERS: { sms: process.env.NOTIFY_SMS || "none", email: process.env.NOTIFY_EMAIL || "none" },
+    FILE_PATH: process.env.NOTIFY_FILE || "./notifications.log",
+    HTTP_URL: process.env.NOTIFY_HTTP_URL,
+    HTTP_TOKEN: process.env.NOTIFY_HTTP_TOKEN,
+    TWILIO_ACCOUNT_SID: process.env.TWILIO_ACCOUNT_SID,
+    TWILIO_AUTH_TOKEN: process.env.TWILIO_AUTH_TOKEN,
+    TWILIO_FROM: process.env.TWILIO_FROM,
+    SENDGRID_API_KEY: process.env.SENDGRID_API_KEY,
+    EMAIL_FROM: process.env.NOTIFY_EMAIL_FROM,
+    TEMPLATES_PATH: process.env.NOTIFY_TEMPLATES,
+    TIME_ZONE: process.env.NOTIFY_TIME_ZONE || undefined,
+    TIMEOUT_MS: 10000,
+    MAX_ATTEMPTS: Number(process.env.NOTIFY_MAX_ATTEMPTS) || 5,
+    RETRY_BASE_MS: 30 * 1000, // doubles per failed attempt
+    RETRY_MAX_MS: 30 * 60 * 1000,
+    LEASE_MS: 2 * 60 * 1000, // a message being sent isn't picked up again for this long
+    INTERVAL_MS: 15 * 1000,
+    BATCH: 20,
+};
+
 const MONGO_URI = process.env.MONGO_URI || "mongodb://127.0.0.1:27017/uber_direct";
 
+// ====================== LOGGING ======================
+// One JSON object per line, stdout for debug/info and stderr for warn/error:
+//   { time, level, msg, requestId?, ...fields }
+// The request id (plus anything added with addLogContext) follows the async call chain of the
+// request or background job that wrote the line. Fields are redacted before they are written:
+// credentials are dropped, phone numbers keep their last two digits and addresses are removed.
+// Customer tracking tokens (/track/<token> in request paths and message text) are masked too.
+
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const logContext = new AsyncLocalStorage();
+
+const SECRET_KEY = /authorization|cookie|password|secret|token|signing_?key|api_?key|^key$/i;
+const PHONE_KEY = /phone/i;
+const ADDRESS_KEY = /address|^line[12]$|^unit$|^street|^postal_code$|^zip/i;
+
+const maskPhone = (value) => String(value).replace(/\d(?=(?:\D*\d){2})/g, "*");
+
+function redactString(text) {
+    return text
+        .replace(/Bearer\s+[\w.~+\/=-]+/gi, "Bearer [redacted]")
+        .replace(/\/\/[^/\s:@]+:[^/\s@]+@/g, "//[redacted]@") // credentials in connection strings
+        .replace(/\/track\/[A-Za-z0-9_-]{20,}/g, "/track/[redacted]") // the token is all that guards a tracking page
+        .replace(/\+\d{8,15}\b/g, maskPhone);
+}
+
+// Only what helps debugging: never the axios config (it carries the Authorization header)
+function serializeError(err) {
+    const out = { name: err.name, message: redactString(String(err.message)) };
+    for (const k of ["code", "status", "uberStatus", "uberCode", "retryAfter"]) if (err[k] != null) out[k] = err[k];
+    if (err.fields) out.fields = redact(err.fields);
+    if (err.details) out.details = redact(err.details);
+    if (err.config) out.request = `${String(err.config.method).toUpperCase()} ${String(err.config.url).split("?")[0]}`;
+    if (err.response) out.response = { status: err.response.status, data: redact(err.response.data) };
+    if (!(err instanceof AppError)) out.stack = redactString(String(err.stack));
+    return out;
+}
+
+function redact(value, depth = 0) {
+    if (value == null || typeof value === "number" || typeof value === "boolean") return value;
+    if (typeof value === "string") return redactString(value);
+    if (typeof value === "function") return undefined;
+    if (typeof value !== "object") return String(value);
+    if (value instanceof Error) return serializeError(value);
+    if (value instanceof Date) return value.toISOString();
+    if (Buffer.isBuffer(value)) return `[${value.length} bytes]`;
+    if (depth > 8) return "[truncated]";
+    if (typeof value.toJSON === "function") return redact(value.toJSON(), depth + 1); // documents, ObjectIds
+    if (Array.isArray(value)) return value.map((v) => redact(v, depth + 1));
+
+    const out = {};
+    for (const [k, v] of Object.entries(value)) {
+        if (v == null) out[k] = v;
+        else if (SECRET_KEY.test(k)) out[k] = "[redacted]";
+        else if (ADDRESS_KEY.test(k)) out[k] = "[redacted]";
+        else if (PHONE_KEY.test(k) && typeof v !== "object") out[k] = maskPhone(v);
+        else out[k] = redact(v, depth + 1);
+    }
+    return out;
+}
+
+function writeLog(level, msg, fields) {
+    if (LOG_LEVELS[level] < (LOG_LEVELS[LOG.LEVEL] ?? LOG_LEVELS.info)) return;
+    const entry = { time: new Date().toISOString(), level, msg, ...logContext.getStore(), ...redact(fields || {}) };
+    (LOG_LEVELS[level] >= LOG_LEVELS.warn ? process.stderr : process.stdout).write(JSON.stringify(entry) + "\n");
+}
+
+const logger = {
+    debug: (msg, fields) => writeLog("debug", msg, fields),
+    info: (msg, fields) => writeLog("info", msg, fields),
+    warn: (msg, fields) => writeLog("warn", msg, fields),
+    error: (msg, fields) => writeLog("error", msg, fields),
+};
+
+// Background work (timers, sweeps) gets its own correlation id
+function withLogContext(fields, fn) {
+    return logContext.run({ requestId: crypto.randomUUID(), ...fields }, fn);
+}
+
+// Adds fields to every later line of the current request / job
+function addLogContext(fields) {
+    const store = logContext.getStore();
+    if (store) Object.assign(store, fields);
+}
+
+const currentRequestId = () => logContext.getStore()?.requestId;
+
 // ====================== MONGODB ======================
 
-mongoose
-    .connect(MONGO_URI)
-    .then(() => console.log("✅ MongoDB Connected:", MONGO_URI))
-    .catch((err) => console.error("❌ MongoDB Error:", err.message));
+function connectMongo() {
+    return mongoose
+        .connect(MONGO_URI)
+        .then(() => {
+            logger.info("MongoDB connected", { uri: MONGO_URI });
+            return migrateLegacyAddresses().then(migrateLegacyStock).then(ensureBootstrapAdmin);
+        })
+        .catch((err) => logger.error("MongoDB connection failed", { err }));
+}
+
+// ====================== ADDRESSES ======================
+// Structured address: line1 / line2 / unit / city / state / postal_code / country (ISO-2).
+// Rules are regex *sources* so the admin UI validates with exactly the same patterns.
+
+const ADDRESS_RULES = {
+    US: { postal: "^\\d{5}(-\\d{4})?$", state: "^[A-Z]{2}$", stateRequired: true },
+    CA: { postal: "^[A-Z]\\d[A-Z] \\d[A-Z]\\d$", state: "^[A-Z]{2}$", stateRequired: true },
+    MX: { postal: "^\\d{5}$", stateRequired: true },
+    GB: { postal: "^[A-Z]{1,2}\\d[A-Z\\d]? \\d[A-Z]{2}$", stateRequired: false },
+    AU: { postal: "^\\d{4}$", state: "^(NSW|VIC|QLD|WA|SA|TAS|ACT|NT)$", stateRequired: true },
+    IN: { postal: "^\\d{6}$", stateRequired: true },
+    SA: { postal: "^\\d{5}(-\\d{4})?$", stateRequired: false },
+};
+
+const COUNTRY_ALIASES = {
+    USA: "US",
+    "UNITED STATES": "US",
+    CANADA: "CA",
+    MEXICO: "MX",
+    UK: "GB",
+    "UNITED KINGDOM": "GB",
+    AUSTRALIA: "AU",
+    INDIA: "IN",
+    "SAUDI ARABIA": "SA",
+    KSA: "SA",
+};
+
+function cleanText(v) {
+    return v == null ? "" : String(v).replace(/\s+/g, " ").trim();
+}
+
+/**
+ * Normalise a raw address (also accepts the legacy { street, zip_code } shape) and check it
+ * against the country rules. Returns { address, fields } - fields is null when valid.
+ */
+function normalizeAddress(input) {
+    const raw = input || {};
+    const country = cleanText(raw.country).toUpperCase();
+    const address = {
+        line1: cleanText(raw.line1 || raw.street),
+        line2: cleanText(raw.line2),
+        unit: cleanText(raw.unit),
+        city: cleanText(raw.city),
+        state: cleanText(raw.state),
+        postal_code: cleanText(raw.postal_code || raw.zip_code).toUpperCase(),
+        country: COUNTRY_ALIASES[country] || country,
+    };
+    for (const k of ["latitude", "longitude"]) {
+        if (raw[k] != null && raw[k] !== "") address[k] = Number(raw[k]);
+    }
+
+    const rules = ADDRESS_RULES[address.country];
+    if (rules?.state) address.state = address.state.toUpperCase();
+    // canonical spacing for postcodes that have an inward/outward part
+    if (address.country === "CA" || address.country === "GB") {
+        const compact = address.postal_code.replace(/ /g, "");
+        if (compact.length > 3) address.postal_code = `${compact.slice(0, -3)} ${compact.slice(-3)}`;
+    }
+
+    const fields = {};
+    if (!address.line1) fields.line1 = "Street address is required";
+    if (!address.city) fields.city = "City is required";
+    if (!/^[A-Z]{2}$/.test(address.country)) fields.country = "Use a 2-letter country code (e.g. US, IN)";
+    if ("latitude" in address && !(Math.abs(address.latitude) <= 90)) fields.latitude = "Latitude must be -90..90";
+    if ("longitude" in address && !(Math.abs(address.longitude) <= 180)) fields.longitude = "Longitude must be -180..180";
+    if (("latitude" in address) !== ("longitude" in address)) fields.latitude = "Provide both latitude and longitude";
+
+    if (rules) {
+        if (rules.stateRequired && !address.state) fields.state = "State is required";
+        else if (address.state && rules.state && !new RegExp(rules.state).test(address.state)) {
+            fields.state = `Invalid state for ${address.country}`;
+        }
+        if (!address.postal_code) fields.postal_code = "Postal code is required";
+        else if (!new RegExp(rules.postal).test(address.postal_code)) {
+            fields.postal_code = `Invalid postal code for ${address.country}`;
+        }
+    }
+
+    for (const k of ["line2", "unit", "state", "postal_code"]) {
+        if (!address[k]) delete address[k];
+    }
+
+    return { address, fields: Object.keys(fields).length ? fields : null };
+}
+
+// Uber Direct structured address, sent as a JSON string in pickup_address / dropoff_address
+function toUberAddress(addr) {
+    if (!addr) return "";
+    if (typeof addr === "string") return addr;
+
+    const a = normalizeAddress(addr.toObject ? addr.toObject() : addr).address;
+    if (!a.line1 || !a.city) return "";
+
+    const second = [a.unit && `Unit ${a.unit}`, a.line2].filter(Boolean).join(", ");
+    return JSON.stringify({
+        street_address: [a.line1, second].filter(Boolean),
+        city: a.city,
+        state: a.state || "",
+        zip_code: a.postal_code || "",
+        country: a.country,
+    });
+}
+
+// Users created before structured addresses stored { street, ... }
+async function migrateLegacyAddresses() {
+    const legacy = await User.find({ "address.street": { $exists: true } }).lean();
+    for (const u of legacy) {
+        await User.collection.updateOne({ _id: u._id }, { $set: { address: normalizeAddress(u.address).address } });
+    }
+    if (legacy.length) logger.info("Migrated legacy addresses", { count: legacy.length });
+}
+
+// ====================== GEOCODING ======================
+// Pluggable geocoder: { name, geocode(address) -> { latitude, longitude } | null }.
+// GEOCODER picks one from GEOCODERS; add a provider with registerGeocoder().
+
+function geocodeKey(a) {
+    return [a.line1, a.city, a.postal_code, a.country].map((v) => cleanText(v).toLowerCase()).join("|");
+}
+
+// fixture file: { "<line1>|<city>|<postal_code>|<country>": { "latitude": .., "longitude": .. } }
+function loadGeocodeFixtures() {
+    if (!GEO.FIXTURES_PATH) return {};
+    try {
+        return JSON.parse(fs.readFileSync(GEO.FIXTURES_PATH, "utf8"));
+    } catch (e) {
+        logger.warn("Could not read geocoder fixtures", { path: GEO.FIXTURES_PATH, err: e });
+        return {};
+    }
+}
+
+const GEOCODERS = {
+    none: { name: "none", geocode: async () => null },
+
+    // offline, deterministic: for tests and the Uber simulator
+    fixture: {
+        name: "fixture",
+        fixtures: null,
+        async geocode(address) {
+            if (!this.fixtures) this.fixtures = loadGeocodeFixtures();
+            const hit = this.fixtures[geocodeKey(address)];
+            return hit ? { latitude: Number(hit.latitude), longitude: Number(hit.longitude) } : null;
+        },
+    },
+
+    nominatim: {
+        name: "nominatim",
+        async geocode(address) {
+            const { data } = await axios.get("https://nominatim.openstreetmap.org/search", {
+                params: {
+                    format: "json",
+                    limit: 1,
+                    street: address.line1,
+                    city: address.city,
+                    state: address.state,
+                    postalcode: address.postal_code,
+                    countrycodes: address.country,
+                },
+                headers: { "User-Agent": "uber-direct-admin" },
+                timeout: GEO.TIMEOUT_MS,
+            });
+            return data[0] ? { latitude: Number(data[0].lat), longitude: Number(data[0].lon) } : null;
+        },
+    },
+
+    google: {
+        name: "google",
+        async geocode(address) {
+            if (!GEO.GOOGLE_API_KEY) throw new Error("Missing GOOGLE_MAPS_API_KEY");
+            const text = [address.line1, address.line2, address.city, address.state, address.postal_code, address.country]
+                .filter(Boolean)
+                .join(", ");
+            const { data } = await axios.get("https://maps.googleapis.com/maps/api/geocode/json", {
+                params: { address: text, key: GEO.GOOGLE_API_KEY },
+                timeout: GEO.TIMEOUT_MS,
+            });
+            const loc = data.results?.[0]?.geometry?.location;
+            return loc ? { latitude: loc.lat, longitude: loc.lng } : null;
+        },
+    },
+};
+
+function registerGeocoder(name, geocoder) {
+    GEOCODERS[name] = { name, ...geocoder };
+}
+
+// never throws: a failed lookup just leaves the address without coordinates
+async function geocodeAddress(address) {
+    const geocoder = GEOCODERS[GEO.PROVIDER];
+    if (!geocoder) {
+        logger.warn("Unknown GEOCODER", { provider: GEO.PROVIDER });
+        return null;
+    }
+    try {
+        return await geocoder.geocode(address);
+    } catch (e) {
+        logger.warn("Geocoding failed", { provider: geocoder.name, err: e });
+        return null;
+    }
+}
+
+function hasCoords(addr) {
+    return addr?.latitude != null && addr?.longitude != null;
+}
+
+// GeoJSON point for the 2dsphere index (note: [lng, lat])
+function geoPoint(addr) {
+    return hasCoords(addr) ? { type: "Point", coordinates: [addr.longitude, addr.latitude] } : undefined;
+}
+
+// { pickup_latitude, pickup_longitude } when the address is geocoded, so Uber doesn't have to guess
+function uberCoords(prefix, addr) {
+    if (!hasCoords(addr)) return {};
+    return { [`${prefix}_latitude`]: Number(addr.latitude), [`${prefix}_longitude`]: Number(addr.longitude) };
+}
 
 // ====================== SCHEMAS ======================
 
+const AddressSchema = new mongoose.Schema(
+    {
+        line1: { type: String, required: true },
+        line2: String,
+        unit: String, // apartment / suite / unit number
+        city: { type: String, required: true },
+        state: String,
+        postal_code: String,
+        country: { type: String, required: true, match: /^[A-Z]{2}$/ },
+        latitude: { type: Number, min: -90, max: 90 },
+        longitude: { type: Number, min: -180, max: 180 },
+    },
+    { _id: false }
+);
+
+// normalise + apply country rules on every save
+AddressSchema.pre("validate", function () {
+    const { address, fields } = normalizeAddress(this.toObject());
+    for (const k of Object.keys(AddressSchema.paths)) this.set(k, address[k]);
+    for (const [k, msg] of Object.entries(fields || {})) this.invalidate(k, msg);
+});
+
+// Soft delete: DELETE routes set archivedAt instead of removing, so references stay resolvable
+const archiveFields = () => ({
+    archivedAt: { type: Date, default: null, index: true },
+    archivedBy: String, // actor name
+});
+
 const UserSchema = new mongoose.Schema(
     {
         user_type: { type: String, enum: ["CUSTOMER", "WAREHOUSE"], required: true, index: true },
         name: { type: String, required: true },
-        address: { type: Object, required: true }, // store raw address object
+        address: { type: AddressSchema, required: true },
         phone_number: { type: String, required: true, index: true, }, // Uber strongly recommends phone numbers
+        email: { type: String, trim: true, lowercase: true, set: (v) => v || undefined, match: /^[^\s@]+@[^\s@]+\.[^\s@]+$/ },
+        notifyOptOut: { sms: Boolean, email: Boolean }, // customer asked not to get delivery updates on that channel
+        location: { type: { type: String, enum: ["Point"] }, coordinates: [Number] }, // from address lat/lng
+        ...archiveFields(),
     },
     { timestamps: true }
 );
+UserSchema.index({ location: "2dsphere" });
 const User = mongoose.model("User", UserSchema);
 
+// Uber manifest size classes, smallest first (see MANIFEST)
+const ITEM_SIZES = ["small", "medium", "large", "xlarge"];
+const DEFAULT_ITEM_SIZE = "medium"; // items with neither weight nor dimensions
+
 const ItemSchema = new mongoose.Schema(
     {
         name: { type: String, required: true, index: true },
+        sku: { type: String, trim: true, set: (v) => v || undefined, index: { unique: true, sparse: true } },
         price: { type: Number, required: true },
-        qty: { type: Number, required: true, default: 0 },
+        qty: { type: Number, default: 0 }, // legacy global count; stock now lives in Stock per warehouse
+        weight: { type: Number, min: 0 }, // grams per unit
+        dimensions: {
+            // centimetres per unit
+            length: { type: Number, min: 0 },
+            height: { type: Number, min: 0 },
+            depth: { type: Number, min: 0 },
+        },
+        handling: {
+            fragile: { type: Boolean, default: false },
+            liquid: { type: Boolean, default: false }, // sent to Uber as must_be_upright
+            ageRestricted: { type: Boolean, default: false },
+        },
+        ...archiveFields(),
     },
-    { timestamps: true }
+    { timestamps: true, toJSON: { virtuals: true }, id: false }
 );
+// Uber manifest size class, derived from weight and dimensions (see MANIFEST)
+ItemSchema.virtual("size").get(function () {
+    return classifySize(this);
+});
 const Item = mongoose.model("Item", ItemSchema);
 
+// Per-warehouse stock. available = onHand - reserved
+const StockSchema = new mongoose.Schema(
+    {
+        warehouseId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+        itemId: { type: mongoose.Schema.Types.ObjectId, ref: "Item", required: true, index: true },
+        onHand: { type: Number, default: 0, min: 0 },
+        reserved: { type: Number, default: 0, min: 0 }, // held for deliveries in flight
+    },
+    { timestamps: true }
+);
+StockSchema.index({ warehouseId: 1, itemId: 1 }, { unique: true });
+const Stock = mongoose.model("Stock", StockSchema);
+
+// Append-only record of every stock movement
+const InventoryLedgerSchema = new mongoose.Schema(
+    {
+        warehouseId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+        itemId: { type: mongoose.Schema.Types.ObjectId, ref: "Item", required: true, index: true },
+        type: { type: String, enum: ["adjust", "reserve", "release", "commit"], required: true },
+        qty: Number, // units moved; signed for adjust
+        onHandAfter: Number,
+        reservedAfter: Number,
+        deliveryDbId: { type: mongoose.Schema.Types.ObjectId, ref: "Delivery", index: true },
+        quoteDbId: { type: mongoose.Schema.Types.ObjectId, ref: "Quote" },
+        reason: String,
+    },
+    { timestamps: true }
+);
+const InventoryLedger = mongoose.model("InventoryLedger", InventoryLedgerSchema);
+
+// Uber Direct create-delivery options (see DELIVERY OPTIONS). Money is in cents.
+const DELIVERABLE_ACTIONS = ["meet_at_door", "leave_at_door"];
+const BARCODE_TYPES = ["CODE39", "CODE39_FULL_ASCII", "CODE128", "QR"];
+
+const DeliveryOptionsSchema = new mongoose.Schema(
+    {
+        // scheduled windows; also sent with the quote request because they change the fee
+        pickupReadyAt: Date,
+        pickupDeadlineAt: Date,
+        dropoffReadyAt: Date,
+        dropoffDeadlineAt: Date,
+        pickupNotes: String,
+        dropoffNotes: String,
+        deliverableAction: { type: String, enum: DELIVERABLE_ACTIONS },
+        verification: {
+            signature: Boolean,
+            signerName: Boolean, // also collect the signer's name and relationship
+            picture: Boolean,
+            pin: Boolean,
+            barcodes: [{ _id: false, value: String, type: { type: String, enum: BARCODE_TYPES } }],
+            minAge: Number, // ID check
+        },
+        manifestTotalValue: Number,
+        tip: Number,
+    },
+    { _id: false }
+);
+
 const QuoteSchema = new mongoose.Schema(
     {
         quoteId: { type: String, index: true }, // Uber quote id
         customerId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
         warehouseId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
 
-        pickupAddress: { type: Object, required: true }, // warehouse snapshot
-        dropoffAddress: { type: Object, required: true }, // customer snapshot
+        pickupAddress: { type: Object, required: true }, // warehouse address snapshot (AddressSchema shape)
+        dropoffAddress: { type: Object, required: true }, // customer address snapshot (AddressSchema shape)
 
         items: [
             {
                 itemId: { type: mongoose.Schema.Types.ObjectId, ref: "Item", required: true },
                 name: String,
+                sku: String,
                 price: Number,
                 qty: Number,
                 lineTotal: Number,
+                // per-unit snapshot of the item's physical attributes (see MANIFEST)
+                size: { type: String, enum: ITEM_SIZES },
+                weight: Number,
+                dimensions: { length: Number, height: Number, depth: Number },
+                handling: { fragile: Boolean, liquid: Boolean, ageRestricted: Boolean },
             },
         ],
         subtotal: Number,
+        options: { type: DeliveryOptionsSchema, default: () => ({}) }, // defaults for the delivery
+        // whole-order totals, checked against MANIFEST limits before every Uber quote
+        manifest: {
+            weight: Number, // grams
+            volume: Number, // cm³
+            size: { type: String, enum: ITEM_SIZES }, // largest line
+            fragile: Boolean,
+            liquid: Boolean,
+            ageRestricted: Boolean,
+        },
 
-        fee: Number,
+        fee: Number, // Uber fee in minor units (cents)
+        previousFee: Number, // fee of the lapsed quote this one replaced
+        currency: String,
+        expires: { type: Date, index: true }, // Uber quote_id can't be used after this
+        dropoffEta: Date,
+        duration: Number, // minutes, pickup -> dropoff estimate
+        requotedAt: Date,
         raw: Object,
-        status: { type: String, default: "draft", index: true }, // draft|quoted
+        // the delivery dispatching this quote; claimed atomically so two dispatchers can't both book a courier
+        activeDeliveryId: { type: mongoose.Schema.Types.ObjectId, ref: "Delivery" },
+
+        // how the warehouse was picked when the caller left it to us (see WAREHOUSE SELECTION)
+        warehouseSelection: {
+            mode: { type: String, enum: ["manual", "auto"] },
+            strategy: String,
+            reason: String,
+            decidedAt: Date,
+            alternatives: [
+                {
+                    _id: false,
+                    warehouseId: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+                    name: String,
+                    distanceM: Number,
+                    inStock: Boolean,
+                    shortages: [String],
+                    quoteId: String,
+                    fee: Number,
+                    currency: String,
+                    duration: Number,
+                    dropoffEta: Date,
+                    error: String,
+                    chosen: Boolean,
+                },
+            ],
+        },
+        status: { type: String, enum: ["draft", "quoted", "expired"], default: "draft", index: true },
+        ...archiveFields(),
     },
-    { timestamps: true }
+    {
+        timestamps: true,
+        // a lapsed quote reads as expired right away; the stored status catches up on the next sweep
+        toJSON: { transform: (doc, ret) => (ret.status === "quoted" && isQuoteExpired(doc) ? { ...ret, status: "expired" } : ret) },
+    }
 );
+QuoteSchema.index({ createdAt: -1 });
 const Quote = mongoose.model("Quote", QuoteSchema);
 
+// Uber rejects a quote_id close to its expiry, so treat it as lapsed slightly early
+const QUOTE_EXPIRY_MARGIN_MS = 30 * 1000;
+
 const DeliverySchema = new mongoose.Schema(
     {
         deliveryId: { type: String, index: true }, // Uber delivery id
-        externalId: { type: String, index: true },
-        quoteDbId: { type: mongoose.Schema.Types.ObjectId, ref: "Quote", required: true },
+        externalId: { type: String, unique: true, sparse: true }, // also our idempotency key
+        quoteDbId: { type: mongoose.Schema.Types.ObjectId, ref: "Quote", required: true, index: true },
         quoteId: { type: String, index: true }, // Uber quote id
-        status: { type: String, index: true },
-        raw: Object,
+        trackingToken: { type: String, index: { unique: true, sparse: true } }, // public /track/:token link
+        status: { type: String, index: true }, // Uber status, or creating|create_unknown before Uber answered
+        options: DeliveryOptionsSchema, // what was sent to Uber: the quote's options plus dispatch-time overrides
+        statusAt: Date, // event time of the current status; older events are ignored
+        statusHistory: [
+            {
+                _id: false,
+                at: Date, // event time
+                recordedAt: { type: Date, default: Date.now },
+                source: { type: String, enum: ["create", "webhook", "refresh", "cancel", "reconcile"] },
+                from: String,
+                to: String,
+                eventId: String,
+                ignored: String, // stale_event|invalid_transition when the update was not applied
+            },
+        ],
+        raw: Object, // latest Uber delivery snapshot
+        reconcile: {
+            // background polling state (see RECONCILIATION)
+            nextAt: { type: Date, index: true },
+            lastAt: Date,
+            unchanged: { type: Number, default: 0 }, // consecutive checks without a status change
+            lastError: String,
+        },
+        courier: {
+            // latest courier_update; the full trail lives in CourierPosition
+            name: String,
+            phone: String,
+            vehicleType: String,
+            at: Date,
+            location: { lat: Number, lng: Number },
+            pickupEta: Date,
+            dropoffEta: Date,
+        },
+        lastError: Object,
+        inventory: {
+            state: { type: String, enum: ["reserved", "committed", "released"] },
+            warehouseId: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+            lines: [{ _id: false, itemId: { type: mongoose.Schema.Types.ObjectId, ref: "Item" }, qty: Number }],
+        },
+        ...archiveFields(),
     },
     { timestamps: true }
 );
+DeliverySchema.index({ createdAt: -1 });
+// Uber delivery statuses and the moves allowed between them (pickup -> pending = courier reassigned)
+const DELIVERY_TRANSITIONS = {
+    pending: ["pickup", "pickup_complete", "dropoff", "delivered", "canceled"],
+    pickup: ["pending", "pickup_complete", "dropoff", "delivered", "canceled"],
+    pickup_complete: ["dropoff", "delivered", "returned", "canceled"],
+    dropoff: ["delivered", "returned", "canceled"],
+    delivered: [],
+    canceled: [],
+    returned: [],
+};
+// our own placeholder statuses before Uber has answered; any Uber status may follow
+const DELIVERY_PRE_UBER_STATUSES = ["creating", "create_unknown"];
+// statuses after which a quote may be dispatched again
+const DELIVERY_TERMINAL_STATUSES = Object.keys(DELIVERY_TRANSITIONS).filter((k) => !DELIVERY_TRANSITIONS[k].length);
 const Delivery = mongoose.model("Delivery", DeliverySchema);
 
+// One row per courier_update webhook: the breadcrumb trail of a delivery
+const CourierPositionSchema = new mongoose.Schema({
+    deliveryDbId: { type: mongoose.Schema.Types.ObjectId, ref: "Delivery", required: true },
+    deliveryId: String, // Uber delivery id
+    eventId: String,
+    at: { type: Date, required: true }, // event time
+    lat: { type: Number, required: true },
+    lng: { type: Number, required: true },
+    vehicleType: String,
+    name: String,
+    phone: String,
+    pickupEta: Date,
+    dropoffEta: Date,
+    status: String, // delivery status when the position was reported
+});
+CourierPositionSchema.index({ deliveryDbId: 1, at: 1 });
+const CourierPosition = mongoose.model("CourierPosition", CourierPositionSchema);
+
+// An image Uber handed us a (short-lived) URL for, copied into GridFS (see PROOF OF DELIVERY)
+const ProofImageSchema = new mongoose.Schema(
+    {
+        fileId: mongoose.Schema.Types.ObjectId, // GridFS "proofs" bucket; unset while the download keeps failing
+        contentType: String,
+        size: Number,
+        error: String, // last download failure
+    },
+    { _id: false }
+);
+
+// Proof collected at one stop of a delivery, kept apart from Delivery.raw (which every update overwrites)
+const DeliveryProofSchema = new mongoose.Schema(
+    {
+        deliveryDbId: { type: mongoose.Schema.Types.ObjectId, ref: "Delivery", required: true },
+        deliveryId: String, // Uber delivery id
+        stage: { type: String, enum: ["pickup", "dropoff", "return"], required: true },
+        status: String, // delivery status when captured
+        completedAt: Date, // when Uber says the stop was completed
+        source: String, // which update brought it in: webhook|refresh|reconcile|proof_refresh
+        signature: { image: ProofImageSchema, signerName: String, signerRelationship: String },
+        picture: { image: ProofImageSchema },
+        pinCode: { entered: String },
+        barcodes: [{ _id: false, value: String, type: { type: String }, outcome: String, scannedAt: Date }],
+        identification: { minAgeVerified: Boolean },
+        completionLocation: { lat: Number, lng: Number },
+        courier: { name: String, phone: String, vehicleType: String, image: ProofImageSchema },
+        raw: Object, // the verification object as Uber sent it
+    },
+    { timestamps: true }
+);
+DeliveryProofSchema.index({ deliveryDbId: 1, stage: 1 }, { unique: true });
+const DeliveryProof = mongoose.model("DeliveryProof", DeliveryProofSchema);
+
+// Customer messages per delivery status change (see NOTIFICATIONS); doubles as the sent-message log
+const NOTIFICATION_EVENTS = ["courier_assigned", "picked_up", "arriving", "delivered", "canceled", "returned"];
+const NOTIFICATION_CHANNELS = ["sms", "email"];
+
+const NotificationSchema = new mongoose.Schema(
+    {
+        deliveryDbId: { type: mongoose.Schema.Types.ObjectId, ref: "Delivery", required: true, index: true },
+        customerId: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        event: { type: String, enum: NOTIFICATION_EVENTS, required: true },
+        channel: { type: String, enum: NOTIFICATION_CHANNELS, required: true },
+        adapter: String, // console | file | http | twilio | sendgrid
+        to: String, // phone number or email address
+        subject: String, // email only
+        body: String,
+        status: { type: String, enum: ["pending", "sent", "failed", "skipped"], index: true },
+        skipReason: { type: String, enum: ["opted_out", "no_address", "channel_disabled"] },
+        attempts: { type: Number, default: 0 },
+        nextAttemptAt: { type: Date, index: true }, // while pending
+        lastError: String,
+        providerId: String, // message id from the provider, when it returns one
+        sentAt: Date,
+    },
+    { timestamps: true }
+);
+// one message per status per channel, however many times Uber reports the status
+NotificationSchema.index({ deliveryDbId: 1, event: 1, channel: 1 }, { unique: true });
+const Notification = mongoose.model("Notification", NotificationSchema);
+
 const WebhookLogSchema = new mongoose.Schema({
+    eventId: String, // Uber event id (or body hash when missing)
     deliveryId: { type: String, index: true },
     eventType: String,
     status: String,
     payload: Object,
+    accepted: { type: Boolean, default: true, index: true },
+    rejectReason: String, // bad_signature|missing_signature|stale_event|duplicate_event|unknown_delivery|processing_failed|...
+    ip: String,
     receivedAt: { type: Date, default: Date.now },
 });
+// one accepted log per event id -> duplicate deliveries of the same event are rejected atomically
+WebhookLogSchema.index({ eventId: 1 }, { unique: true, partialFilterExpression: { accepted: true } });
 const WebhookLog = mongoose.model("WebhookLog", WebhookLogSchema);
 
-// ====================== UBER TOKEN HANDLING ======================
+// Staff logins for the admin UI / API (the User model above is customers and warehouses)
+const ROLES = ["viewer", "dispatcher", "admin"]; // each role can do everything the ones before it can
 
-let cachedToken = null;
-let tokenExpiry = null;
+const AccountSchema = new mongoose.Schema(
+    {
+        email: { type: String, required: true, unique: true, lowercase: true, trim: true },
+        name: String,
+        passwordHash: { type: String, required: true, select: false },
+        role: { type: String, enum: ROLES, default: "viewer" },
+        disabled: { type: Boolean, default: false },
+        lastLoginAt: Date,
+    },
+    { timestamps: true }
+);
+const Account = mongoose.model("Account", AccountSchema);
+
+const SessionSchema = new mongoose.Schema({
+    tokenHash: { type: String, required: true, unique: true }, // sha256 of the cookie value
+    accountId: { type: mongoose.Schema.Types.ObjectId, ref: "Account", required: true, index: true },
+    expiresAt: { type: Date, required: true, expires: 0 }, // TTL index drops expired sessions
+    ip: String,
+    userAgent: String,
+    createdAt: { type: Date, default: Date.now },
+});
+const Session = mongoose.model("Session", SessionSchema);
 
-async function getAccessToken() {
-    if (!UBER.CLIENT_ID || !UBER.CLIENT_SECRET) {
-        throw new Error("Missing UBER_CLIENT_ID / UBER_CLIENT_SECRET in .env");
+// Machine clients: "udk_<keyId>_<secret>", only the hash is stored
+const ApiKeySchema = new mongoose.Schema(
+    {
+        keyId: { type: String, required: true, unique: true },
+        keyHash: { type: String, required: true },
+        name: { type: String, required: true },
+        role: { type: String, enum: ROLES, default: "viewer" },
+        createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "Account" },
+        lastUsedAt: Date,
+        revokedAt: Date,
+    },
+    { timestamps: true }
+);
+const ApiKey = mongoose.model("ApiKey", ApiKeySchema);
+
+const AuditLogSchema = new mongoose.Schema({
+    at: { type: Date, default: Date.now, index: true },
+    actor: {
+        kind: { type: String, enum: ["session", "api_key", "anonymous"] },
+        id: mongoose.Schema.Types.ObjectId, // Account or ApiKey
+        name: String,
+        role: String,
+    },
+    action: { type: String, required: true, index: true }, // <entity>.<verb>, e.g. delivery.cancel
+    entity: {
+        type: { type: String, index: true },
+        id: { type: mongoose.Schema.Types.ObjectId, index: true },
+    },
+    before: Object,
+    after: Object,
+    changes: [{ _id: false, path: String, from: mongoose.Schema.Types.Mixed, to: mongoose.Schema.Types.Mixed }],
+    meta: Object,
+    requestId: String,
+    ip: String,
+    method: String,
+    path: String,
+});
+AuditLogSchema.index({ "actor.id": 1, at: -1 });
+const AuditLog = mongoose.model("AuditLog", AuditLogSchema);
+
+// ====================== ERRORS ======================
+// Every /api/* failure is answered with the same envelope:
+//   { error: { code, message, fields?, retryAfter? } }
+
+class AppError extends Error {
+    constructor(message, { status = 500, code = "internal_error", fields, details } = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.status = status;
+        this.code = code;
+        if (fields) this.fields = fields;
+        if (details) this.details = details;
     }
-    if (cachedToken && Date.now() < tokenExpiry) return cachedToken;
+}
 
-    const response = await axios.post(
-        UBER.TOKEN_URL,
-        new URLSearchParams({
-            grant_type: "client_credentials",
-            client_id: UBER.CLIENT_ID,
-            client_secret: UBER.CLIENT_SECRET,
-            scope: UBER.SCOPE,
-        }).toString(),
-        { headers: { "Content-Type": "application/x-www-form-urlencoded" } }
-    );
+class ValidationError extends AppError {
+    constructor(message, fields) {
+        super(message, { status: 400, code: "validation_failed", fields });
+    }
+}
 
-    cachedToken = response.data.access_token;
-    tokenExpiry = Date.now() + (response.data.expires_in - 60) * 1000;
+class NotFoundError extends AppError {
+    constructor(message) {
+        super(message, { status: 404, code: "not_found" });
+    }
+}
 
-    return cachedToken;
+class ConflictError extends AppError {
+    constructor(message, details) {
+        super(message, { status: 409, code: "conflict", details });
+    }
 }
 
-async function uberRequest(method, url, data = null) {
-    try {
+class UnauthorizedError extends AppError {
+    constructor(message = "Authentication required") {
+        super(message, { status: 401, code: "unauthorized" });
+    }
+}
 
-        if (!UBER.CUSTOMER_ID) throw new Error("Missing UBER_CUSTOMER_ID in .env");
-        const token = await getAccessToken();
+class ForbiddenError extends AppError {
+    constructor(message = "Not allowed for your role") {
+        super(message, { status: 403, code: "forbidden" });
+    }
+}
 
-        const response = await axios({
-            method,
-            url,
-            data,
-            headers: {
-                Authorization: `Bearer ${token}`,
-                "Content-Type": "application/json",
-            },
-        });
+// Errors coming back from Uber. `uberCode` / `uberStatus` keep what Uber actually said.
+class UberApiError extends AppError {
+    constructor(message, { status = 502, code = "uber_error", uberStatus, uberCode, fields, details } = {}) {
+        super(message, { status, code, fields, details });
+        this.uberStatus = uberStatus;
+        this.uberCode = uberCode;
+    }
+}
 
-        return response.data;
+class UberAuthError extends UberApiError {
+    constructor(message, opts = {}) {
+        // our credentials were refused: a server-side problem, not the caller's
+        super(message, { ...opts, status: 502, code: "uber_auth_failed" });
+    }
+}
 
-    } catch (error) {
-        console.log("🚀 ~ uberRequest ~ error:", error)
+class UberValidationError extends UberApiError {
+    constructor(message, opts = {}) {
+        super(message, { ...opts, status: 400, code: opts.uberCode || "uber_invalid_params" });
     }
 }
 
-async function getDeliveryQuotes(payload) {
-    return uberRequest("POST", `${UBER.BASE_URL}/v1/customers/${UBER.CUSTOMER_ID}/delivery_quotes`, payload);
+class UberNotFoundError extends UberApiError {
+    constructor(message, opts = {}) {
+        super(message, { ...opts, status: 404, code: "uber_not_found" });
+    }
 }
 
-async function createDelivery(payload) {
-    return uberRequest("POST", `${UBER.BASE_URL}/v1/customers/${UBER.CUSTOMER_ID}/deliveries`, {
-        ...payload,
-        test_specifications: {
-            robo_courier_specification: { mode: "auto" },
-        },
-    });
+class UberRateLimitError extends UberApiError {
+    constructor(message, opts = {}) {
+        super(message, { ...opts, status: 429, code: "uber_rate_limited" });
+        this.retryAfter = opts.retryAfter;
+    }
 }
 
-async function getDeliveryDetails(deliveryId) {
-    return uberRequest("GET", `${UBER.BASE_URL}/v1/customers/${UBER.CUSTOMER_ID}/deliveries/${deliveryId}`);
+class UberUpstreamError extends UberApiError {
+    constructor(message, opts = {}) {
+        super(message, { status: 502, code: "uber_unavailable", ...opts });
+        this.retryAfter = opts.retryAfter;
+    }
 }
 
-async function cancelDelivery(deliveryId) {
-    return uberRequest("POST", `${UBER.BASE_URL}/v1/customers/${UBER.CUSTOMER_ID}/deliveries/${deliveryId}/cancel`);
+function parseRetryAfter(value) {
+    if (value == null) return undefined;
+    const seconds = Number(value);
+    if (!Number.isNaN(seconds)) return Math.max(0, seconds);
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? undefined : Math.max(0, Math.ceil((date - Date.now()) / 1000));
 }
 
-// ====================== HELPERS ======================
+// axios error -> typed Uber error
+function toUberError(err) {
+    if (err instanceof AppError) return err;
 
-function computeQuoteTotals(items) {
-    let subtotal = 0;
-    const normalized = items.map((it) => {
-        const lineTotal = (Number(it.price) || 0) * (Number(it.qty) || 0);
-        subtotal += lineTotal;
-        return { ...it, lineTotal };
-    });
-    return { subtotal, items: normalized };
+    const response = err.response;
+    if (!response) {
+        if (err.code === "ECONNABORTED" || err.code === "ETIMEDOUT") {
+            return new UberUpstreamError(`Uber timed out: ${err.message}`, { status: 504, code: "uber_timeout", uberCode: err.code });
+        }
+        return new UberUpstreamError(`Uber unreachable: ${err.message}`, { uberCode: err.code });
+    }
+
+    const data = response.data || {};
+    const uberStatus = response.status;
+    const uberCode = data.code || data.error;
+    const message = data.message || data.error_description || data.error || `Uber responded with ${uberStatus}`;
+    const opts = { uberStatus, uberCode, details: data };
+
+    if (uberStatus === 401 || uberStatus === 403) return new UberAuthError(message, opts);
+    if (uberStatus === 404) return new UberNotFoundError(message, opts);
+    if (uberStatus === 429) {
+        return new UberRateLimitError(message, { ...opts, retryAfter: parseRetryAfter(response.headers?.["retry-after"]) });
+    }
+    if (uberStatus >= 500) {
+        return new UberUpstreamError(message, { ...opts, retryAfter: parseRetryAfter(response.headers?.["retry-after"]) });
+    }
+    if (uberStatus >= 400) return new UberValidationError(message, { ...opts, fields: data.metadata });
+
+    return new UberApiError(message, opts);
 }
 
-// ====================== API: USERS ======================
+// anything thrown in a route -> AppError
+function normalizeError(err) {
+    if (err instanceof AppError) return err;
 
-app.post("/api/users", async (req, res) => {
-    try {
-        const doc = await User.create(req.body);
-        res.json(doc);
-    } catch (e) {
-        res.status(400).json({ message: e.message });
+    if (err instanceof mongoose.Error.ValidationError) {
+        const fields = {};
+        for (const [path, e] of Object.entries(err.errors)) fields[path] = e.message;
+        return new ValidationError("Validation failed", fields);
+    }
+    if (err instanceof mongoose.Error.CastError) {
+        return new ValidationError(`Invalid ${err.path}`, { [err.path]: `Invalid value: ${err.value}` });
+    }
+    if (err.code === 11000) return new ConflictError("Duplicate record", err.keyValue);
+    if (err.type === "entity.parse.failed") return new AppError("Malformed JSON body", { status: 400, code: "invalid_json" });
+    // body-parser and friends mark client errors (413 too large, 415 unsupported charset, ...) as safe to expose
+    if (err.expose && err.status >= 400 && err.status < 500) {
+        return new AppError(err.message, { status: err.status, code: err.type ? err.type.replace(/\W+/g, "_") : "bad_request" });
     }
-});
 
-app.get("/api/users", async (req, res) => {
-    const q = {};
-    if (req.query.user_type) q.user_type = req.query.user_type;
-    const docs = await User.find(q).sort({ createdAt: -1 });
-    res.json(docs);
-});
+    return new AppError("Internal server error");
+}
 
-app.get("/api/users/:id", async (req, res) => {
-    const doc = await User.findById(req.params.id);
-    if (!doc) return res.status(404).json({ message: "User not found" });
-    res.json(doc);
-});
+function errorEnvelope(err) {
+    const error = { code: err.code, message: err.message };
+    if (err.fields) error.fields = err.fields;
+    if (err.retryAfter != null) error.retryAfter = err.retryAfter;
+    if (err.uberCode) error.uberCode = err.uberCode;
+    if (err.details && !(err instanceof UberApiError)) error.details = err.details;
+    return { error };
+}
 
-app.patch("/api/users/:id", async (req, res) => {
-    try {
-        const doc = await User.findByIdAndUpdate(req.params.id, req.body, { new: true });
-        if (!doc) return res.status(404).json({ message: "User not found" });
-        res.json(doc);
-    } catch (e) {
-        res.status(400).json({ message: e.message });
+// ====================== REQUEST SCHEMAS ======================
+// Every POST/PATCH route declares its body with validateBody(schema). Unknown and read-only
+// fields are rejected, values are coerced to the declared type, and every problem is reported
+// at once as a validation_failed error keyed by field path (the same shape mongoose errors get).
+//
+// schema: { fields: { name: spec }, readOnly: { name: "why it can't be set" } }
+// spec:   { type: string|number|integer|boolean|objectId|date|object|array, required, nullable,
+//           enum, min, max, maxLength, pattern, fields (object), of (array item), minItems, maxItems }
+
+function coerceField(spec, value, path, errors) {
+    if (value === undefined || value === null || (value === "" && spec.type !== "string")) {
+        if (spec.required) errors[path] = "Required";
+        return value === null && spec.nullable ? null : undefined;
+    }
+
+    switch (spec.type) {
+        case "string": {
+            if (typeof value !== "string" && typeof value !== "number") return void (errors[path] = "Must be a string");
+            const str = String(value).trim();
+            if (!str && spec.required) return void (errors[path] = "Required");
+            if (spec.maxLength && str.length > spec.maxLength) return void (errors[path] = `At most ${spec.maxLength} characters`);
+            if (spec.enum && !spec.enum.includes(str)) return void (errors[path] = `Must be one of: ${spec.enum.join(", ")}`);
+            if (spec.pattern && str && !spec.pattern.test(str)) return void (errors[path] = spec.patternMessage || "Invalid format");
+            return str;
+        }
+        case "number":
+        case "integer": {
+            const n = typeof value === "string" ? Number(value.trim()) : value;
+            if (typeof n !== "number" || !Number.isFinite(n)) return void (errors[path] = "Must be a number");
+            if (spec.type === "integer" && !Number.isInteger(n)) return void (errors[path] = "Must be a whole number");
+            if (spec.min != null && n < spec.min) return void (errors[path] = `Must be >= ${spec.min}`);
+            if (spec.max != null && n > spec.max) return void (errors[path] = `Must be <= ${spec.max}`);
+            return n;
+        }
+        case "boolean":
+            if (value === true || value === "true") return true;
+            if (value === false || value === "false") return false;
+            return void (errors[path] = "Must be true or false");
+        case "objectId":
+            if (typeof value !== "string" || !/^[a-f0-9]{24}$/i.test(value)) return void (errors[path] = "Must be an id");
+            return value;
+        case "date": {
+            const d = new Date(value);
+            if (Number.isNaN(d.getTime())) return void (errors[path] = "Must be a date");
+            return d;
+        }
+        case "object":
+            if (typeof value !== "object" || Array.isArray(value)) return void (errors[path] = "Must be an object");
+            return coerceObject(spec, value, path + ".", errors);
+        case "array": {
+            if (!Array.isArray(value)) return void (errors[path] = "Must be a list");
+            if (spec.minItems && value.length < spec.minItems) return void (errors[path] = `At least ${spec.minItems} required`);
+            if (spec.maxItems && value.length > spec.maxItems) return void (errors[path] = `At most ${spec.maxItems} allowed`);
+            return value.map((v, i) => coerceField(spec.of, v, `${path}.${i}`, errors));
+        }
+        default:
+            throw new Error(`Unknown schema type ${spec.type} at ${path}`);
+    }
+}
+
+function coerceObject(schema, input, prefix, errors) {
+    const out = {};
+    for (const key of Object.keys(input)) {
+        if (schema.readOnly?.[key]) errors[prefix + key] = schema.readOnly[key];
+        else if (!schema.fields[key]) errors[prefix + key] = "Unknown field";
+    }
+    for (const [key, spec] of Object.entries(schema.fields)) {
+        const value = coerceField(spec, input[key], prefix + key, errors);
+        if (value !== undefined) out[key] = value;
+    }
+    return out;
+}
+
+// Replaces req.body with the coerced, whitelisted body; only fields that were sent are kept
+function validateBody(schema) {
+    return (req, res, next) => {
+        const errors = {};
+        const body = req.body === undefined ? {} : req.body;
+        if (typeof body !== "object" || body === null || Array.isArray(body)) {
+            throw new ValidationError("Request body must be a JSON object", { body: "Must be an object" });
+        }
+        const parsed = coerceObject(schema, body, "", errors);
+        if (Object.keys(errors).length) throw new ValidationError("Invalid request body", errors);
+        req.body = parsed;
+        next();
+    };
+}
+
+const EMPTY_BODY = { fields: {} };
+
+// fields every model manages itself
+const SERVER_FIELDS = {
+    _id: "Set by the server",
+    __v: "Set by the server",
+    createdAt: "Set by the server",
+    updatedAt: "Set by the server",
+    archivedAt: "Use DELETE and /restore",
+    archivedBy: "Use DELETE and /restore",
+};
+
+// ====================== LISTING ======================
+// List endpoints take ?page=&limit=&sort=&q=&from=&to=&archived= plus their own filters and
+// answer { items, total, page, limit, pages }. sort is a field name, "-" prefix for descending.
+
+const LIST_DEFAULT_LIMIT = 50;
+const LIST_MAX_LIMIT = 500;
+
+const LIST_QUERY = {
+    page: { type: "integer", min: 1 },
+    limit: { type: "integer", min: 1, max: LIST_MAX_LIMIT },
+    sort: { type: "string", maxLength: 50 },
+    q: { type: "string", maxLength: 100 },
+    archived: { type: "string", enum: ["only", "all"] },
+    from: { type: "date" },
+    to: { type: "date" },
+};
+
+function escapeRegex(text) {
+    return String(text).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// case-insensitive "contains" match
+const textMatch = (text) => ({ $regex: escapeRegex(text), $options: "i" });
+
+// comma-separated filter values -> $in
+const oneOf = (csv) => ({ $in: String(csv).split(",").map((v) => v.trim()).filter(Boolean) });
+
+// Unknown query params are ignored (cache busters etc.); known ones are coerced like request bodies
+function parseListQuery(req, { filters = {}, sorts, defaultSort = "-createdAt" }) {
+    const fields = { ...LIST_QUERY, ...filters };
+    const input = {};
+    for (const k of Object.keys(fields)) if (req.query[k] !== undefined) input[k] = req.query[k];
+
+    const errors = {};
+    const query = coerceObject({ fields }, input, "", errors);
+    const sort = query.sort || defaultSort;
+    const sortField = sort.replace(/^-/, "");
+    if (!sorts.includes(sortField)) errors.sort = `Sort by one of: ${sorts.join(", ")} (prefix - for descending)`;
+    if (Object.keys(errors).length) throw new ValidationError("Invalid query", errors);
+
+    query.sort = { [sortField]: sort.startsWith("-") ? -1 : 1, _id: -1 }; // _id keeps page boundaries stable
+    query.page = query.page || 1;
+    query.limit = query.limit || LIST_DEFAULT_LIMIT;
+    return query;
+}
+
+function createdBetween(query, field = "createdAt") {
+    if (!query.from && !query.to) return {};
+    return { [field]: { ...(query.from ? { $gte: query.from } : {}), ...(query.to ? { $lte: query.to } : {}) } };
+}
+
+async function sendPage(res, Model, filter, query, populate = []) {
+    let find = Model.find(filter).sort(query.sort).skip((query.page - 1) * query.limit).limit(query.limit);
+    for (const args of populate) find = find.populate(...args);
+
+    const [items, total] = await Promise.all([find, Model.countDocuments(filter)]);
+    res.json({ items, total, page: query.page, limit: query.limit, pages: Math.ceil(total / query.limit) });
+}
+
+// ====================== UBER RESILIENCE ======================
+// Timeouts, bounded retries and a circuit breaker around every call to Uber.
+//
+// retry: "idempotent" -> retry 429 / 5xx / timeouts / network errors
+//        "safe"       -> only retry failures where Uber cannot have acted on the request
+//                        (429, connection never established); used for delivery creation
+//        false        -> never retry
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// connection never got to Uber, so repeating a non-idempotent call is harmless
+const NOT_SENT_CODES = ["ECONNREFUSED", "ENOTFOUND", "EAI_AGAIN"];
+
+const uberBreaker = {
+    state: "closed", // closed | open | half_open
+    failures: 0, // consecutive failures while closed
+    openedAt: null,
+    trialInFlight: false,
+    lastError: null,
+    lastFailureAt: null,
+    lastSuccessAt: null,
+    totals: { calls: 0, failures: 0, retries: 0, shortCircuited: 0 },
+};
+
+function breakerRemainingMs() {
+    return Math.max(0, uberBreaker.openedAt + UBER_HTTP.BREAKER_COOLDOWN_MS - Date.now());
+}
+
+function breakerAcquire() {
+    if (uberBreaker.state === "open" && breakerRemainingMs() === 0) {
+        uberBreaker.state = "half_open";
+        uberBreaker.trialInFlight = false;
+    }
+    if (uberBreaker.state === "closed") return;
+    if (uberBreaker.state === "half_open" && !uberBreaker.trialInFlight) {
+        uberBreaker.trialInFlight = true; // let exactly one request probe Uber
+        return;
+    }
+
+    uberBreaker.totals.shortCircuited++;
+    throw new UberUpstreamError("Uber is currently unavailable (circuit open)", {
+        status: 503,
+        code: "uber_circuit_open",
+        retryAfter: Math.ceil(breakerRemainingMs() / 1000) || 1,
+    });
+}
+
+function breakerSuccess() {
+    uberBreaker.state = "closed";
+    uberBreaker.failures = 0;
+    uberBreaker.trialInFlight = false;
+    uberBreaker.lastSuccessAt = new Date();
+}
+
+// only outages count against the breaker; 4xx (including 429) mean Uber is up
+function breakerFailure(e) {
+    uberBreaker.trialInFlight = false;
+    if (!(e instanceof UberUpstreamError)) return breakerSuccess();
+
+    uberBreaker.totals.failures++;
+    uberBreaker.failures++;
+    uberBreaker.lastError = e.message;
+    uberBreaker.lastFailureAt = new Date();
+
+    if (uberBreaker.state === "half_open" || uberBreaker.failures >= UBER_HTTP.BREAKER_THRESHOLD) {
+        if (uberBreaker.state !== "open") logger.warn("Uber circuit opened", { err: e });
+        uberBreaker.state = "open";
+        uberBreaker.openedAt = Date.now();
+    }
+}
+
+function isRetryable(e, mode) {
+    if (!mode) return false;
+    if (e instanceof UberRateLimitError) return true;
+    if (NOT_SENT_CODES.includes(e.uberCode)) return true;
+    if (mode === "safe") return false;
+    return e instanceof UberUpstreamError;
+}
+
+function backoffDelay(attempt, e) {
+    if (e.retryAfter != null) return e.retryAfter * 1000;
+    const exp = Math.min(UBER_HTTP.BACKOFF_MAX_MS, UBER_HTTP.BACKOFF_BASE_MS * 2 ** attempt);
+    return Math.round(exp / 2 + Math.random() * (exp / 2)); // jittered
+}
+
+// fn() performs one raw axios call; returns response.data
+async function callUber(label, fn, { retry = "idempotent" } = {}) {
+    for (let attempt = 0; ; attempt++) {
+        breakerAcquire();
+        uberBreaker.totals.calls++;
+
+        try {
+            const data = await fn();
+            breakerSuccess();
+            return data;
+        } catch (err) {
+            const e = toUberError(err);
+            breakerFailure(e);
+
+            const delay = backoffDelay(attempt, e);
+            const canRetry =
+                attempt < UBER_HTTP.MAX_RETRIES &&
+                uberBreaker.state !== "open" &&
+                isRetryable(e, retry) &&
+                delay <= UBER_HTTP.MAX_RETRY_AFTER_MS;
+            if (!canRetry) throw e;
+
+            uberBreaker.totals.retries++;
+            logger.warn("Uber call failed, retrying", { call: label, attempt: attempt + 1, maxRetries: UBER_HTTP.MAX_RETRIES, delayMs: delay, err: e });
+            await sleep(delay);
+        }
+    }
+}
+
+function uberHealth() {
+    if (uberBreaker.state === "open" && breakerRemainingMs() === 0) uberBreaker.state = "half_open";
+    return {
+        backend: UBER.BACKEND,
+        circuit: uberBreaker.state,
+        consecutiveFailures: uberBreaker.failures,
+        retryInMs: uberBreaker.state === "open" ? breakerRemainingMs() : 0,
+        lastError: uberBreaker.lastError,
+        lastFailureAt: uberBreaker.lastFailureAt,
+        lastSuccessAt: uberBreaker.lastSuccessAt,
+        totals: uberBreaker.totals,
+    };
+}
+
+// ====================== UBER TOKEN HANDLING ======================
+
+let cachedToken = null;
+let tokenExpiry = null;
+
+async function getAccessToken() {
+    if (!UBER.CLIENT_ID || !UBER.CLIENT_SECRET) {
+        throw new AppError("Missing UBER_CLIENT_ID / UBER_CLIENT_SECRET in .env", { code: "uber_not_configured" });
+    }
+    if (cachedToken && Date.now() < tokenExpiry) return cachedToken;
+
+    let data;
+    try {
+        data = await callUber("token", async () => {
+            const response = await axios.post(
+                UBER.TOKEN_URL,
+                new URLSearchParams({
+                    grant_type: "client_credentials",
+                    client_id: UBER.CLIENT_ID,
+                    client_secret: UBER.CLIENT_SECRET,
+                    scope: UBER.SCOPE,
+                }).toString(),
+                {
+                    headers: { "Content-Type": "application/x-www-form-urlencoded", "X-Request-Id": currentRequestId() },
+                    timeout: UBER_HTTP.TIMEOUTS.token,
+                }
+            );
+            return response.data;
+        });
+    } catch (e) {
+        // the token endpoint answers bad credentials with 400 invalid_client
+        if (e instanceof UberValidationError) throw new UberAuthError(e.message, e);
+        throw e;
+    }
+
+    cachedToken = data.access_token;
+    tokenExpiry = Date.now() + (data.expires_in - 60) * 1000;
+
+    return cachedToken;
+}
+
+/**
+ * opts.timeout - ms for this call (defaults to UBER_HTTP.TIMEOUTS.default)
+ * opts.retry   - "idempotent" | "safe" | false (see UBER RESILIENCE)
+ */
+async function uberRequest(method, url, data = null, opts = {}) {
+    if (!UBER.CUSTOMER_ID) throw new AppError("Missing UBER_CUSTOMER_ID in .env", { code: "uber_not_configured" });
+    const token = await getAccessToken();
+
+    try {
+        return await callUber(
+            `${method} ${url.replace(UBER.BASE_URL, "")}`,
+            async () => {
+                const response = await axios({
+                    method,
+                    url,
+                    data: data ?? undefined, // axios would send a literal "null" body, which strict JSON parsers reject
+                    timeout: opts.timeout || UBER_HTTP.TIMEOUTS.default,
+                    headers: {
+                        Authorization: `Bearer ${token}`,
+                        "Content-Type": "application/json",
+                        "X-Request-Id": currentRequestId(),
+                    },
+                });
+                return response.data;
+            },
+            { retry: opts.retry ?? "idempotent" }
+        );
+    } catch (e) {
+        if (e instanceof UberAuthError) cachedToken = null; // force a fresh token next time
+        throw e;
+    }
+}
+
+async function getDeliveryQuotes(payload, opts = {}) {
+    return uberRequest("POST", `${UBER.BASE_URL}/v1/customers/${UBER.CUSTOMER_ID}/delivery_quotes`, payload, {
+        timeout: UBER_HTTP.TIMEOUTS.quote,
+        ...opts,
+    });
+}
+
+// Not idempotent on Uber's side: a retry after a timeout could dispatch a second courier
+async function createDelivery(payload, opts = {}) {
+    return uberRequest(
+        "POST",
+        `${UBER.BASE_URL}/v1/customers/${UBER.CUSTOMER_ID}/deliveries`,
+        {
+            ...payload,
+            test_specifications: {
+                robo_courier_specification: { mode: "auto" },
+            },
+        },
+        { timeout: UBER_HTTP.TIMEOUTS.create, retry: "safe", ...opts }
+    );
+}
+
+async function getDeliveryDetails(deliveryId, opts = {}) {
+    return uberRequest("GET", `${UBER.BASE_URL}/v1/customers/${UBER.CUSTOMER_ID}/deliveries/${deliveryId}`, null, {
+        timeout: UBER_HTTP.TIMEOUTS.get,
+        ...opts,
+    });
+}
+
+// Uber has no lookup by external_id: walk the delivery list (newest first) until it turns up or the
+// list gets older than `since`. Returns null when Uber has no such delivery.
+async function findDeliveryByExternalId(externalId, { since } = {}, opts = {}) {
+    const limit = 50;
+    for (let offset = 0; offset < 500; offset += limit) {
+        const page = await uberRequest("GET", `${UBER.BASE_URL}/v1/customers/${UBER.CUSTOMER_ID}/deliveries?limit=${limit}&offset=${offset}`, null, {
+            timeout: UBER_HTTP.TIMEOUTS.get,
+            ...opts,
+        });
+        const list = page.data || [];
+        const match = list.find((d) => d.external_id === externalId);
+        if (match) return match;
+        const oldest = list[list.length - 1];
+        if (list.length < limit || (since && Date.parse(oldest.created) < since.getTime())) return null;
+    }
+    return null;
+}
+
+async function cancelDelivery(deliveryId, opts = {}) {
+    return uberRequest("POST", `${UBER.BASE_URL}/v1/customers/${UBER.CUSTOMER_ID}/deliveries/${deliveryId}/cancel`, null, {
+        timeout: UBER_HTTP.TIMEOUTS.cancel,
+        ...opts,
+    });
+}
+
+// ====================== UBER SIMULATOR ======================
+// Offline stand-in for Uber Direct, enabled with UBER_BACKEND=simulator.
+// Serves the same token / quote / delivery endpoints under /sim/uber, keeps everything in memory
+// and pushes signed webhooks to our own /webhook/uber as deliveries move along.
+
+const SIM = {
+    STEP_MS: Number(process.env.UBER_SIM_STEP_MS) || 15000,
+    QUOTE_TTL_MS: 15 * 60 * 1000,
+    WEBHOOK_URL: process.env.UBER_SIM_WEBHOOK_URL || `http://127.0.0.1:${PORT}/webhook/uber`,
+    WEBHOOK_RETRIES: 3, // redeliveries of an event we answered with an error (1s, 2s, 4s apart)
+    ORIGIN: { lat: 37.7749, lng: -122.4194 }, // fake coords are scattered around this point
+};
+
+const SIM_FLOW = ["pending", "pickup", "pickup_complete", "dropoff", "delivered"];
+const SIM_CANCELABLE = ["pending", "pickup"];
+
+const sim = {
+    tokens: new Map(), // access_token -> expiry ms
+    quotes: new Map(), // quote id -> quote
+    deliveries: new Map(), // delivery id -> delivery
+    timers: new Map(), // delivery id -> timeout
+    manual: new Set(), // delivery ids created with robo courier mode "manual"
+};
+
+function simId(prefix) {
+    return `${prefix}_${crypto.randomBytes(12).toString("hex")}`;
+}
+
+function simHash(str) {
+    return crypto.createHash("sha256").update(String(str || "")).digest().readUInt32BE(0);
+}
+
+// deterministic pseudo-location for an address string (within ~10km of SIM.ORIGIN)
+function simLocation(address, lat, lng) {
+    if (lat != null && lng != null) return { lat: Number(lat), lng: Number(lng) };
+    const h = simHash(address);
+    return {
+        lat: SIM.ORIGIN.lat + ((h % 2000) - 1000) / 10000,
+        lng: SIM.ORIGIN.lng + ((Math.floor(h / 2000) % 2000) - 1000) / 10000,
+    };
+}
+
+function simError(res, status, code, message, metadata) {
+    return res.status(status).json({ kind: "error", code, message, ...(metadata ? { metadata } : {}) });
+}
+
+function simAuth(req, res, next) {
+    const token = (req.headers.authorization || "").replace(/^Bearer /, "");
+    const expiry = sim.tokens.get(token);
+    if (!expiry || expiry < Date.now()) return simError(res, 401, "unauthorized", "Invalid or expired access token");
+    if (req.params.customerId !== UBER.CUSTOMER_ID) return simError(res, 404, "customer_not_found", "Customer does not exist");
+    next();
+}
+
+function simMissing(body, fields) {
+    const metadata = {};
+    for (const f of fields) {
+        if (body[f] == null || body[f] === "") metadata[f] = "This field is required";
+    }
+    if (fields.includes("manifest_items") && (!Array.isArray(body.manifest_items) || !body.manifest_items.length)) {
+        metadata.manifest_items = "At least one manifest item is required";
+    }
+    return Object.keys(metadata).length ? metadata : null;
+}
+
+function simFee(body) {
+    return 500 + (simHash(`${body.pickup_address}|${body.dropoff_address}`) % 1500); // cents
+}
+
+async function simEmit(kind, delivery, extra = {}) {
+    const event = {
+        id: simId("evt"),
+        kind,
+        created: new Date().toISOString(),
+        live_mode: false,
+        customer_id: UBER.CUSTOMER_ID,
+        delivery_id: delivery.id,
+        status: delivery.status,
+        data: delivery,
+        ...extra,
+    };
+    const body = JSON.stringify(event);
+    const signature = crypto.createHmac("sha256", UBER.WEBHOOK_SIGNING_KEY).update(body).digest("hex");
+
+    // like Uber, redeliver the same event (same id) with backoff while we answer non-2xx
+    for (let attempt = 0; ; attempt++) {
+        try {
+            await axios.post(SIM.WEBHOOK_URL, body, {
+                headers: { "Content-Type": "application/json", "X-Uber-Signature": signature, "X-Request-Id": currentRequestId() },
+            });
+            return;
+        } catch (e) {
+            if (attempt >= SIM.WEBHOOK_RETRIES) return logger.warn("Simulator webhook failed", { kind, deliveryId: delivery.id, err: e });
+            await sleep(1000 * 2 ** attempt);
+        }
+    }
+}
+
+function simCourierLocation(delivery) {
+    const { pickup, dropoff } = delivery;
+    const mid = (a, b) => ({ lat: (a.lat + b.lat) / 2, lng: (a.lng + b.lng) / 2 });
+
+    switch (delivery.status) {
+        case "pickup":
+            return mid(SIM.ORIGIN, pickup.location);
+        case "pickup_complete":
+            return pickup.location;
+        case "dropoff":
+            return mid(pickup.location, dropoff.location);
+        case "delivered":
+            return dropoff.location;
+        default:
+            return delivery.courier.location;
+    }
+}
+
+function simSetStatus(delivery, status) {
+    const now = new Date().toISOString();
+    delivery.status = status;
+    delivery.updated = now;
+    delivery.complete = ["delivered", "canceled", "returned"].includes(status);
+
+    if (status === "pickup" && !delivery.courier) {
+        delivery.courier = {
+            name: "Robo Courier",
+            rating: "5.0",
+            vehicle_type: "car",
+            phone_number: "+14155550100",
+            location: SIM.ORIGIN,
+            img_href: "",
+        };
+    }
+    if (status === "pickup_complete") delivery.pickup.status = "completed";
+    if (status === "delivered") {
+        delivery.dropoff.status = "completed";
+        delivery.dropoff.status_timestamp = now;
+        delivery.dropoff.verification = simProof(delivery, now);
+    }
+    if (status === "canceled") delivery.pickup.status = delivery.pickup.status === "completed" ? "completed" : "canceled";
+
+    if (delivery.courier) delivery.courier.location = simCourierLocation(delivery);
+}
+
+// What the robo courier "collected" at the door, following the dropoff verification requirements
+function simProof(delivery, now) {
+    const req = delivery.dropoff.verification_requirements || {};
+    const file = (name) => `${UBER_SIM_URL}/_proof/${delivery.id}/${name}.png`;
+    const proof = { completion_location: delivery.dropoff.location };
+
+    if (req.signature_requirement?.enabled) {
+        proof.signature = {
+            image_url: file("signature"),
+            ...(req.signature_requirement.collect_signer_name ? { signer_name: delivery.dropoff.name || "Recipient" } : {}),
+            ...(req.signature_requirement.collect_signer_relationship ? { signer_relationship: "self" } : {}),
+        };
+    }
+    if (req.picture || delivery.deliverable_action === "deliverable_action_leave_at_door") {
+        proof.picture = { image_url: file("picture") };
+    }
+    if (req.pincode?.enabled) proof.pin_code = { entered: "1234" };
+    if (req.barcodes?.length) {
+        proof.barcodes = req.barcodes.map((b) => ({ ...b, scan_result: { outcome: "SUCCESS", timestamp: now } }));
+    }
+    if (req.identification) proof.identification = { min_age_verified: true };
+    return proof;
+}
+
+function simSchedule(delivery) {
+    clearTimeout(sim.timers.get(delivery.id));
+    if (delivery.complete) return sim.timers.delete(delivery.id);
+
+    const timer = setTimeout(() => simAdvance(delivery), SIM.STEP_MS);
+    timer.unref();
+    sim.timers.set(delivery.id, timer);
+}
+
+async function simAdvance(delivery) {
+    const next = SIM_FLOW[SIM_FLOW.indexOf(delivery.status) + 1];
+    if (!next) return;
+
+    simSetStatus(delivery, next);
+    if (!sim.manual.has(delivery.id)) simSchedule(delivery);
+
+    await simEmit("event.delivery_status", delivery);
+    if (delivery.courier && !delivery.complete) {
+        await simEmit("event.courier_update", delivery, { location: delivery.courier.location });
+    }
+}
+
+const simRouter = express.Router();
+
+simRouter.post("/oauth/v2/token", express.urlencoded({ extended: false }), (req, res) => {
+    const { grant_type, client_id, client_secret, scope } = req.body || {};
+    if (grant_type !== "client_credentials") return res.status(400).json({ error: "unsupported_grant_type" });
+    if (client_id !== UBER.CLIENT_ID || client_secret !== UBER.CLIENT_SECRET) {
+        return res.status(401).json({ error: "invalid_client" });
+    }
+
+    const expires_in = 30 * 24 * 3600;
+    const access_token = simId("simtok");
+    sim.tokens.set(access_token, Date.now() + expires_in * 1000);
+    res.json({ access_token, token_type: "Bearer", expires_in, scope: scope || UBER.SCOPE });
+});
+
+simRouter.post("/v1/customers/:customerId/delivery_quotes", simAuth, (req, res) => {
+    const body = req.body || {};
+    const metadata = simMissing(body, ["pickup_address", "dropoff_address"]);
+    if (metadata) return simError(res, 400, "invalid_params", "The parameters of your request were invalid.", metadata);
+
+    const now = Date.now();
+    const duration = 20 + (simHash(body.dropoff_address) % 40); // minutes
+    const quote = {
+        kind: "delivery_quote",
+        id: simId("dqt"),
+        created: new Date(now).toISOString(),
+        expires: new Date(now + SIM.QUOTE_TTL_MS).toISOString(),
+        fee: simFee(body),
+        currency: "usd",
+        currency_type: "USD",
+        dropoff_eta: new Date(now + duration * 60000).toISOString(),
+        duration,
+        pickup_duration: 10,
+        dropoff_deadline: new Date(now + (duration + 60) * 60000).toISOString(),
+    };
+    sim.quotes.set(quote.id, { ...quote, request: body });
+    res.json(quote);
+});
+
+simRouter.post("/v1/customers/:customerId/deliveries", simAuth, (req, res) => {
+    const body = req.body || {};
+    const metadata = simMissing(body, [
+        "pickup_address",
+        "pickup_name",
+        "pickup_phone_number",
+        "dropoff_address",
+        "dropoff_name",
+        "dropoff_phone_number",
+        "manifest_items",
+    ]);
+    if (metadata) return simError(res, 400, "invalid_params", "The parameters of your request were invalid.", metadata);
+
+    const quote = body.quote_id ? sim.quotes.get(body.quote_id) : null;
+    if (body.quote_id && !quote) {
+        return simError(res, 400, "invalid_params", "The parameters of your request were invalid.", { quote_id: "Unknown quote" });
+    }
+    if (quote && Date.parse(quote.expires) < Date.now()) {
+        return simError(res, 400, "expired_quote", "The price quote specified has expired.");
+    }
+
+    const now = Date.now();
+    const duration = quote?.duration || 30;
+    const id = simId("del");
+    const delivery = {
+        kind: "delivery",
+        id,
+        quote_id: quote?.id || null,
+        status: "pending",
+        complete: false,
+        live_mode: false,
+        created: new Date(now).toISOString(),
+        updated: new Date(now).toISOString(),
+        fee: quote?.fee ?? simFee(body),
+        currency: "usd",
+        external_id: body.external_id || null,
+        tip: body.tip ?? null,
+        manifest_total_value: body.manifest_total_value ?? null,
+        deliverable_action: body.deliverable_action || "deliverable_action_meet_at_door",
+        pickup_ready: body.pickup_ready_dt || new Date(now).toISOString(),
+        pickup_deadline: body.pickup_deadline_dt || new Date(now + 60 * 60000).toISOString(),
+        pickup_eta: new Date(now + 10 * 60000).toISOString(),
+        dropoff_eta: new Date(now + duration * 60000).toISOString(),
+        dropoff_ready: body.dropoff_ready_dt || new Date(now).toISOString(),
+        dropoff_deadline: body.dropoff_deadline_dt || new Date(now + (duration + 60) * 60000).toISOString(),
+        pickup: {
+            name: body.pickup_name,
+            phone_number: body.pickup_phone_number,
+            address: body.pickup_address,
+            notes: body.pickup_notes || "",
+            status: "pending",
+            location: simLocation(body.pickup_address, body.pickup_latitude, body.pickup_longitude),
+        },
+        dropoff: {
+            name: body.dropoff_name,
+            phone_number: body.dropoff_phone_number,
+            address: body.dropoff_address,
+            notes: body.dropoff_notes || "",
+            verification_requirements: body.dropoff_verification || null,
+            status: "pending",
+            location: simLocation(body.dropoff_address, body.dropoff_latitude, body.dropoff_longitude),
+        },
+        manifest_items: body.manifest_items,
+        courier: null,
+        courier_imminent: false,
+        tracking_url: `${UBER_SIM_URL}/track/${id}`,
+    };
+
+    sim.deliveries.set(id, delivery);
+    if ((body.test_specifications?.robo_courier_specification?.mode || "auto") === "auto") simSchedule(delivery);
+    else sim.manual.add(id);
+    setImmediate(() => simEmit("event.delivery_status", delivery));
+
+    res.json(delivery);
+});
+
+simRouter.get("/v1/customers/:customerId/deliveries", simAuth, (req, res) => {
+    const limit = Math.min(Number(req.query.limit) || 50, 100);
+    const offset = Number(req.query.offset) || 0;
+    const all = [...sim.deliveries.values()].reverse(); // insertion order is creation order
+    res.json({ object: "list", data: all.slice(offset, offset + limit), total_count: all.length });
+});
+
+simRouter.get("/v1/customers/:customerId/deliveries/:deliveryId", simAuth, (req, res) => {
+    const delivery = sim.deliveries.get(req.params.deliveryId);
+    if (!delivery) return simError(res, 404, "delivery_not_found", "The requested delivery does not exist.");
+    res.json(delivery);
+});
+
+simRouter.post("/v1/customers/:customerId/deliveries/:deliveryId/cancel", simAuth, (req, res) => {
+    const delivery = sim.deliveries.get(req.params.deliveryId);
+    if (!delivery) return simError(res, 404, "delivery_not_found", "The requested delivery does not exist.");
+    if (!SIM_CANCELABLE.includes(delivery.status)) {
+        return simError(res, 400, "noncancelable_delivery", "Delivery cannot be canceled.");
+    }
+
+    simSetStatus(delivery, "canceled");
+    simSchedule(delivery);
+    setImmediate(() => simEmit("event.delivery_status", delivery));
+
+    res.json(delivery);
+});
+
+simRouter.get("/track/:deliveryId", (req, res) => {
+    const delivery = sim.deliveries.get(req.params.deliveryId);
+    if (!delivery) return res.status(404).type("text").send("Unknown delivery");
+    res.type("text").send(`Simulated delivery ${delivery.id}: ${delivery.status}`);
+});
+
+// Stand-in for Uber's signed proof image urls
+// a plain grey 48x16 PNG: enough to exercise download, storage and display
+const SIM_PROOF_PNG = Buffer.from(
+    "iVBORw0KGgoAAAANSUhEUgAAADAAAAAQCAIAAADfzGvmAAAAJElEQVR42mN49OLDoEIMow4addCog0YdNOqgUQeNOmjUQfRFAHseLnlVcGwKAAAAAElFTkSuQmCC",
+    "base64"
+);
+
+simRouter.get("/_proof/:deliveryId/:file", (req, res) => {
+    const delivery = sim.deliveries.get(req.params.deliveryId);
+    const kind = req.params.file.replace(/\.png$/, "");
+    if (!delivery?.dropoff.verification?.[kind]) return res.status(404).type("text").send("Unknown proof");
+    res.type("image/png").send(SIM_PROOF_PNG);
+});
+
+// Test helper: step a delivery to its next status right away (manual robo courier mode)
+simRouter.post("/_deliveries/:deliveryId/advance", async (req, res) => {
+    const delivery = sim.deliveries.get(req.params.deliveryId);
+    if (!delivery) return simError(res, 404, "delivery_not_found", "The requested delivery does not exist.");
+    await simAdvance(delivery);
+    res.json(delivery);
+});
+
+if (UBER_SIMULATOR) {
+    app.use("/sim/uber", simRouter);
+    logger.info("Uber simulator enabled", { url: UBER_SIM_URL });
+}
+
+// ====================== HELPERS ======================
+
+function computeQuoteTotals(items) {
+    let subtotal = 0;
+    const normalized = items.map((it) => {
+        const lineTotal = (Number(it.price) || 0) * (Number(it.qty) || 0);
+        subtotal += lineTotal;
+        return { ...it, lineTotal };
+    });
+    return { subtotal, items: normalized };
+}
+
+// ====================== EVENT BUS ======================
+// Changes worth pushing to the admin UI (delivery status, courier positions, quotes) are published
+// here and streamed to browsers by GET /api/stream. Event ids are "<boot>:<seq>" so a client that
+// reconnects after a restart, or fell further behind than the replay buffer, is told to resync.
+
+const bus = new EventEmitter();
+bus.setMaxListeners(0); // one listener per open stream
+
+const BUS_BOOT_ID = crypto.randomBytes(4).toString("hex");
+const BUS_REPLAY_SIZE = 200;
+const busRecent = []; // last BUS_REPLAY_SIZE events, for Last-Event-ID replay
+let busSeq = 0;
+
+// Serialised once here, so later changes to the documents in payload don't leak into replays
+function publish(type, payload) {
+    const id = `${BUS_BOOT_ID}:${++busSeq}`;
+    const event = { id, seq: busSeq, data: JSON.stringify({ ...payload, id, type, at: new Date().toISOString() }) };
+    busRecent.push(event);
+    if (busRecent.length > BUS_REPLAY_SIZE) busRecent.shift();
+    bus.emit("event", event);
+}
+
+// Events after lastEventId, or null when they can't all be replayed
+function eventsSince(lastEventId) {
+    const [boot, seq] = String(lastEventId).split(":");
+    const n = Number(seq);
+    if (boot !== BUS_BOOT_ID || !Number.isInteger(n) || n > busSeq) return null;
+    if (n < busSeq && (!busRecent.length || busRecent[0].seq > n + 1)) return null;
+    return busRecent.filter((e) => e.seq > n);
+}
+
+// ====================== API: HEALTH ======================
+
+app.get("/api/health", (req, res) => {
+    const uber = uberHealth();
+    res.json({
+        ok: true,
+        status: uber.circuit === "closed" ? "ok" : "degraded",
+        mongo: mongoose.connection.readyState === 1 ? "connected" : "disconnected",
+        uber,
+    });
+});
+
+// ====================== PUBLIC TRACKING ======================
+// Every delivery gets an unguessable trackingToken; /track/:token is a branded page for the
+// customer and /api/public/track/:token the JSON behind it (CORS-open for storefront embeds).
+// No login: only what the customer already knows or needs is exposed. No phone numbers, no
+// street addresses, no prices, no internal or Uber ids, and the courier only by first name.
+
+const TRACKING_TOKEN = /^[A-Za-z0-9_-]{24}$/;
+const TRACKING_REFRESH_MS = 30000;
+
+// Customer-facing steps, in order; canceled/returned replace the rest when they happen
+const TRACKING_STEPS = [
+    { key: "confirmed", label: "Order confirmed", statuses: ["creating", "create_unknown", "pending"] },
+    { key: "courier_assigned", label: "Courier on the way to the store", statuses: ["pickup"] },
+    { key: "picked_up", label: "Picked up", statuses: ["pickup_complete"] },
+    { key: "arriving", label: "Arriving", statuses: ["dropoff"] },
+    { key: "delivered", label: "Delivered", statuses: ["delivered"] },
+];
+const TRACKING_ENDINGS = {
+    canceled: { key: "canceled", label: "Delivery canceled" },
+    returned: { key: "returned", label: "Returned to the store" },
+};
+const COURIER_VISIBLE_STATUSES = ["pickup", "pickup_complete", "dropoff"];
+
+const newTrackingToken = () => crypto.randomBytes(18).toString("base64url");
+const trackingUrl = (token) => (token ? `${BRAND.PUBLIC_URL}/track/${token}` : null);
+
+// ~100 m: enough for a map pin, not an exact doorstep
+const roughCoords = (lat, lng) =>
+    Number.isFinite(lat) && Number.isFinite(lng) ? { lat: Math.round(lat * 1000) / 1000, lng: Math.round(lng * 1000) / 1000 } : null;
+
+const escapeHtml = (v) =>
+    String(v ?? "").replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+
+async function findTrackedDelivery(token) {
+    if (!TRACKING_TOKEN.test(token)) return null;
+    return Delivery.findOne({ trackingToken: token, archivedAt: null }).populate({
+        path: "quoteDbId",
+        populate: { path: "warehouseId", select: "name address.city" },
+    });
+}
+
+function publicTracking(doc) {
+    const quote = doc.quoteDbId;
+    const reached = new Map(); // status -> first time it was applied
+    for (const h of doc.statusHistory || []) if (!h.ignored && !reached.has(h.to)) reached.set(h.to, h.at);
+
+    const ending = TRACKING_ENDINGS[doc.status];
+    const current = TRACKING_STEPS.findIndex((s) => s.statuses.includes(doc.status));
+    const lastDone = ending ? Math.max(...TRACKING_STEPS.map((s, i) => (s.statuses.some((st) => reached.has(st)) ? i : 0))) : Math.max(current, 0);
+    const progress = TRACKING_STEPS.slice(0, ending ? lastDone + 1 : undefined).map((s, i) => ({
+        key: s.key,
+        label: s.label,
+        done: i <= lastDone,
+        at: s.statuses.map((st) => reached.get(st)).find(Boolean) || null,
+    }));
+    if (ending) progress.push({ ...ending, done: true, at: reached.get(doc.status) || doc.statusAt || null });
+    const step = ending || TRACKING_STEPS[current] || TRACKING_STEPS[0];
+
+    const c = doc.courier;
+    const terminal = DELIVERY_TERMINAL_STATUSES.includes(doc.status);
+    const courierVisible = COURIER_VISIBLE_STATUSES.includes(doc.status);
+    const warehouse = quote?.warehouseId;
+
+    return {
+        brand: { name: BRAND.NAME, color: BRAND.COLOR, logoUrl: BRAND.LOGO_URL },
+        order: {
+            reference: String(doc._id).slice(-8).toUpperCase(),
+            placedAt: doc.createdAt,
+            items: (quote?.items || []).map((line) => ({ name: line.name, qty: line.qty })),
+        },
+        warehouse: warehouse ? { name: warehouse.name, city: warehouse.address?.city || null } : null,
+        destination: { city: quote?.dropoffAddress?.city || null },
+        status: { key: step.key, label: step.label, terminal, updatedAt: doc.statusAt || doc.updatedAt },
+        progress,
+        eta: terminal
+            ? null
+            : {
+                  pickup: c?.pickupEta || doc.raw?.pickup_eta || null,
+                  dropoff: c?.dropoffEta || doc.raw?.dropoff_eta || null,
+              },
+        deliveredAt: reached.get("delivered") || null,
+        courier:
+            courierVisible && (c?.name || doc.raw?.courier?.name)
+                ? {
+                      firstName: String(c?.name || doc.raw.courier.name).split(/\s+/)[0],
+                      vehicleType: c?.vehicleType || doc.raw?.courier?.vehicle_type || null,
+                      location: c?.at ? { ...roughCoords(c.location?.lat, c.location?.lng), at: c.at } : null,
+                  }
+                : null,
+        map: {
+            pickup: roughCoords(doc.raw?.pickup?.location?.lat ?? quote?.pickupAddress?.latitude, doc.raw?.pickup?.location?.lng ?? quote?.pickupAddress?.longitude),
+            dropoff: roughCoords(doc.raw?.dropoff?.location?.lat ?? quote?.dropoffAddress?.latitude, doc.raw?.dropoff?.location?.lng ?? quote?.dropoffAddress?.longitude),
+        },
+        refreshAfterMs: terminal ? null : TRACKING_REFRESH_MS,
+    };
+}
+
+app.get("/api/public/track/:token", async (req, res) => {
+    res.set("Access-Control-Allow-Origin", "*");
+    res.set("Cache-Control", "no-store");
+    const doc = await findTrackedDelivery(req.params.token);
+    if (!doc) throw new NotFoundError("Tracking link not found");
+    res.json(publicTracking(doc));
+});
+
+app.get("/track/:token", async (req, res) => {
+    res.set("Cache-Control", "no-store");
+    res.set("X-Robots-Tag", "noindex");
+    const doc = await findTrackedDelivery(req.params.token);
+    res.status(doc ? 200 : 404).type("html").send(trackingPage(doc ? publicTracking(doc) : null, req.params.token));
+});
+
+// The JSON is inlined for the first paint; the script then polls it until the delivery is finished
+function trackingPage(data, token) {
+    const name = escapeHtml(BRAND.NAME);
+    const logo = BRAND.LOGO_URL ? `<img src="${escapeHtml(BRAND.LOGO_URL)}" alt="${name}" class="logo" />` : `<span class="name">${name}</span>`;
+
+    return `<!doctype html>
+<html>
+<head>
+  <meta charset="utf-8" />
+  <meta name="viewport" content="width=device-width,initial-scale=1" />
+  <meta name="robots" content="noindex" />
+  <title>${name}${data ? " · " + escapeHtml(data.status.label) : ""}</title>
+  <link rel="stylesheet" href="https://unpkg.com/leaflet@1.9.4/dist/leaflet.css"
+    integrity="sha256-p4NxAoJBhIIN+hmNHrzRCf9tD/miZyoHS5obTRR9BMY=" crossorigin="anonymous" />
+  <script src="https://unpkg.com/leaflet@1.9.4/dist/leaflet.js"
+    integrity="sha256-20nQCchB9co0qIjJZRGuk2/Z9VM+kNiyxNV1lvTlZBo=" crossorigin="anonymous"></script>
+  <style>
+    :root { --brand: ${BRAND.COLOR}; }
+    body { margin: 0; font-family: system-ui, -apple-system, sans-serif; background: #f8fafc; color: #0f172a; }
+    header { background: var(--brand); color: #fff; padding: 14px 20px; }
+    header .logo { max-height: 32px; }
+    header .name { font-weight: 600; font-size: 18px; }
+    main { max-width: 560px; margin: 0 auto; padding: 20px; }
+    .card { background: #fff; border: 1px solid #e2e8f0; border-radius: 12px; padding: 16px; margin-bottom: 16px; }
+    .status { font-size: 22px; font-weight: 700; }
+    .muted { color: #64748b; font-size: 14px; }
+    ol.steps { list-style: none; padding: 0; margin: 0; }
+    ol.steps li { display: flex; gap: 10px; align-items: baseline; padding: 6px 0; color: #94a3b8; }
+    ol.steps li.done { color: #0f172a; }
+    ol.steps li .dot { width: 10px; height: 10px; border-radius: 50%; background: #cbd5e1; flex: none; }
+    ol.steps li.done .dot { background: var(--brand); }
+    ol.steps li .at { margin-left: auto; font-size: 13px; color: #64748b; }
+    #map { height: 260px; border-radius: 12px; margin-bottom: 16px; }
+    ul.items { padding-left: 18px; margin: 8px 0 0; }
+  </style>
+</head>
+<body>
+  <header>${logo}</header>
+  <main id="app">${data ? "" : '<div class="card"><div class="status">Tracking link not found</div><p class="muted">Check the link in your message, or contact the store.</p></div>'}</main>
+
+<script>
+var TOKEN = ${JSON.stringify(token).replace(/</g, "\\u003c")};
+var state = ${JSON.stringify(data).replace(/</g, "\\u003c")}; // "<" escaped so item names can't close the script tag
+var map = null, layers = null;
+
+function esc(v) {
+  return String(v == null ? "" : v).replace(/[&<>"']/g, function(c){ return { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[c]; });
+}
+function time(v) { return v ? new Date(v).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" }) : ""; }
+
+function render(d) {
+  var eta = d.eta && (d.eta.dropoff ? "Estimated arrival " + time(d.eta.dropoff) : "");
+  var html = '<div class="card"><div class="muted">Order ' + esc(d.order.reference) + '</div>'
+    + '<div class="status">' + esc(d.status.label) + '</div>'
+    + (d.deliveredAt ? '<div class="muted">Delivered at ' + time(d.deliveredAt) + '</div>' : eta ? '<div class="muted">' + esc(eta) + '</div>' : '')
+    + (d.courier ? '<div class="muted">Your courier: ' + esc(d.courier.firstName) + (d.courier.vehicleType ? ' · ' + esc(d.courier.vehicleType) : '') + '</div>' : '')
+    + '</div>'
+    + (d.courier && d.courier.location ? '<div id="map"></div>' : '')
+    + '<div class="card"><ol class="steps">' + d.progress.map(function(s){
+        return '<li class="' + (s.done ? 'done' : '') + '"><span class="dot"></span><span>' + esc(s.label) + '</span><span class="at">' + time(s.at) + '</span></li>';
+      }).join('') + '</ol></div>'
+    + '<div class="card"><div style="font-weight:600">Your order</div>'
+    + (d.warehouse ? '<div class="muted">From ' + esc(d.warehouse.name) + (d.warehouse.city ? ', ' + esc(d.warehouse.city) : '') + '</div>' : '')
+    + '<ul class="items">' + d.order.items.map(function(i){ return '<li>' + esc(i.qty) + ' × ' + esc(i.name) + '</li>'; }).join('') + '</ul></div>';
+
+  if (map) { map.remove(); map = null; }
+  document.getElementById("app").innerHTML = html;
+  if (d.courier && d.courier.location && window.L) drawMap(d);
+}
+
+function drawMap(d) {
+  map = L.map("map", { zoomControl: false, attributionControl: true });
+  L.tileLayer("https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png", { maxZoom: 19, attribution: "© OpenStreetMap" }).addTo(map);
+  var points = [];
+  var add = function(p, color, label) {
+    if (!p || p.lat == null) return;
+    L.circleMarker([p.lat, p.lng], { radius: 8, color: color, fillColor: color, fillOpacity: 0.9 }).bindTooltip(label).addTo(map);
+    points.push([p.lat, p.lng]);
+  };
+  add(d.map.pickup, "#64748b", "Store");
+  add(d.map.dropoff, "#0f172a", "You");
+  add(d.courier.location, d.brand.color, "Courier");
+  if (points.length > 1) map.fitBounds(points, { padding: [30, 30] });
+  else map.setView(points[0], 14);
+}
+
+function poll() {
+  if (!state || !state.refreshAfterMs) return;
+  setTimeout(function(){
+    fetch("/api/public/track/" + encodeURIComponent(TOKEN))
+      .then(function(r){ return r.ok ? r.json() : null; })
+      .then(function(d){ if (d) { state = d; render(d); } })
+      .catch(function(){})
+      .then(poll);
+  }, state.refreshAfterMs);
+}
+
+if (state) { render(state); poll(); }
+</script>
+</body>
+</html>`;
+}
+
+// ====================== AUTH ======================
+// Browsers log in with email + password and get an HttpOnly session cookie (which EventSource sends
+// too); machine clients send an API key as "Authorization: Bearer udk_..." or "X-API-Key".
+// Everything under /api except health and login needs one or the other; requireRole() then gates
+// individual routes by ROLES order.
+
+const sha256 = (v) => crypto.createHash("sha256").update(v).digest("hex");
+
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const hash = await new Promise((resolve, reject) =>
+        crypto.scrypt(password, salt, 64, (err, key) => (err ? reject(err) : resolve(key)))
+    );
+    return `scrypt$${salt.toString("hex")}$${hash.toString("hex")}`;
+}
+
+async function verifyPassword(password, stored) {
+    const [scheme, saltHex, hashHex] = String(stored || "").split("$");
+    if (scheme !== "scrypt" || !saltHex || !hashHex) return false;
+    const expected = Buffer.from(hashHex, "hex");
+    const actual = await new Promise((resolve, reject) =>
+        crypto.scrypt(password, Buffer.from(saltHex, "hex"), expected.length, (err, key) => (err ? reject(err) : resolve(key)))
+    );
+    return crypto.timingSafeEqual(expected, actual);
+}
+
+// Checked against when the email has no account, so a miss costs the same scrypt run as a wrong password
+const DUMMY_PASSWORD_HASH =
+    "scrypt$bf825c90142685199c1dccdc4fc4c876$75c904d0bf2fffed3f21b011857c483315e5e6586dcd9ebb542e8e2fc6866e083843b5b8941ded111759d3465a7003b2aee343c3a515e17de64b30785bcd58db";
+
+function checkPasswordStrength(password) {
+    if (typeof password !== "string" || password.length < 10) {
+        throw new ValidationError("Password too weak", { password: "At least 10 characters" });
+    }
+}
+
+async function ensureBootstrapAdmin() {
+    if (await Account.exists({})) return;
+    if (!AUTH.BOOTSTRAP_EMAIL || !AUTH.BOOTSTRAP_PASSWORD) {
+        logger.warn("No accounts yet: set ADMIN_EMAIL and ADMIN_PASSWORD to create the first admin");
+        return;
+    }
+    await Account.create({
+        email: AUTH.BOOTSTRAP_EMAIL,
+        name: "Admin",
+        passwordHash: await hashPassword(AUTH.BOOTSTRAP_PASSWORD),
+        role: "admin",
+    });
+    logger.info("Created admin account", { email: AUTH.BOOTSTRAP_EMAIL });
+}
+
+function readCookie(req, name) {
+    for (const part of String(req.headers.cookie || "").split(";")) {
+        const i = part.indexOf("=");
+        if (i > -1 && part.slice(0, i).trim() === name) {
+            try {
+                return decodeURIComponent(part.slice(i + 1).trim());
+            } catch {
+                return null; // malformed %-escapes: treat as no cookie (401) rather than fail every request
+            }
+        }
+    }
+    return null;
+}
+
+function sessionCookie(req, value, maxAgeMs) {
+    const attrs = [`${AUTH.SESSION_COOKIE}=${value}`, "Path=/", "HttpOnly", "SameSite=Lax", `Max-Age=${Math.floor(maxAgeMs / 1000)}`];
+    if (req.secure) attrs.push("Secure");
+    return attrs.join("; ");
+}
+
+async function authenticateApiKey(key) {
+    const [, keyId] = /^udk_([a-f0-9]+)_[A-Za-z0-9_-]+$/.exec(key) || [];
+    if (!keyId) return null;
+    const doc = await ApiKey.findOne({ keyId, revokedAt: null });
+    if (!doc || !crypto.timingSafeEqual(Buffer.from(doc.keyHash), Buffer.from(sha256(key)))) return null;
+
+    ApiKey.updateOne({ _id: doc._id }, { lastUsedAt: new Date() }).catch(() => {});
+    return { kind: "api_key", apiKeyId: doc._id, name: doc.name, role: doc.role };
+}
+
+async function authenticateSession(token) {
+    const session = await Session.findOne({ tokenHash: sha256(token), expiresAt: { $gt: new Date() } });
+    if (!session) return null;
+    const account = await Account.findById(session.accountId);
+    if (!account || account.disabled) return null;
+    return { kind: "session", sessionId: session._id, accountId: account._id, name: account.name || account.email, email: account.email, role: account.role };
+}
+
+async function authenticate(req, res, next) {
+    const bearer = /^Bearer\s+(.+)$/i.exec(req.get("authorization") || "")?.[1];
+    const apiKey = req.get("x-api-key") || (bearer?.startsWith("udk_") ? bearer : null);
+
+    let auth = null;
+    if (apiKey) auth = await authenticateApiKey(apiKey);
+    else {
+        const token = readCookie(req, AUTH.SESSION_COOKIE);
+        if (token) auth = await authenticateSession(token);
+    }
+    if (!auth) throw new UnauthorizedError(apiKey ? "Invalid or revoked API key" : undefined);
+
+    req.auth = auth;
+    addLogContext({ actorId: auth.accountId || auth.apiKeyId });
+    next();
+}
+
+// requireRole("dispatcher") lets dispatchers and admins through
+function requireRole(role) {
+    const min = ROLES.indexOf(role);
+    return (req, res, next) => {
+        if (!req.auth) throw new UnauthorizedError();
+        if (ROLES.indexOf(req.auth.role) < min) throw new ForbiddenError(`Requires the ${role} role`);
+        next();
+    };
+}
+
+// failed logins per email + IP, in memory (resets on restart, which is fine for slowing down guessing)
+const loginFailures = new Map();
+
+function checkLoginThrottle(key) {
+    const entry = loginFailures.get(key);
+    if (!entry || Date.now() - entry.firstAt > AUTH.LOGIN_WINDOW_MS) return;
+    if (entry.count >= AUTH.LOGIN_MAX_FAILURES) {
+        const err = new AppError("Too many failed logins, try again later", { status: 429, code: "too_many_attempts" });
+        err.retryAfter = Math.ceil((entry.firstAt + AUTH.LOGIN_WINDOW_MS - Date.now()) / 1000);
+        throw err;
+    }
+}
+
+function recordLoginFailure(key) {
+    const entry = loginFailures.get(key);
+    if (!entry || Date.now() - entry.firstAt > AUTH.LOGIN_WINDOW_MS) loginFailures.set(key, { count: 1, firstAt: Date.now() });
+    else entry.count++;
+}
+
+function publicAccount(doc) {
+    const { passwordHash, __v, ...rest } = doc.toObject ? doc.toObject() : doc;
+    return rest;
+}
+
+const LOGIN_BODY = {
+    fields: {
+        email: { type: "string", required: true, maxLength: 200 },
+        password: { type: "string", required: true, maxLength: 200 },
+    },
+};
+
+app.post("/api/auth/login", validateBody(LOGIN_BODY), async (req, res) => {
+    const email = req.body.email.toLowerCase();
+    const { password } = req.body;
+
+    const throttleKey = `${email}|${req.ip}`;
+    checkLoginThrottle(throttleKey);
+
+    const account = await Account.findOne({ email }).select("+passwordHash");
+    const valid = await verifyPassword(password, account ? account.passwordHash : DUMMY_PASSWORD_HASH);
+    const ok = account && !account.disabled && valid;
+    if (!ok) {
+        recordLoginFailure(throttleKey);
+        await audit(req, "auth.login_failed", { entity: "Account", id: account?._id, meta: { email } });
+        throw new UnauthorizedError("Invalid email or password");
+    }
+    loginFailures.delete(throttleKey);
+
+    const token = crypto.randomBytes(32).toString("base64url");
+    await Session.create({
+        tokenHash: sha256(token),
+        accountId: account._id,
+        expiresAt: new Date(Date.now() + AUTH.SESSION_TTL_MS),
+        ip: req.ip,
+        userAgent: req.get("user-agent"),
+    });
+    account.lastLoginAt = new Date();
+    await account.save();
+
+    req.auth = { kind: "session", accountId: account._id, name: account.name || account.email, role: account.role };
+    await audit(req, "auth.login", { entity: "Account", id: account._id });
+
+    res.set("Set-Cookie", sessionCookie(req, token, AUTH.SESSION_TTL_MS));
+    res.json({ account: publicAccount(account) });
+});
+
+app.use("/api", authenticate);
+
+app.get("/api/auth/me", (req, res) => {
+    res.json(req.auth);
+});
+
+app.post("/api/auth/logout", validateBody(EMPTY_BODY), async (req, res) => {
+    if (req.auth.sessionId) await Session.deleteOne({ _id: req.auth.sessionId });
+    await audit(req, "auth.logout", { entity: "Account", id: req.auth.accountId });
+    res.set("Set-Cookie", sessionCookie(req, "", 0));
+    res.json({ ok: true });
+});
+
+app.get("/api/auth/accounts", requireRole("admin"), async (req, res) => {
+    res.json(await Account.find({}).sort({ createdAt: 1 }));
+});
+
+const ACCOUNT_FIELDS = {
+    name: { type: "string", maxLength: 200 },
+    role: { type: "string", enum: ROLES },
+    password: { type: "string", maxLength: 200 },
+};
+const ACCOUNT_READ_ONLY = { ...SERVER_FIELDS, passwordHash: "Send password instead", lastLoginAt: "Set by the server" };
+const ACCOUNT_CREATE_BODY = {
+    fields: {
+        ...ACCOUNT_FIELDS,
+        email: { type: "string", required: true, maxLength: 200, pattern: /^[^\s@]+@[^\s@]+$/, patternMessage: "Must be an email address" },
+        password: { ...ACCOUNT_FIELDS.password, required: true },
+    },
+    readOnly: ACCOUNT_READ_ONLY,
+};
+const ACCOUNT_PATCH_BODY = {
+    fields: { ...ACCOUNT_FIELDS, disabled: { type: "boolean" } },
+    readOnly: { ...ACCOUNT_READ_ONLY, email: "Can't change the login email; create a new account" },
+};
+
+app.post("/api/auth/accounts", requireRole("admin"), validateBody(ACCOUNT_CREATE_BODY), async (req, res) => {
+    const { email, name, password, role } = req.body;
+    checkPasswordStrength(password);
+    const doc = await Account.create({ email, name, role, passwordHash: await hashPassword(password) });
+    await audit(req, "account.create", { entity: "Account", after: doc });
+    res.json(publicAccount(doc));
+});
+
+// role / name / disabled / password; signs the account out everywhere when it loses access
+app.patch("/api/auth/accounts/:id", requireRole("admin"), validateBody(ACCOUNT_PATCH_BODY), async (req, res) => {
+    const doc = await Account.findById(req.params.id);
+    if (!doc) throw new NotFoundError("Account not found");
+    const { name, role, disabled, password } = req.body;
+    const before = auditSnapshot(doc);
+
+    if (String(doc._id) === String(req.auth.accountId) && ((role && role !== "admin") || disabled)) {
+        throw new ValidationError("You can't demote or disable your own account", { role: "Ask another admin" });
+    }
+    if (name !== undefined) doc.name = name;
+    if (role !== undefined) doc.role = role;
+    if (disabled !== undefined) doc.disabled = Boolean(disabled);
+    if (password !== undefined) {
+        checkPasswordStrength(password);
+        doc.passwordHash = await hashPassword(password);
+    }
+    await doc.save();
+
+    if (doc.disabled || password !== undefined || role !== undefined) await Session.deleteMany({ accountId: doc._id });
+    await audit(req, "account.update", { entity: "Account", before, after: doc, meta: { passwordChanged: password !== undefined } });
+    res.json(publicAccount(doc));
+});
+
+app.get("/api/auth/api-keys", requireRole("admin"), async (req, res) => {
+    res.json(await ApiKey.find({}).select("-keyHash").sort({ createdAt: -1 }));
+});
+
+// The plaintext key is only returned here, once
+const API_KEY_BODY = {
+    fields: {
+        name: { type: "string", required: true, maxLength: 100 },
+        role: { type: "string", enum: ROLES },
+    },
+};
+
+app.post("/api/auth/api-keys", requireRole("admin"), validateBody(API_KEY_BODY), async (req, res) => {
+    const keyId = crypto.randomBytes(4).toString("hex");
+    const key = `udk_${keyId}_${crypto.randomBytes(24).toString("base64url")}`;
+    const doc = await ApiKey.create({
+        keyId,
+        keyHash: sha256(key),
+        name: req.body.name,
+        role: req.body.role,
+        createdBy: req.auth.accountId,
+    });
+    await audit(req, "api_key.create", { entity: "ApiKey", after: doc });
+    const { keyHash, ...rest } = doc.toObject();
+    res.json({ ...rest, key });
+});
+
+app.delete("/api/auth/api-keys/:id", requireRole("admin"), async (req, res) => {
+    const doc = await ApiKey.findByIdAndUpdate(req.params.id, { revokedAt: new Date() }, { new: true });
+    if (!doc) throw new NotFoundError("API key not found");
+    await audit(req, "api_key.revoke", { entity: "ApiKey", after: doc });
+    res.json({ ok: true });
+});
+
+// ====================== AUDIT ======================
+// One AuditLog row per successful mutation: who (req.auth), what (action + entity), the state
+// before and after, and a flat list of changed paths. Writing the trail never fails the request.
+// Snapshots go through redact() like log lines do, and leave out the Uber payload and history.
+
+const AUDIT_SKIP_PATHS = ["_id", "__v", "createdAt", "updatedAt", "passwordHash", "keyHash", "raw", "statusHistory"];
+
+function auditSnapshot(doc) {
+    if (!doc) return undefined;
+    const obj = JSON.parse(JSON.stringify(doc.toObject ? doc.toObject() : doc));
+    for (const key of ["passwordHash", "keyHash", "raw", "statusHistory"]) delete obj[key];
+    return obj;
+}
+
+// redact a change's values with its full path in view, so "address.city" is masked like the address is
+function redactChange({ path, from, to }) {
+    const keys = path.split(".");
+    const at = (v) => keys.reduce((o, k) => (o && typeof o === "object" ? o[k] : o), redact(keys.reduceRight((inner, k) => ({ [k]: inner }), v)));
+    return { path, from: at(from), to: at(to) };
+}
+
+// leaf paths that differ between two snapshots ("address.city", "items" for arrays)
+function auditChanges(before = {}, after = {}, prefix = "") {
+    const changes = [];
+    const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+    for (const key of keys) {
+        if (!prefix && AUDIT_SKIP_PATHS.includes(key)) continue;
+        const path = prefix + key;
+        const a = before?.[key];
+        const b = after?.[key];
+        const nested = (v) => v && typeof v === "object" && !Array.isArray(v);
+        if (nested(a) && nested(b)) changes.push(...auditChanges(a, b, path + "."));
+        else if (JSON.stringify(a) !== JSON.stringify(b)) changes.push({ path, from: a, to: b });
+    }
+    return changes;
+}
+
+async function audit(req, action, { entity, id, before, after, meta } = {}) {
+    const b = auditSnapshot(before);
+    const a = auditSnapshot(after);
+    try {
+        await AuditLog.create({
+            actor: req.auth
+                ? { kind: req.auth.kind, id: req.auth.accountId || req.auth.apiKeyId, name: req.auth.name, role: req.auth.role }
+                : { kind: "anonymous" },
+            action,
+            entity: { type: entity, id: id || a?._id || b?._id },
+            before: redact(b),
+            after: redact(a),
+            changes: b && a ? auditChanges(b, a).map(redactChange) : undefined,
+            meta,
+            requestId: req.id,
+            ip: req.ip,
+            method: req.method,
+            path: req.originalUrl,
+        });
+    } catch (e) {
+        logger.error("Audit write failed", { action, err: e });
+    }
+}
+
+// ?actor= ?action= (prefix, e.g. "delivery.") ?entity= ?entityId= ?requestId= ?from= ?to= + paging
+app.get("/api/audit", requireRole("admin"), async (req, res) => {
+    const query = parseListQuery(req, {
+        filters: {
+            actor: { type: "string", maxLength: 200 },
+            action: { type: "string", maxLength: 100 },
+            entity: { type: "string", maxLength: 50 },
+            entityId: { type: "string", maxLength: 100 },
+            requestId: { type: "string", maxLength: 100 },
+        },
+        sorts: ["at"],
+        defaultSort: "-at",
+    });
+    const { actor, action, entity, entityId, requestId } = query;
+    const q = createdBetween(query, "at");
+    if (actor) q.$or = [{ "actor.name": actor }, ...(mongoose.isValidObjectId(actor) ? [{ "actor.id": actor }] : [])];
+    if (action) q.action = { $regex: "^" + escapeRegex(action) };
+    if (entity) q["entity.type"] = entity;
+    if (entityId) q["entity.id"] = entityId;
+    if (requestId) q.requestId = requestId;
+    await sendPage(res, AuditLog, q, query);
+});
+
+// ====================== ARCHIVING ======================
+// DELETE on users, items, quotes and deliveries archives the record instead of removing it, so
+// quotes and deliveries never point at nothing. A record an in-flight delivery depends on can't be
+// archived; one that open quotes use needs ?force=true (the UI asks first). POST .../restore undoes it.
+
+const OPEN_QUOTE_STATUSES = ["draft", "quoted"];
+
+// ?archived= : omitted -> active records only, "only" -> archived only, "all" -> both
+function archivedFilter(req) {
+    if (req.query.archived === "all") return {};
+    if (req.query.archived === "only") return { archivedAt: { $ne: null } };
+    return { archivedAt: null };
+}
+
+const activeDeliveryFilter = () => ({ status: { $nin: DELIVERY_TERMINAL_STATUSES }, archivedAt: null });
+
+async function userUsage(user) {
+    const quoteIds = await Quote.distinct("_id", { $or: [{ customerId: user._id }, { warehouseId: user._id }] });
+    const [openQuotes, activeDeliveries] = await Promise.all([
+        Quote.countDocuments({ _id: { $in: quoteIds }, status: { $in: OPEN_QUOTE_STATUSES }, archivedAt: null }),
+        Delivery.countDocuments({ quoteDbId: { $in: quoteIds }, ...activeDeliveryFilter() }),
+    ]);
+    return { openQuotes, activeDeliveries };
+}
+
+async function itemUsage(item) {
+    const [openQuotes, activeDeliveries] = await Promise.all([
+        Quote.countDocuments({ "items.itemId": item._id, status: { $in: OPEN_QUOTE_STATUSES }, archivedAt: null }),
+        Delivery.countDocuments({ "inventory.lines.itemId": item._id, ...activeDeliveryFilter() }),
+    ]);
+    return { openQuotes, activeDeliveries };
+}
+
+async function quoteUsage(quote) {
+    return { activeDeliveries: await Delivery.countDocuments({ quoteDbId: quote._id, ...activeDeliveryFilter() }) };
+}
+
+// entity is the model name ("User", "Item", ...); audited as "<entity>.archive"
+async function archiveRecord(req, doc, entity, usage = {}) {
+    if (doc.archivedAt) return doc;
+    if (usage.activeDeliveries) {
+        throw new AppError(`${entity} is used by ${usage.activeDeliveries} active delivery(ies)`, {
+            status: 409,
+            code: "in_use",
+            details: usage,
+        });
+    }
+    if (usage.openQuotes && req.query.force !== "true") {
+        throw new AppError(`${entity} is used by ${usage.openQuotes} open quote(s)`, {
+            status: 409,
+            code: "confirm_required",
+            details: usage,
+        });
+    }
+
+    // updateOne, not save(): archiving must work even for records that predate current validation rules
+    const archived = await doc.constructor.findByIdAndUpdate(
+        doc._id,
+        { archivedAt: new Date(), archivedBy: req.auth?.name },
+        { new: true }
+    );
+    await audit(req, `${entity.toLowerCase()}.archive`, { entity, before: doc, after: archived, meta: usage });
+    return archived;
+}
+
+async function restoreRecord(req, Model, entity) {
+    const doc = await Model.findById(req.params.id);
+    if (!doc) throw new NotFoundError(`${entity} not found`);
+    if (!doc.archivedAt) return doc;
+
+    const restored = await Model.findByIdAndUpdate(doc._id, { archivedAt: null, $unset: { archivedBy: 1 } }, { new: true });
+    await audit(req, `${entity.toLowerCase()}.restore`, { entity, before: doc, after: restored });
+    return restored;
+}
+
+function assertNotArchived(doc, field, label) {
+    if (doc?.archivedAt) throw new ValidationError(`${label} is archived`, { [field]: `${label} is archived` });
+}
+
+// ====================== API: USERS ======================
+
+// Normalise + geocode body.address; address errors come back as fields["address.<field>"]
+async function prepareUserAddress(body) {
+    if (!body.address) return;
+    const { address, fields } = normalizeAddress(body.address);
+    if (fields) {
+        const prefixed = {};
+        for (const [k, v] of Object.entries(fields)) prefixed[`address.${k}`] = v;
+        throw new ValidationError("Invalid address", prefixed);
+    }
+    if (!hasCoords(address)) Object.assign(address, await geocodeAddress(address));
+
+    body.address = address;
+    body.location = geoPoint(address);
+    if (!body.location) {
+        delete body.location;
+        body.$unset = { location: 1 };
+    }
+}
+
+// Nearest WAREHOUSE users to a point, closest first (needs geocoded warehouses)
+async function findNearestWarehouses(addr, { limit = 5, maxDistanceM } = {}) {
+    if (!hasCoords(addr)) return [];
+    return User.aggregate([
+        {
+            $geoNear: {
+                near: geoPoint(addr),
+                distanceField: "distanceM",
+                spherical: true,
+                query: { user_type: "WAREHOUSE", archivedAt: null },
+                ...(maxDistanceM ? { maxDistance: maxDistanceM } : {}),
+            },
+        },
+        { $limit: limit },
+    ]);
+}
+
+const ADDRESS_BODY = {
+    type: "object",
+    fields: {
+        line1: { type: "string", maxLength: 200 },
+        line2: { type: "string", maxLength: 200 },
+        unit: { type: "string", maxLength: 50 },
+        city: { type: "string", maxLength: 100 },
+        state: { type: "string", maxLength: 100 },
+        postal_code: { type: "string", maxLength: 20 },
+        country: { type: "string", maxLength: 60 },
+        latitude: { type: "number", min: -90, max: 90 },
+        longitude: { type: "number", min: -180, max: 180 },
+    },
+};
+const USER_FIELDS = {
+    name: { type: "string", maxLength: 200 },
+    address: ADDRESS_BODY,
+    phone_number: { type: "string", maxLength: 30 },
+    email: { type: "string", maxLength: 200, nullable: true, pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/, patternMessage: "Must be an email address" },
+    notifyOptOut: { type: "object", fields: { sms: { type: "boolean" }, email: { type: "boolean" } } },
+};
+const USER_READ_ONLY = { ...SERVER_FIELDS, location: "Derived from address coordinates" };
+const USER_CREATE_BODY = {
+    fields: {
+        user_type: { type: "string", required: true, enum: ["CUSTOMER", "WAREHOUSE"] },
+        name: { ...USER_FIELDS.name, required: true },
+        address: { ...ADDRESS_BODY, required: true },
+        phone_number: { ...USER_FIELDS.phone_number, required: true },
+        email: USER_FIELDS.email,
+        notifyOptOut: USER_FIELDS.notifyOptOut,
+    },
+    readOnly: USER_READ_ONLY,
+};
+const USER_PATCH_BODY = {
+    fields: USER_FIELDS,
+    readOnly: { ...USER_READ_ONLY, user_type: "Can't change the type of an existing user" },
+};
+
+app.post("/api/users", requireRole("admin"), validateBody(USER_CREATE_BODY), async (req, res) => {
+    await prepareUserAddress(req.body);
+    delete req.body.$unset;
+    const doc = await User.create(req.body);
+    await audit(req, "user.create", { entity: "User", after: doc });
+    res.json(doc);
+});
+
+// ?q= matches name, phone, email or city
+app.get("/api/users", async (req, res) => {
+    const query = parseListQuery(req, {
+        filters: { user_type: { type: "string", enum: ["CUSTOMER", "WAREHOUSE"] } },
+        sorts: ["createdAt", "name"],
+    });
+    const filter = { ...archivedFilter(req), ...createdBetween(query) };
+    if (query.user_type) filter.user_type = query.user_type;
+    if (query.q) {
+        filter.$or = [{ name: textMatch(query.q) }, { phone_number: textMatch(query.q) }, { email: textMatch(query.q) }, { "address.city": textMatch(query.q) }];
+    }
+
+    await sendPage(res, User, filter, query);
+});
+
+app.get("/api/users/:id", async (req, res) => {
+    const doc = await User.findById(req.params.id);
+    if (!doc) throw new NotFoundError("User not found");
+    res.json(doc);
+});
+
+app.patch("/api/users/:id", requireRole("admin"), validateBody(USER_PATCH_BODY), async (req, res) => {
+    const before = await User.findById(req.params.id);
+    if (!before) throw new NotFoundError("User not found");
+    await prepareUserAddress(req.body);
+    const doc = await User.findByIdAndUpdate(req.params.id, req.body, { new: true, runValidators: true });
+    await audit(req, "user.update", { entity: "User", before, after: doc });
+    res.json(doc);
+});
+
+// Re-run the geocoder for a user's address
+app.post("/api/users/:id/geocode", requireRole("admin"), validateBody(EMPTY_BODY), async (req, res) => {
+    const doc = await User.findById(req.params.id);
+    if (!doc) throw new NotFoundError("User not found");
+
+    const address = doc.address.toObject();
+    delete address.latitude;
+    delete address.longitude;
+    const coords = await geocodeAddress(address);
+    if (!coords) throw new AppError("Address could not be geocoded", { status: 422, code: "geocode_failed" });
+
+    const before = auditSnapshot(doc);
+    doc.address.latitude = coords.latitude;
+    doc.address.longitude = coords.longitude;
+    doc.location = geoPoint(coords);
+    await doc.save();
+    await audit(req, "user.geocode", { entity: "User", before, after: doc });
+    res.json(doc);
+});
+
+app.get("/api/users/:id/nearest-warehouses", async (req, res) => {
+    const doc = await User.findById(req.params.id);
+    if (!doc) throw new NotFoundError("User not found");
+    if (!hasCoords(doc.address)) throw new ValidationError("User address has no coordinates", { address: "Not geocoded" });
+
+    res.json(await findNearestWarehouses(doc.address, { limit: Math.min(Number(req.query.limit) || 5, 50) }));
+});
+
+app.delete("/api/users/:id", requireRole("admin"), async (req, res) => {
+    const doc = await User.findById(req.params.id);
+    if (!doc) throw new NotFoundError("User not found");
+    res.json({ ok: true, archived: await archiveRecord(req, doc, "User", await userUsage(doc)) });
+});
+
+app.post("/api/users/:id/restore", requireRole("admin"), validateBody(EMPTY_BODY), async (req, res) => {
+    res.json(await restoreRecord(req, User, "User"));
+});
+
+// ====================== API: ITEMS ======================
+
+const ITEM_DIMENSION = { type: "number", min: 0, max: 1000 }; // cm
+const ITEM_FIELDS = {
+    name: { type: "string", maxLength: 200 },
+    sku: { type: "string", maxLength: 64 },
+    price: { type: "number", min: 0 },
+    weight: { type: "number", min: 0, max: 1000000, nullable: true }, // grams
+    dimensions: { type: "object", nullable: true, fields: { length: ITEM_DIMENSION, height: ITEM_DIMENSION, depth: ITEM_DIMENSION } },
+    handling: {
+        type: "object",
+        fields: { fragile: { type: "boolean" }, liquid: { type: "boolean" }, ageRestricted: { type: "boolean" } },
+    },
+};
+const ITEM_READ_ONLY = {
+    ...SERVER_FIELDS,
+    qty: "Stock is managed per warehouse via /api/inventory",
+    size: "Computed from weight and dimensions",
+};
+const ITEM_CREATE_BODY = {
+    fields: { ...ITEM_FIELDS, name: { ...ITEM_FIELDS.name, required: true }, price: { ...ITEM_FIELDS.price, required: true } },
+    readOnly: ITEM_READ_ONLY,
+};
+const ITEM_PATCH_BODY = { fields: ITEM_FIELDS, readOnly: ITEM_READ_ONLY };
+
+app.post("/api/items", requireRole("admin"), validateBody(ITEM_CREATE_BODY), async (req, res) => {
+    const doc = await Item.create(req.body);
+    await audit(req, "item.create", { entity: "Item", after: doc });
+    res.json(doc);
+});
+
+// ?q= matches name or SKU
+app.get("/api/items", async (req, res) => {
+    const query = parseListQuery(req, { sorts: ["createdAt", "name", "price", "sku"] });
+    const filter = { ...archivedFilter(req), ...createdBetween(query) };
+    if (query.q) filter.$or = [{ name: textMatch(query.q) }, { sku: textMatch(query.q) }];
+
+    await sendPage(res, Item, filter, query);
+});
+
+app.get("/api/items/:id", async (req, res) => {
+    const doc = await Item.findById(req.params.id);
+    if (!doc) throw new NotFoundError("Item not found");
+    res.json(doc);
+});
+
+app.patch("/api/items/:id", requireRole("admin"), validateBody(ITEM_PATCH_BODY), async (req, res) => {
+    const before = await Item.findById(req.params.id);
+    if (!before) throw new NotFoundError("Item not found");
+    const doc = await Item.findByIdAndUpdate(req.params.id, req.body, { new: true, runValidators: true });
+    await audit(req, "item.update", { entity: "Item", before, after: doc });
+    res.json(doc);
+});
+
+app.delete("/api/items/:id", requireRole("admin"), async (req, res) => {
+    const doc = await Item.findById(req.params.id);
+    if (!doc) throw new NotFoundError("Item not found");
+    res.json({ ok: true, archived: await archiveRecord(req, doc, "Item", await itemUsage(doc)) });
+});
+
+app.post("/api/items/:id/restore", requireRole("admin"), validateBody(EMPTY_BODY), async (req, res) => {
+    res.json(await restoreRecord(req, Item, "Item"));
+});
+
+// ====================== INVENTORY ======================
+// Stock is reserved when a delivery is created, committed (taken off onHand) when Uber reports
+// it delivered and released when it is canceled / returned / failed. Delivery.inventory.state
+// makes each settlement happen exactly once, however many webhooks or refreshes report it.
+
+const INVENTORY_RELEASE_STATUSES = ["canceled", "returned"];
+
+// One-off: stock used to be a single Item.qty count. While there is no Stock yet, seed those counts
+// into one warehouse (LEGACY_STOCK_WAREHOUSE_ID, or the only warehouse there is) so quoting keeps
+// working after the upgrade. With several warehouses and no choice made, nothing is guessed.
+async function migrateLegacyStock() {
+    if (await Stock.exists({})) return;
+    const items = await Item.find({ qty: { $gt: 0 } }).select("qty").lean();
+    if (!items.length) return;
+
+    let warehouseId = process.env.LEGACY_STOCK_WAREHOUSE_ID;
+    if (!warehouseId) {
+        const warehouses = await User.find({ user_type: "WAREHOUSE", archivedAt: null }).select("_id").limit(2).lean();
+        if (warehouses.length === 1) warehouseId = warehouses[0]._id;
+    }
+    const warehouse = warehouseId && mongoose.isValidObjectId(warehouseId) ? await User.findOne({ _id: warehouseId, user_type: "WAREHOUSE" }) : null;
+    if (!warehouse) {
+        logger.error(
+            "Legacy Item.qty stock was not migrated: set LEGACY_STOCK_WAREHOUSE_ID to the warehouse that holds it and restart, " +
+                "or enter the counts under Items > Stock by warehouse. Until then every warehouse has 0 available.",
+            { items: items.length, warehouseId }
+        );
+        return;
+    }
+
+    for (const item of items) {
+        const stock = await Stock.findOneAndUpdate(
+            { warehouseId: warehouse._id, itemId: item._id },
+            { $setOnInsert: { onHand: item.qty, reserved: 0 } },
+            { upsert: true, new: true }
+        );
+        await InventoryLedger.create({
+            warehouseId: warehouse._id,
+            itemId: item._id,
+            type: "adjust",
+            qty: item.qty,
+            onHandAfter: stock.onHand,
+            reservedAfter: stock.reserved,
+            reason: "migrated from Item.qty",
+        });
+    }
+    logger.info("Migrated legacy stock", { items: items.length, warehouseId: warehouse._id });
+}
+
+const STOCK_MOVES = {
+    reserve: (qty) => ({
+        filter: { $expr: { $gte: [{ $subtract: ["$onHand", "$reserved"] }, qty] } },
+        inc: { reserved: qty },
+    }),
+    release: (qty) => ({ filter: { reserved: { $gte: qty } }, inc: { reserved: -qty } }),
+    commit: (qty) => ({ filter: { reserved: { $gte: qty }, onHand: { $gte: qty } }, inc: { reserved: -qty, onHand: -qty } }),
+};
+
+// Atomic conditional stock update + ledger entry; null when the guard fails (not enough stock)
+async function moveStock(type, { warehouseId, itemId, qty, deliveryDbId, quoteDbId, reason }) {
+    const { filter, inc } = STOCK_MOVES[type](qty);
+    const stock = await Stock.findOneAndUpdate({ warehouseId, itemId, ...filter }, { $inc: inc }, { new: true });
+    if (!stock) return null;
+
+    await InventoryLedger.create({
+        warehouseId,
+        itemId,
+        type,
+        qty,
+        onHandAfter: stock.onHand,
+        reservedAfter: stock.reserved,
+        deliveryDbId,
+        quoteDbId,
+        reason,
+    });
+    return stock;
+}
+
+async function adjustStock({ warehouseId, itemId, delta, reason }) {
+    await Stock.updateOne({ warehouseId, itemId }, { $setOnInsert: { onHand: 0, reserved: 0 } }, { upsert: true });
+
+    // onHand may never drop below what is already promised to deliveries
+    const stock = await Stock.findOneAndUpdate(
+        { warehouseId, itemId, $expr: { $gte: [{ $add: ["$onHand", delta] }, "$reserved"] } },
+        { $inc: { onHand: delta } },
+        { new: true }
+    );
+    if (!stock) throw new ConflictError("Adjustment would leave less on hand than is reserved");
+
+    await InventoryLedger.create({
+        warehouseId,
+        itemId,
+        type: "adjust",
+        qty: delta,
+        onHandAfter: stock.onHand,
+        reservedAfter: stock.reserved,
+        reason,
+    });
+    return stock;
+}
+
+// Reserve every line of the quote at its warehouse, or nothing at all
+async function reserveStock(deliveryDoc, quoteDoc) {
+    const lines = (quoteDoc.items || []).map((it) => ({ itemId: it.itemId, name: it.name, qty: Number(it.qty) || 1 }));
+    const ctx = { warehouseId: quoteDoc.warehouseId, deliveryDbId: deliveryDoc._id, quoteDbId: quoteDoc._id };
+
+    const done = [];
+    for (const line of lines) {
+        const ok = await moveStock("reserve", { ...ctx, itemId: line.itemId, qty: line.qty, reason: "delivery created" });
+        if (!ok) {
+            for (const d of done) await moveStock("release", { ...ctx, itemId: d.itemId, qty: d.qty, reason: "reservation rolled back" });
+            throw new AppError(`Insufficient stock for ${line.name}`, {
+                status: 409,
+                code: "insufficient_stock",
+                fields: { [`items.${lines.indexOf(line)}.qty`]: "Not enough available at this warehouse" },
+            });
+        }
+        done.push(line);
+    }
+
+    deliveryDoc.inventory = { state: "reserved", warehouseId: quoteDoc.warehouseId, lines: lines.map(({ itemId, qty }) => ({ itemId, qty })) };
+}
+
+// Commit or release a delivery's reservation once its status says so (or `outcome` forces a release)
+async function settleInventory(delivery, outcome) {
+    const to =
+        outcome ||
+        (delivery.status === "delivered" ? "committed" : INVENTORY_RELEASE_STATUSES.includes(delivery.status) ? "released" : null);
+    if (!to) return;
+
+    const claimed = await Delivery.findOneAndUpdate(
+        { _id: delivery._id, "inventory.state": "reserved" },
+        { "inventory.state": to },
+        { new: true }
+    );
+    if (!claimed) return; // nothing reserved, or already settled
+
+    for (const line of claimed.inventory.lines) {
+        const ok = await moveStock(to === "committed" ? "commit" : "release", {
+            warehouseId: claimed.inventory.warehouseId,
+            itemId: line.itemId,
+            qty: line.qty,
+            deliveryDbId: claimed._id,
+            quoteDbId: claimed.quoteDbId,
+            reason: outcome ? "delivery record removed" : `delivery ${delivery.status}`,
+        });
+        if (!ok) logger.warn("Stock out of sync", { transition: to, deliveryDbId: claimed._id, itemId: line.itemId });
+    }
+    if (delivery.inventory) delivery.inventory.state = to;
+}
+
+// ====================== DELIVERY STATUS ======================
+// Every status change (webhook, refresh, cancel, create) goes through applyDeliveryUpdate():
+// it only moves along DELIVERY_TRANSITIONS, ignores events older than the status we already hold,
+// and appends to Delivery.statusHistory. Concurrent writers are serialised with a
+// compare-and-set on (status, statusAt).
+
+function canTransition(from, to) {
+    if (!DELIVERY_TRANSITIONS[to]) return false; // not an Uber status we know
+    if (!from || DELIVERY_PRE_UBER_STATUSES.includes(from)) return true;
+    return (DELIVERY_TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * update: { status, at (event time), source: create|webhook|refresh|cancel|reconcile, raw, eventId }
+ * Returns { delivery, applied, reason } - reason says why a status was not applied.
+ */
+async function applyDeliveryUpdate(delivery, { status, at, source, raw, eventId }) {
+    const eventAt = at && !Number.isNaN(Date.parse(at)) ? new Date(at) : new Date();
+
+    for (let attempt = 0; attempt < 5; attempt++) {
+        const from = delivery.status;
+        const guard = { _id: delivery._id, status: from, statusAt: delivery.statusAt ?? null };
+        const stale = delivery.statusAt && eventAt < delivery.statusAt;
+
+        let reason = null;
+        if (stale) reason = "stale_event";
+        else if (from === status) reason = "unchanged";
+        else if (!canTransition(from, status)) reason = "invalid_transition";
+
+        let update;
+        if (!reason) {
+            update = {
+                $set: { status, statusAt: eventAt, ...(raw ? { raw } : {}) },
+                $push: { statusHistory: { at: eventAt, source, from, to: status, eventId } },
+            };
+        } else if (reason === "unchanged") {
+            // same status, newer snapshot (courier position, ETAs...)
+            update = raw ? { $set: { raw, statusAt: eventAt } } : null;
+        } else {
+            update = { $push: { statusHistory: { at: eventAt, source, from, to: status, eventId, ignored: reason } } };
+        }
+        if (!update) return { delivery, applied: false, reason };
+
+        const updated = await Delivery.findOneAndUpdate(guard, update, { new: true });
+        if (!updated) {
+            // someone else moved it first: re-read and decide again
+            delivery = await Delivery.findById(delivery._id);
+            if (!delivery) return { delivery: null, applied: false, reason: "deleted" };
+            continue;
+        }
+
+        if (raw) queueProofCapture(updated, raw, source); // in the background: image downloads can be slow
+
+        if (reason) {
+            if (reason !== "unchanged") logger.warn("Delivery update ignored", { reason, source, from, to: status, deliveryDbId: updated._id });
+            else publish("delivery.updated", { delivery: updated, source });
+            return { delivery: updated, applied: false, reason };
+        }
+
+        await settleInventory(updated);
+        publish("delivery.updated", { delivery: updated, source, from });
+        queueNotifications(updated); // in the background, like proof capture
+        return { delivery: updated, applied: true };
+    }
+
+    throw new ConflictError("Delivery is being updated concurrently, try again");
+}
+
+// ====================== COURIER TRACKING ======================
+// event.courier_update webhooks carry the courier position at the top level and the
+// delivery snapshot (courier name/phone/vehicle, ETAs) in data.
+
+function toDate(v) {
+    return v && !Number.isNaN(Date.parse(v)) ? new Date(v) : undefined;
+}
+
+async function recordCourierUpdate(delivery, event, eventId) {
+    const data = event.data || {};
+    const courier = data.courier || {};
+    const loc = event.location || courier.location || {};
+    const lat = Number(loc.lat);
+    const lng = Number(loc.lng);
+    if (!Number.isFinite(lat) || !Number.isFinite(lng)) return null;
+
+    const position = await CourierPosition.create({
+        deliveryDbId: delivery._id,
+        deliveryId: delivery.deliveryId,
+        eventId,
+        at: toDate(event.created) || new Date(),
+        lat,
+        lng,
+        vehicleType: courier.vehicle_type,
+        name: courier.name,
+        phone: courier.phone_number,
+        pickupEta: toDate(data.pickup_eta),
+        dropoffEta: toDate(data.dropoff_eta),
+        status: data.status || event.status,
+    });
+
+    // keep the newest position on the delivery; late events only extend the trail
+    const latest = await Delivery.findOneAndUpdate(
+        { _id: delivery._id, $or: [{ "courier.at": null }, { "courier.at": { $lte: position.at } }] },
+        {
+            $set: {
+                courier: {
+                    name: position.name,
+                    phone: position.phone,
+                    vehicleType: position.vehicleType,
+                    at: position.at,
+                    location: { lat, lng },
+                    pickupEta: position.pickupEta,
+                    dropoffEta: position.dropoffEta,
+                },
+            },
+        },
+        { new: true }
+    );
+    publish("delivery.courier", {
+        deliveryDbId: delivery._id,
+        position: { at: position.at, lat, lng, status: position.status },
+        ...(latest ? { courier: latest.courier } : {}),
+    });
+    return position;
+}
+
+// ====================== PROOF OF DELIVERY ======================
+// Uber reports what the courier collected at each stop in <stage>.verification of the delivery
+// object: signature / photo URLs, PIN, barcode scans, ID check, completion location. Whenever an
+// update carries it, it is copied into DeliveryProof and the images are downloaded into GridFS,
+// because Uber's image URLs expire and Delivery.raw is overwritten by the next update.
+
+const PROOF_STAGES = ["pickup", "dropoff", "return"];
+const PROOF_IMAGE = {
+    TIMEOUT_MS: 15000,
+    MAX_BYTES: 5 * 1024 * 1024,
+    BUCKET: "proofs",
+    // served back on the admin origin, so nothing that can carry script (SVG, HTML) keeps its type
+    CONTENT_TYPES: ["image/png", "image/jpeg", "image/webp"],
+};
+
+const proofBucket = () => new mongoose.mongo.GridFSBucket(mongoose.connection.db, { bucketName: PROOF_IMAGE.BUCKET });
+
+const hasProof = (raw) => PROOF_STAGES.some((stage) => raw?.[stage]?.verification && Object.keys(raw[stage].verification).length);
+
+// Keeps an image we already stored; failures are recorded and retried on the next capture
+async function storeProofImage(previous, url, metadata) {
+    if (previous?.fileId) return previous;
+    if (!url) return previous;
+
+    try {
+        const response = await axios.get(url, {
+            responseType: "arraybuffer",
+            timeout: PROOF_IMAGE.TIMEOUT_MS,
+            maxContentLength: PROOF_IMAGE.MAX_BYTES,
+        });
+        const data = Buffer.from(response.data);
+        const remoteType = String(response.headers["content-type"] || "").split(";")[0].trim().toLowerCase();
+        const contentType = PROOF_IMAGE.CONTENT_TYPES.includes(remoteType) ? remoteType : "application/octet-stream";
+        const upload = proofBucket().openUploadStream(`${metadata.deliveryDbId}-${metadata.stage}-${metadata.kind}`, {
+            metadata: { ...metadata, contentType },
+        });
+        await new Promise((resolve, reject) => upload.on("finish", resolve).on("error", reject).end(data));
+        return { fileId: upload.id, contentType, size: data.length };
+    } catch (e) {
+        logger.warn("Proof image download failed", { ...metadata, err: e });
+        return { error: e.message };
+    }
+}
+
+async function captureProof(delivery, raw, source) {
+    for (const stage of PROOF_STAGES) {
+        const v = raw?.[stage]?.verification;
+        if (!v || !Object.keys(v).length) continue;
+
+        const existing = await DeliveryProof.findOne({ deliveryDbId: delivery._id, stage }).lean();
+        const meta = (kind) => ({ deliveryDbId: delivery._id, stage, kind });
+        const courier = raw.courier || {};
+
+        await DeliveryProof.updateOne(
+            { deliveryDbId: delivery._id, stage },
+            {
+                $set: {
+                    deliveryId: delivery.deliveryId,
+                    status: raw.status,
+                    completedAt: toDate(raw[stage].status_timestamp) || existing?.completedAt || toDate(raw.updated),
+                    source,
+                    signature: v.signature
+                        ? {
+                              image: await storeProofImage(existing?.signature?.image, v.signature.image_url, meta("signature")),
+                              signerName: v.signature.signer_name,
+                              signerRelationship: v.signature.signer_relationship,
+                          }
+                        : existing?.signature,
+                    picture: v.picture
+                        ? { image: await storeProofImage(existing?.picture?.image, v.picture.image_url, meta("picture")) }
+                        : existing?.picture,
+                    pinCode: v.pin_code ? { entered: v.pin_code.entered } : existing?.pinCode,
+                    barcodes: v.barcodes
+                        ? v.barcodes.map((b) => ({
+                              value: b.value,
+                              type: b.type,
+                              outcome: b.scan_result?.outcome,
+                              scannedAt: toDate(b.scan_result?.timestamp),
+                          }))
+                        : existing?.barcodes,
+                    identification: v.identification ? { minAgeVerified: v.identification.min_age_verified } : existing?.identification,
+                    completionLocation: Number.isFinite(v.completion_location?.lat)
+                        ? { lat: v.completion_location.lat, lng: v.completion_location.lng }
+                        : existing?.completionLocation,
+                    courier: {
+                        name: courier.name ?? existing?.courier?.name,
+                        phone: courier.phone_number ?? existing?.courier?.phone,
+                        vehicleType: courier.vehicle_type ?? existing?.courier?.vehicleType,
+                        image: await storeProofImage(existing?.courier?.image, courier.img_href, meta("courier")),
+                    },
+                    raw: v,
+                },
+            },
+            { upsert: true }
+        );
+    }
+    publish("delivery.proof", { deliveryDbId: delivery._id });
+}
+
+// One capture at a time per delivery, so concurrent webhooks/refreshes don't download an image twice
+const proofQueue = new Map(); // deliveryDbId -> promise of the last queued capture
+
+function queueProofCapture(delivery, raw, source) {
+    if (!hasProof(raw)) return Promise.resolve();
+    const key = String(delivery._id);
+    const next = (proofQueue.get(key) || Promise.resolve())
+        .then(() => captureProof(delivery, raw, source))
+        .catch((e) => logger.error("Proof capture failed", { deliveryDbId: delivery._id, err: e }))
+        .finally(() => {
+            if (proofQueue.get(key) === next) proofQueue.delete(key);
+        });
+    proofQueue.set(key, next);
+    return next;
+}
+
+// ====================== NOTIFICATIONS ======================
+// A delivery status change the customer cares about becomes one Notification per channel: SMS to
+// User.phone_number, email to User.email. The message is rendered from NOTIFY_TEMPLATES and sent
+// right away through the channel's adapter (NOTIFY.ADAPTERS); failures are retried with backoff
+// by a background sweep until NOTIFY.MAX_ATTEMPTS. Customers can opt out per channel
+// (User.notifyOptOut); skipped messages are recorded too, so the log explains who got what.
+
+const NOTIFY_EVENT_BY_STATUS = {
+    pickup: "courier_assigned",
+    pickup_complete: "picked_up",
+    dropoff: "arriving",
+    delivered: "delivered",
+    canceled: "canceled",
+    returned: "returned",
+};
+
+// {placeholders}: brand, name, courier, warehouse, order, items, eta (" (around 3:40 PM)" or ""), trackingUrl
+const NOTIFY_TEMPLATES = {
+    courier_assigned: {
+        subject: "{brand}: a courier is on the way to pick up your order",
+        text: "Hi {name}, {courier} is heading to {warehouse} to pick up your order {order}. Track it: {trackingUrl}",
+    },
+    picked_up: {
+        subject: "{brand}: your order is on its way",
+        text: "Hi {name}, {courier} has picked up your order {order} and is on the way{eta}. Track it: {trackingUrl}",
+    },
+    arriving: {
+        subject: "{brand}: your order is almost there",
+        text: "Hi {name}, {courier} is about to arrive with your order {order}{eta}. Track it: {trackingUrl}",
+    },
+    delivered: {
+        subject: "{brand}: your order was delivered",
+        text: "Hi {name}, your order {order} ({items}) was delivered. Thanks for ordering from {brand}!",
+    },
+    canceled: {
+        subject: "{brand}: your delivery was canceled",
+        text: "Hi {name}, the delivery of your order {order} was canceled. We'll be in touch about next steps.",
+    },
+    returned: {
+        subject: "{brand}: we couldn't deliver your order",
+        text: "Hi {name}, we couldn't deliver your order {order}, so it is going back to {warehouse}. We'll be in touch.",
+    },
+};
+
+// file: { "<event>": { "subject"?: "...", "text"?: "..." } }; all or nothing, so a bad file changes no template
+function loadNotifyTemplates() {
+    if (!NOTIFY.TEMPLATES_PATH) return;
+    try {
+        const overrides = JSON.parse(fs.readFileSync(NOTIFY.TEMPLATES_PATH, "utf8"));
+        if (!overrides || typeof overrides !== "object" || Array.isArray(overrides)) throw new Error("Expected an object keyed by event");
+        for (const [event, tpl] of Object.entries(overrides)) {
+            if (!NOTIFICATION_EVENTS.includes(event)) throw new Error(`Unknown notification event "${event}"`);
+            if (!tpl || typeof tpl !== "object") throw new Error(`"${event}" must be an object`);
+            for (const [key, text] of Object.entries(tpl)) {
+                if (!["subject", "text"].includes(key) || typeof text !== "string") throw new Error(`"${event}.${key}" must be a subject or text string`);
+            }
+        }
+        for (const [event, tpl] of Object.entries(overrides)) NOTIFY_TEMPLATES[event] = { ...NOTIFY_TEMPLATES[event], ...tpl };
+    } catch (e) {
+        logger.error("Could not load notification templates, using the built-in ones", { path: NOTIFY.TEMPLATES_PATH, err: e });
+    }
+}
+loadNotifyTemplates();
+
+const renderTemplate = (text, vars) => String(text || "").replace(/\{(\w+)\}/g, (m, key) => vars[key] ?? "");
+
+// Adapters: send(message) -> { id? }; throwing means the attempt failed. missing() names settings the
+// adapter can't work without: such a channel counts as disabled instead of failing every attempt.
+const NOTIFY_ADAPTERS = {
+    console: {
+        channels: ["sms", "email"],
+        async send(m) {
+            logger.info("Notification (console adapter)", { channel: m.channel, event: m.event, to: m.to, subject: m.subject, text: m.body });
+            return {};
+        },
+    },
+    file: {
+        channels: ["sms", "email"],
+        async send(m) {
+            await fs.promises.appendFile(NOTIFY.FILE_PATH, JSON.stringify({ at: new Date().toISOString(), ...m }) + "\n");
+            return {};
+        },
+    },
+    http: {
+        channels: ["sms", "email"],
+        missing: () => (NOTIFY.HTTP_URL ? null : "NOTIFY_HTTP_URL"),
+        async send(m) {
+            const { data } = await axios.post(NOTIFY.HTTP_URL, m, {
+                timeout: NOTIFY.TIMEOUT_MS,
+                headers: {
+                    ...(NOTIFY.HTTP_TOKEN ? { Authorization: `Bearer ${NOTIFY.HTTP_TOKEN}` } : {}),
+                    ...(currentRequestId() ? { "X-Request-Id": currentRequestId() } : {}),
+                },
+            });
+            return { id: data?.id };
+        },
+    },
+    twilio: {
+        channels: ["sms"],
+        missing: () => (NOTIFY.TWILIO_ACCOUNT_SID && NOTIFY.TWILIO_AUTH_TOKEN && NOTIFY.TWILIO_FROM ? null : "TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, TWILIO_FROM"),
+        async send(m) {
+            const { data } = await axios.post(
+                `https://api.twilio.com/2010-04-01/Accounts/${NOTIFY.TWILIO_ACCOUNT_SID}/Messages.json`,
+                new URLSearchParams({ To: m.to, From: NOTIFY.TWILIO_FROM, Body: m.body }).toString(),
+                {
+                    timeout: NOTIFY.TIMEOUT_MS,
+                    auth: { username: NOTIFY.TWILIO_ACCOUNT_SID, password: NOTIFY.TWILIO_AUTH_TOKEN },
+                    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+                }
+            );
+            return { id: data?.sid };
+        },
+    },
+    sendgrid: {
+        channels: ["email"],
+        missing: () => (NOTIFY.SENDGRID_API_KEY && NOTIFY.EMAIL_FROM ? null : "SENDGRID_API_KEY, NOTIFY_EMAIL_FROM"),
+        async send(m) {
+            const response = await axios.post(
+                "https://api.sendgrid.com/v3/mail/send",
+                {
+                    personalizations: [{ to: [{ email: m.to }] }],
+                    from: { email: NOTIFY.EMAIL_FROM, name: BRAND.NAME },
+                    subject: m.subject,
+                    content: [{ type: "text/plain", value: m.body }],
+                },
+                { timeout: NOTIFY.TIMEOUT_MS, headers: { Authorization: `Bearer ${NOTIFY.SENDGRID_API_KEY}` } }
+            );
+            return { id: response.headers["x-message-id"] };
+        },
+    },
+};
+
+function notifyAdapter(channel) {
+    const name = NOTIFY.ADAPTERS[channel];
+    const adapter = NOTIFY_ADAPTERS[name];
+    return adapter?.channels.includes(channel) && !adapter.missing?.() ? { name, ...adapter } : null;
+}
+
+for (const channel of NOTIFICATION_CHANNELS) {
+    const name = NOTIFY.ADAPTERS[channel];
+    const adapter = NOTIFY_ADAPTERS[name];
+    if (name === "none") continue;
+    if (!adapter?.channels.includes(channel)) {
+        logger.warn("Unknown notification adapter, channel disabled", { channel, adapter: name });
+    } else if (adapter.missing?.()) {
+        logger.warn("Notification adapter is not configured, channel disabled", { channel, adapter: name, missing: adapter.missing() });
+    }
+}
+
+// An ETA in a zone Intl doesn't know would make every message fail to render
+if (NOTIFY.TIME_ZONE) {
+    try {
+        new Intl.DateTimeFormat(undefined, { timeZone: NOTIFY.TIME_ZONE });
+    } catch (e) {
+        logger.warn("Invalid NOTIFY_TIME_ZONE, using the server's time zone", { timeZone: NOTIFY.TIME_ZONE });
+        NOTIFY.TIME_ZONE = undefined;
+    }
+}
+
+// Only provider errors that could go away by themselves are worth retrying
+function retryableNotifyError(e) {
+    const status = e.response?.status;
+    return !status || status >= 500 || status === 408 || status === 429;
+}
+
+const notifyRetryDelay = (attempts) => Math.min(NOTIFY.RETRY_MAX_MS, NOTIFY.RETRY_BASE_MS * 2 ** (attempts - 1));
+
+function notifyVars(delivery, quote, customer) {
+    const courier = delivery.courier?.name || delivery.raw?.courier?.name;
+    const eta = delivery.courier?.dropoffEta || delivery.raw?.dropoff_eta;
+    const items = (quote?.items || []).map((line) => `${line.qty} × ${line.name}`);
+
+    return {
+        brand: BRAND.NAME,
+        name: String(customer?.name || "there").split(/\s+/)[0],
+        courier: courier ? String(courier).split(/\s+/)[0] : "Your courier",
+        warehouse: quote?.warehouseId?.name || "the store",
+        order: String(delivery._id).slice(-8).toUpperCase(), // same reference as the tracking page
+        items: items.length > 3 ? `${items.slice(0, 3).join(", ")} and ${items.length - 3} more` : items.join(", "),
+        eta: eta
+            ? ` (around ${new Date(eta).toLocaleTimeString("en-US", { hour: "numeric", minute: "2-digit", timeZone: NOTIFY.TIME_ZONE })})`
+            : "",
+        trackingUrl: trackingUrl(delivery.trackingToken) || delivery.raw?.tracking_url || "",
+    };
+}
+
+function skipReason(channel, customer, to) {
+    if (!notifyAdapter(channel)) return "channel_disabled";
+    if (customer?.notifyOptOut?.[channel]) return "opted_out";
+    if (!to) return "no_address";
+    return null;
+}
+
+// Called after a status change is applied; a status seen again (webhook + reconcile) sends nothing new
+async function notifyStatusChange(delivery) {
+    const event = NOTIFY_EVENT_BY_STATUS[delivery.status];
+    if (!event) return;
+
+    const quote = await Quote.findById(delivery.quoteDbId).populate("customerId").populate("warehouseId", "name");
+    const customer = quote?.customerId;
+    const template = NOTIFY_TEMPLATES[event];
+    const vars = notifyVars(delivery, quote, customer);
+
+    for (const channel of NOTIFICATION_CHANNELS) {
+        const to = channel === "sms" ? customer?.phone_number : customer?.email;
+        const skip = skipReason(channel, customer, to);
+
+        let doc;
+        try {
+            doc = await Notification.create({
+                deliveryDbId: delivery._id,
+                customerId: customer?._id,
+                event,
+                channel,
+                adapter: notifyAdapter(channel)?.name,
+                to,
+                subject: channel === "email" ? renderTemplate(template.subject, vars) : undefined,
+                body: renderTemplate(template.text, vars),
+                status: skip ? "skipped" : "pending",
+                skipReason: skip || undefined,
+                nextAttemptAt: skip ? undefined : new Date(),
+            });
+        } catch (e) {
+            if (e.code === 11000) continue; // already notified for this status
+            throw e;
+        }
+        publish("notification.updated", { notification: doc });
+        if (!skip) await deliverNotification(doc._id);
+    }
+}
+
+// Claims a due pending message (so the retry sweep and an immediate send never both send it) and makes one attempt
+async function deliverNotification(id) {
+    const now = new Date();
+    const doc = await Notification.findOneAndUpdate(
+        { _id: id, status: "pending", nextAttemptAt: { $lte: now } },
+        { $set: { nextAttemptAt: new Date(now.getTime() + NOTIFY.LEASE_MS) } },
+        { new: true }
+    );
+    if (!doc) return null;
+
+    // the customer may have opted out (or the channel been switched off) since the message was queued
+    const customer = doc.customerId ? await User.findById(doc.customerId).select("notifyOptOut") : null;
+    const adapter = notifyAdapter(doc.channel);
+    const skip = skipReason(doc.channel, customer, doc.to);
+
+    if (skip) {
+        Object.assign(doc, { status: "skipped", skipReason: skip, nextAttemptAt: undefined });
+    } else {
+        doc.attempts++;
+        doc.adapter = adapter.name;
+        try {
+            const result = await adapter.send({
+                notificationId: String(doc._id),
+                deliveryDbId: String(doc.deliveryDbId),
+                event: doc.event,
+                channel: doc.channel,
+                to: doc.to,
+                subject: doc.subject,
+                body: doc.body,
+            });
+            Object.assign(doc, { status: "sent", sentAt: new Date(), providerId: result?.id, lastError: undefined, nextAttemptAt: undefined });
+        } catch (e) {
+            const giveUp = doc.attempts >= NOTIFY.MAX_ATTEMPTS || !retryableNotifyError(e);
+            doc.lastError = e.response ? `${e.response.status}: ${e.message}` : e.message;
+            doc.status = giveUp ? "failed" : "pending";
+            doc.nextAttemptAt = giveUp ? undefined : new Date(Date.now() + notifyRetryDelay(doc.attempts));
+            logger.warn("Notification attempt failed", { notificationId: doc._id, channel: doc.channel, attempts: doc.attempts, giveUp, err: e });
+        }
+    }
+
+    await doc.save();
+    publish("notification.updated", { notification: doc });
+    return doc;
+}
+
+function queueNotifications(delivery) {
+    notifyStatusChange(delivery).catch((e) => logger.error("Notifications failed", { deliveryDbId: delivery._id, err: e }));
+}
+
+let notifySweepRunning = false;
+
+async function runNotificationRetries() {
+    if (notifySweepRunning || mongoose.connection.readyState !== 1) return;
+    notifySweepRunning = true;
+    try {
+        const due = await Notification.find({ status: "pending", nextAttemptAt: { $lte: new Date() } })
+            .sort({ nextAttemptAt: 1 })
+            .limit(NOTIFY.BATCH)
+            .select("_id");
+        for (const { _id } of due) await deliverNotification(_id);
+    } finally {
+        notifySweepRunning = false;
+    }
+}
+
+setInterval(() => {
+    withLogContext({ job: "notifications" }, () =>
+        runNotificationRetries().catch((e) => logger.error("Notification retry sweep failed", { err: e }))
+    );
+}, NOTIFY.INTERVAL_MS).unref();
+
+// ====================== MANIFEST ======================
+// Every manifest item gets an Uber size class worked out from its per-unit weight and dimensions,
+// and an order's totals must fit in a courier's vehicle (MANIFEST config) before we ask for a quote.
+
+// Upper bounds per unit; anything bigger is xlarge (several trips to the vehicle)
+const SIZE_CLASSES = [
+    { size: "small", weight: 1000, side: 30, volume: 6000 }, // one hand: a bottle, a filter
+    { size: "medium", weight: 5000, side: 50, volume: 30000 }, // a tote bag
+    { size: "large", weight: 15000, side: 100, volume: 150000 }, // two hands
+];
+
+// [length, height, depth] when all three are known
+function itemSides(dimensions) {
+    const sides = ["length", "height", "depth"].map((k) => Number(dimensions?.[k]));
+    return sides.every((n) => n > 0) ? sides : null;
+}
+
+function classifySize({ weight, dimensions }) {
+    const sides = itemSides(dimensions);
+    if (!(weight > 0) && !sides) return DEFAULT_ITEM_SIZE;
+
+    const longest = sides ? Math.max(...sides) : 0;
+    const volume = sides ? sides[0] * sides[1] * sides[2] : 0;
+    const match = SIZE_CLASSES.find((c) => (weight || 0) <= c.weight && longest <= c.side && volume <= c.volume);
+    return match ? match.size : "xlarge";
+}
+
+// Quote line snapshot of an item's physical attributes
+function manifestFields(item) {
+    const sides = itemSides(item.dimensions);
+    return {
+        sku: item.sku,
+        size: classifySize(item),
+        weight: item.weight > 0 ? item.weight : undefined,
+        dimensions: sides ? { length: sides[0], height: sides[1], depth: sides[2] } : undefined,
+        handling: {
+            fragile: Boolean(item.handling?.fragile),
+            liquid: Boolean(item.handling?.liquid),
+            ageRestricted: Boolean(item.handling?.ageRestricted),
+        },
+    };
+}
+
+function summarizeManifest(lines) {
+    const summary = { weight: 0, volume: 0, size: "small", fragile: false, liquid: false, ageRestricted: false };
+    for (const l of lines) {
+        const qty = Number(l.qty) || 0;
+        const sides = itemSides(l.dimensions);
+        summary.weight += (l.weight || 0) * qty;
+        summary.volume += sides ? sides[0] * sides[1] * sides[2] * qty : 0;
+        const size = l.size || DEFAULT_ITEM_SIZE;
+        if (ITEM_SIZES.indexOf(size) > ITEM_SIZES.indexOf(summary.size)) summary.size = size;
+        for (const flag of ["fragile", "liquid", "ageRestricted"]) if (l.handling?.[flag]) summary[flag] = true;
+    }
+    return summary;
+}
+
+function assertVehicleLimits(lines) {
+    const fields = {};
+    lines.forEach((l, idx) => {
+        const sides = itemSides(l.dimensions);
+        if (l.weight > MANIFEST.MAX_ITEM_WEIGHT_G) {
+            fields[`items.${idx}.itemId`] = `${l.name} weighs more than ${MANIFEST.MAX_ITEM_WEIGHT_G / 1000} kg`;
+        } else if (sides && Math.max(...sides) > MANIFEST.MAX_SIDE_CM) {
+            fields[`items.${idx}.itemId`] = `${l.name} is longer than ${MANIFEST.MAX_SIDE_CM} cm`;
+        }
+    });
+
+    const { weight, volume } = summarizeManifest(lines);
+    const totals = [];
+    if (weight > MANIFEST.MAX_TOTAL_WEIGHT_G) {
+        totals.push(`total weight ${(weight / 1000).toFixed(1)} kg is over ${MANIFEST.MAX_TOTAL_WEIGHT_G / 1000} kg`);
+    }
+    if (volume > MANIFEST.MAX_TOTAL_VOLUME_CM3) {
+        totals.push(`total volume ${(volume / 1000).toFixed(1)} L is over ${MANIFEST.MAX_TOTAL_VOLUME_CM3 / 1000} L`);
+    }
+    if (totals.length) fields.items = `Order doesn't fit one courier: ${totals.join(", ")}`;
+
+    if (Object.keys(fields).length) throw new ValidationError("Order exceeds courier vehicle limits", fields);
+}
+
+// Uber manifest_items from quote lines (lines quoted before sizes were tracked fall back to medium)
+function toManifestItems(lines) {
+    return lines.map((l) => {
+        const sides = itemSides(l.dimensions);
+        return {
+            name: l.name,
+            quantity: Number(l.qty) || 1,
+            size: l.size || DEFAULT_ITEM_SIZE,
+            price: Number(l.price) || 0,
+            ...(l.weight > 0 ? { weight: Math.round(l.weight) } : {}),
+            ...(sides ? { dimensions: { length: sides[0], height: sides[1], depth: sides[2] } } : {}),
+            ...(l.handling?.liquid ? { must_be_upright: true } : {}),
+        };
+    });
+}
+
+// ====================== DELIVERY OPTIONS ======================
+// Scheduled windows, notes, proof-of-delivery requirements, tip and declared value. A quote carries
+// the defaults; from-quote may override everything except the windows, which need a fresh quote.
+
+const SCHEDULE_KEYS = ["pickupReadyAt", "pickupDeadlineAt", "dropoffReadyAt", "dropoffDeadlineAt"];
+
+const plainOptions = (options) => (options?.toObject ? options.toObject() : { ...options });
+
+// Dispatch-time overrides win; verification is replaced as a whole
+function mergeDeliveryOptions(base, overrides = {}) {
+    return { ...plainOptions(base), ...overrides };
+}
+
+const scheduleChanged = (a, b) => SCHEDULE_KEYS.some((k) => new Date(a?.[k] || 0).getTime() !== new Date(b?.[k] || 0).getTime());
+
+// Throws a validation error keyed by "<prefix><field>"; manifest is the quote's manifest summary
+function assertDeliveryOptions(options, manifest, prefix = "options.") {
+    const o = options || {};
+    const v = o.verification || {};
+    const fields = {};
+
+    const time = (k) => (o[k] ? new Date(o[k]).getTime() : null);
+    for (const [ready, deadline] of [["pickupReadyAt", "pickupDeadlineAt"], ["dropoffReadyAt", "dropoffDeadlineAt"]]) {
+        if (time(ready) && time(deadline) && time(ready) >= time(deadline)) fields[prefix + deadline] = "Must be after the ready time";
+        if (time(deadline) && time(deadline) <= Date.now()) fields[prefix + deadline] = "Already passed";
+    }
+    if (time("pickupReadyAt") && time("dropoffDeadlineAt") && time("dropoffDeadlineAt") <= time("pickupReadyAt")) {
+        fields[prefix + "dropoffDeadlineAt"] = "Must be after the pickup ready time";
+    }
+
+    if (o.deliverableAction === "leave_at_door" && (v.signature || v.pin || v.minAge)) {
+        fields[prefix + "deliverableAction"] = "Leave at door can't be combined with signature, PIN or ID checks";
+    }
+    if (manifest?.ageRestricted && !v.minAge) fields[prefix + "verification.minAge"] = "Age-restricted items need an ID check";
+
+    if (Object.keys(fields).length) throw new ValidationError("Invalid delivery options", fields);
+}
+
+const iso = (d) => (d ? new Date(d).toISOString() : undefined);
+
+// Fields Uber accepts on both the quote and the delivery request
+function uberScheduleFields(o = {}) {
+    const out = {
+        pickup_ready_dt: iso(o.pickupReadyAt),
+        pickup_deadline_dt: iso(o.pickupDeadlineAt),
+        dropoff_ready_dt: iso(o.dropoffReadyAt),
+        dropoff_deadline_dt: iso(o.dropoffDeadlineAt),
+        manifest_total_value: o.manifestTotalValue ?? undefined,
+    };
+    for (const k of Object.keys(out)) if (out[k] === undefined) delete out[k];
+    return out;
+}
+
+function uberDeliveryOptions(o = {}) {
+    const v = o.verification || {};
+    const verification = {};
+    if (v.signature) {
+        verification.signature_requirement = { enabled: true, collect_signer_name: Boolean(v.signerName), collect_signer_relationship: Boolean(v.signerName) };
+    }
+    if (v.picture) verification.picture = true;
+    if (v.pin) verification.pincode = { enabled: true };
+    if (v.barcodes?.length) verification.barcodes = v.barcodes.map((b) => ({ value: b.value, type: b.type || "CODE128" }));
+    if (v.minAge) verification.identification = { min_age: v.minAge };
+
+    return {
+        ...uberScheduleFields(o),
+        ...(o.pickupNotes ? { pickup_notes: o.pickupNotes } : {}),
+        ...(o.dropoffNotes ? { dropoff_notes: o.dropoffNotes } : {}),
+        ...(o.deliverableAction ? { deliverable_action: `deliverable_action_${o.deliverableAction}` } : {}),
+        ...(Object.keys(verification).length ? { dropoff_verification: verification } : {}),
+        ...(o.tip ? { tip: o.tip } : {}),
+    };
+}
+
+// ====================== WAREHOUSE SELECTION ======================
+// POST /api/quotes without warehouseId: pick the warehouse for the customer automatically.
+//   nearest  - closest warehouse that has every line in stock
+//   cheapest - ask Uber to quote the N closest in-stock warehouses, lowest fee wins
+//   fastest  - same, earliest dropoff ETA wins
+
+const SELECTION_STRATEGIES = ["nearest", "cheapest", "fastest"];
+
+// Sellable qty per item at a warehouse: Map(itemId -> onHand - reserved)
+async function availableStock(warehouseId, itemIds) {
+    const rows = await Stock.find({ warehouseId, itemId: { $in: itemIds } });
+    return new Map(rows.map((r) => [String(r.itemId), r.onHand - r.reserved]));
+}
+
+async function selectWarehouse(customer, lines, { strategy = "nearest", candidates = 3, deliveryOptions = {} } = {}) {
+    if (!SELECTION_STRATEGIES.includes(strategy)) {
+        throw new ValidationError("Unknown selection strategy", { strategy: `One of ${SELECTION_STRATEGIES.join(", ")}` });
+    }
+    if (!hasCoords(customer.address)) {
+        throw new ValidationError("Customer address has no coordinates; geocode it or pick a warehouse", {
+            customerId: "Customer is not geocoded",
+        });
+    }
+
+    const nearby = await findNearestWarehouses(customer.address, { limit: Math.max(candidates, 10) });
+    if (!nearby.length) throw new ValidationError("No geocoded warehouses to choose from", { warehouseId: "Required" });
+
+    const options = [];
+    for (const w of nearby) {
+        const stock = await availableStock(w._id, lines.map((l) => l.itemId));
+        const shortages = lines.filter((l) => (stock.get(String(l.itemId)) || 0) < l.qty).map((l) => l.name);
+        options.push({ warehouse: w, warehouseId: w._id, name: w.name, distanceM: Math.round(w.distanceM), inStock: !shortages.length, shortages });
+    }
+
+    const eligible = options.filter((o) => o.inStock);
+    if (!eligible.length) {
+        throw new ValidationError("No nearby warehouse has every item in stock", { items: "Insufficient stock" });
+    }
+
+    let chosen = eligible[0];
+    let reason = `nearest in-stock warehouse (${(chosen.distanceM / 1000).toFixed(1)} km)`;
+
+    if (strategy !== "nearest") {
+        const top = eligible.slice(0, candidates);
+        const results = await Promise.allSettled(
+            top.map((o) => getDeliveryQuotes(buildQuotePayload(o.warehouse.address, customer.address, lines, deliveryOptions)))
+        );
+        results.forEach((r, i) => {
+            if (r.status === "rejected") return (top[i].error = r.reason.message);
+            Object.assign(top[i], {
+                uberQuote: r.value,
+                quoteId: r.value.id,
+                fee: r.value.fee,
+                currency: r.value.currency,
+                duration: r.value.duration,
+                dropoffEta: r.value.dropoff_eta,
+            });
+        });
+
+        const quoted = top.filter((o) => o.uberQuote);
+        const eta = (o) => Date.parse(o.dropoffEta) || Date.now() + (o.duration || Infinity) * 60000;
+        if (quoted.length) {
+            quoted.sort((a, b) => (strategy === "cheapest" ? a.fee - b.fee : eta(a) - eta(b)));
+            chosen = quoted[0];
+            reason = `${strategy} of ${quoted.length} quoted in-stock warehouses`;
+        } else {
+            reason += "; Uber quotes failed for every candidate";
+        }
+    }
+
+    return {
+        warehouse: chosen.warehouse,
+        uberQuote: chosen.uberQuote,
+        selection: {
+            mode: "auto",
+            strategy,
+            reason,
+            decidedAt: new Date(),
+            alternatives: options.map((opt) => {
+                const { warehouse, uberQuote, ...o } = opt;
+                return { ...o, chosen: opt === chosen };
+            }),
+        },
+    };
+}
+
+// ====================== API: INVENTORY ======================
+
+// ?warehouseId= to limit to one site; rows carry `available` = onHand - reserved
+app.get("/api/inventory", async (req, res) => {
+    const q = {};
+    if (req.query.warehouseId) q.warehouseId = req.query.warehouseId;
+    if (req.query.itemId) q.itemId = req.query.itemId;
+    const rows = await Stock.find(q).populate("itemId", "name price").populate("warehouseId", "name").lean();
+    res.json(rows.map((r) => ({ ...r, available: r.onHand - r.reserved })));
+});
+
+// body: { warehouseId, itemId, delta } or { warehouseId, itemId, onHand } (absolute count), reason
+const STOCK_ADJUST_BODY = {
+    fields: {
+        warehouseId: { type: "objectId", required: true },
+        itemId: { type: "objectId", required: true },
+        delta: { type: "integer" },
+        onHand: { type: "integer", min: 0 },
+        reason: { type: "string", maxLength: 200 },
+    },
+};
+
+app.post("/api/inventory/adjust", requireRole("admin"), validateBody(STOCK_ADJUST_BODY), async (req, res) => {
+    const { warehouseId, itemId, reason } = req.body;
+
+    const warehouse = await User.findById(warehouseId);
+    if (!warehouse || warehouse.user_type !== "WAREHOUSE") {
+        throw new ValidationError("Invalid warehouse", { warehouseId: "Must be a WAREHOUSE user" });
+    }
+    if (!(await Item.exists({ _id: itemId }))) throw new ValidationError("Invalid item", { itemId: "Item not found" });
+
+    let delta = Number(req.body.delta);
+    if (req.body.onHand != null) {
+        const target = Number(req.body.onHand);
+        if (!Number.isInteger(target) || target < 0) throw new ValidationError("Invalid onHand", { onHand: "Must be a whole number >= 0" });
+        const current = await Stock.findOne({ warehouseId, itemId });
+        delta = target - (current?.onHand || 0);
+    }
+    if (!Number.isInteger(delta)) throw new ValidationError("Invalid delta", { delta: "Must be a whole number" });
+
+    const before = await Stock.findOne({ warehouseId, itemId });
+    const stock = await adjustStock({ warehouseId, itemId, delta, reason: reason || "manual adjustment" });
+    await audit(req, "stock.adjust", { entity: "Stock", before, after: stock, meta: { delta, reason } });
+    res.json({ ...stock.toObject(), available: stock.onHand - stock.reserved });
+});
+
+app.get("/api/inventory/ledger", async (req, res) => {
+    const query = parseListQuery(req, {
+        filters: { warehouseId: { type: "objectId" }, itemId: { type: "objectId" }, deliveryDbId: { type: "objectId" } },
+        sorts: ["createdAt"],
+    });
+    const q = createdBetween(query);
+    for (const k of ["warehouseId", "itemId", "deliveryDbId"]) if (query[k]) q[k] = query[k];
+    await sendPage(res, InventoryLedger, q, query, [["itemId", "name"], ["warehouseId", "name"]]);
+});
+
+// ====================== API: QUOTES ======================
+
+// warehouseId is optional: without it the warehouse is chosen by selectWarehouse()
+// (body.selection = { strategy: nearest|cheapest|fastest, candidates: N })
+const QUOTE_LINES = {
+    type: "array",
+    minItems: 1,
+    maxItems: 100,
+    of: {
+        type: "object",
+        fields: {
+            itemId: { type: "objectId", required: true },
+            qty: { type: "integer", required: true, min: 1, max: 10000 },
+        },
+    },
+};
+// see DELIVERY OPTIONS; money in cents
+const DELIVERY_OPTION_FIELDS = {
+    pickupNotes: { type: "string", maxLength: 500 },
+    dropoffNotes: { type: "string", maxLength: 500 },
+    deliverableAction: { type: "string", enum: DELIVERABLE_ACTIONS, nullable: true },
+    verification: {
+        type: "object",
+        fields: {
+            signature: { type: "boolean" },
+            signerName: { type: "boolean" },
+            picture: { type: "boolean" },
+            pin: { type: "boolean" },
+            barcodes: {
+                type: "array",
+                maxItems: 20,
+                of: {
+                    type: "object",
+                    fields: { value: { type: "string", required: true, maxLength: 100 }, type: { type: "string", enum: BARCODE_TYPES } },
+                },
+            },
+            minAge: { type: "integer", min: 16, max: 25, nullable: true },
+        },
+    },
+    manifestTotalValue: { type: "integer", min: 0, nullable: true },
+    tip: { type: "integer", min: 0, max: 100000, nullable: true },
+};
+const SCHEDULE_FIELDS = Object.fromEntries(SCHEDULE_KEYS.map((k) => [k, { type: "date", nullable: true }]));
+const QUOTE_OPTIONS = { type: "object", fields: { ...SCHEDULE_FIELDS, ...DELIVERY_OPTION_FIELDS } };
+
+const QUOTE_CREATE_BODY = {
+    fields: {
+        customerId: { type: "objectId", required: true },
+        warehouseId: { type: "objectId" },
+        items: { ...QUOTE_LINES, required: true },
+        options: QUOTE_OPTIONS,
+        selection: {
+            type: "object",
+            fields: {
+                strategy: { type: "string", enum: SELECTION_STRATEGIES },
+                candidates: { type: "integer", min: 1, max: 10 },
+            },
+        },
+    },
+};
+// Only the lines and delivery options are editable; everything else is a snapshot or comes from Uber
+const QUOTE_PATCH_BODY = {
+    fields: { items: QUOTE_LINES, options: QUOTE_OPTIONS },
+    readOnly: {
+        ...SERVER_FIELDS,
+        ...Object.fromEntries(
+            ["quoteId", "fee", "previousFee", "currency", "expires", "dropoffEta", "duration", "requotedAt", "raw"].map((k) => [
+                k,
+                "Set from Uber; use request-uber-quote",
+            ])
+        ),
+        status: "Set by the server",
+        subtotal: "Computed from items",
+        manifest: "Computed from items",
+        warehouseSelection: "Set when the quote is created",
+        customerId: "Create a new quote for another customer",
+        warehouseId: "Create a new quote for another warehouse",
+        pickupAddress: "Snapshot taken when the quote was created",
+        dropoffAddress: "Snapshot taken when the quote was created",
+    },
+};
+
+// Quote lines priced from the current catalogue
+async function loadQuoteLines(items) {
+    const dbItems = await Item.find({ _id: { $in: items.map((i) => i.itemId) } });
+    return items.map((i, idx) => {
+        const found = dbItems.find((x) => String(x._id) === String(i.itemId));
+        if (!found) throw new ValidationError(`Item not found: ${i.itemId}`, { [`items.${idx}.itemId`]: "Item not found" });
+        assertNotArchived(found, `items.${idx}.itemId`, `Item ${found.name}`);
+        return { itemId: found._id, name: found.name, price: found.price, qty: i.qty, ...manifestFields(found) };
+    });
+}
+
+async function assertInStock(warehouse, lines) {
+    const stock = await availableStock(warehouse._id, lines.map((l) => l.itemId));
+    const fields = {};
+    lines.forEach((l, idx) => {
+        const available = stock.get(String(l.itemId)) || 0;
+        if (available < l.qty) fields[`items.${idx}.qty`] = `Only ${available} available at ${warehouse.name}`;
+    });
+    if (Object.keys(fields).length) throw new ValidationError("Insufficient stock", fields);
+}
+
+app.post("/api/quotes", requireRole("dispatcher"), validateBody(QUOTE_CREATE_BODY), async (req, res) => {
+    const { customerId, warehouseId, items, options = {} } = req.body;
+
+    const customer = await User.findById(customerId);
+    if (!customer) throw new ValidationError("Invalid customer", { customerId: "Customer not found" });
+    if (customer.user_type !== "CUSTOMER") {
+        throw new ValidationError("customerId must be CUSTOMER", { customerId: "Must be a CUSTOMER user" });
+    }
+    assertNotArchived(customer, "customerId", "Customer");
+
+    const mapped = await loadQuoteLines(items);
+    assertVehicleLimits(mapped);
+    assertDeliveryOptions(options, summarizeManifest(mapped));
+
+    let warehouse, uberQuote, selection;
+    if (warehouseId) {
+        warehouse = await User.findById(warehouseId);
+        if (!warehouse) throw new ValidationError("Invalid warehouse", { warehouseId: "Warehouse not found" });
+        if (warehouse.user_type !== "WAREHOUSE") {
+            throw new ValidationError("warehouseId must be WAREHOUSE", { warehouseId: "Must be a WAREHOUSE user" });
+        }
+        assertNotArchived(warehouse, "warehouseId", "Warehouse");
+        selection = { mode: "manual" };
+        await assertInStock(warehouse, mapped);
+    } else {
+        const strategy = req.body.selection?.strategy || "nearest";
+        const candidates = req.body.selection?.candidates || 3;
+        ({ warehouse, uberQuote, selection } = await selectWarehouse(customer, mapped, { strategy, candidates, deliveryOptions: options }));
+    }
+
+    const totals = computeQuoteTotals(mapped);
+
+    const doc = new Quote({
+        customerId,
+        warehouseId: warehouse._id,
+        pickupAddress: plainAddress(warehouse.address),
+        dropoffAddress: plainAddress(customer.address),
+        items: totals.items,
+        subtotal: totals.subtotal,
+        manifest: summarizeManifest(totals.items),
+        options,
+        status: "draft",
+        warehouseSelection: selection,
+    });
+    // cheapest/fastest already asked Uber for the winner, so the quote is ready to dispatch
+    if (uberQuote) applyUberQuote(doc, uberQuote);
+    await doc.save();
+    publish("quote.updated", { quote: doc });
+    await audit(req, "quote.create", { entity: "Quote", after: doc });
+
+    res.json(doc);
+});
+
+// Ids of customers / warehouses whose name or phone matches a search
+async function matchingUserIds(text) {
+    return User.distinct("_id", { $or: [{ name: textMatch(text) }, { phone_number: textMatch(text) }] });
+}
+
+// ?status=quoted,expired ?customerId= ?warehouseId= ?q= (quote id, customer/warehouse name or phone)
+app.get("/api/quotes", async (req, res) => {
+    const query = parseListQuery(req, {
+        filters: {
+            status: { type: "string", maxLength: 100 },
+            customerId: { type: "objectId" },
+            warehouseId: { type: "objectId" },
+        },
+        sorts: ["createdAt", "fee", "subtotal", "expires"],
+    });
+    const filter = { ...archivedFilter(req), ...createdBetween(query) };
+    if (query.status) filter.$and = [quoteStatusFilter(oneOf(query.status).$in)];
+    if (query.customerId) filter.customerId = query.customerId;
+    if (query.warehouseId) filter.warehouseId = query.warehouseId;
+    if (query.q) {
+        const userIds = await matchingUserIds(query.q);
+        filter.$or = [{ quoteId: textMatch(query.q) }, { customerId: { $in: userIds } }, { warehouseId: { $in: userIds } }];
+    }
+
+    await sendPage(res, Quote, filter, query, [
+        ["customerId", "name user_type archivedAt"],
+        ["warehouseId", "name user_type archivedAt"],
+    ]);
+});
+
+app.get("/api/quotes/:id", async (req, res) => {
+    const doc = await Quote.findById(req.params.id)
+        .populate("customerId", "name user_type address")
+        .populate("warehouseId", "name user_type address")
+        .populate("items.itemId", "name price qty");
+    if (!doc) throw new NotFoundError("Quote not found");
+    res.json(doc);
+});
+
+// Replace the lines (re-priced from the catalogue, stock-checked at the quote's warehouse, totals
+// recomputed) and/or update the delivery options. New time windows invalidate the Uber quote.
+app.patch("/api/quotes/:id", requireRole("dispatcher"), validateBody(QUOTE_PATCH_BODY), async (req, res) => {
+    const doc = await Quote.findById(req.params.id);
+    if (!doc) throw new NotFoundError("Quote not found");
+    assertNotArchived(doc, "quoteDbId", "Quote");
+    if (await Delivery.exists({ quoteDbId: doc._id, archivedAt: null, status: { $ne: "canceled" } })) {
+        throw new ConflictError("Quote already has a delivery; create a new quote instead");
+    }
+
+    const before = auditSnapshot(doc);
+    if (req.body.items) {
+        const lines = await loadQuoteLines(req.body.items);
+        const warehouse = await User.findById(doc.warehouseId);
+        if (warehouse) await assertInStock(warehouse, lines);
+
+        const totals = computeQuoteTotals(lines);
+        assertVehicleLimits(totals.items);
+        doc.items = totals.items;
+        doc.subtotal = totals.subtotal;
+        doc.manifest = summarizeManifest(totals.items);
+    }
+
+    const options = mergeDeliveryOptions(doc.options, req.body.options);
+    assertDeliveryOptions(options, doc.manifest);
+    // the Uber fee was priced for the old manifest (size class, weight) and time windows: dispatching needs a re-quote
+    if ((req.body.items || scheduleChanged(doc.options, options)) && doc.status === "quoted") doc.status = "expired";
+    doc.options = options;
+    await doc.save();
+    publish("quote.updated", { quote: doc });
+    await audit(req, "quote.update", { entity: "Quote", before, after: doc });
+    res.json(doc);
+});
+
+app.delete("/api/quotes/:id", requireRole("dispatcher"), async (req, res) => {
+    const doc = await Quote.findById(req.params.id);
+    if (!doc) throw new NotFoundError("Quote not found");
+    const archived = await archiveRecord(req, doc, "Quote", await quoteUsage(doc));
+    publish("quote.deleted", { quoteDbId: doc._id });
+    res.json({ ok: true, archived });
+});
+
+app.post("/api/quotes/:id/restore", requireRole("dispatcher"), validateBody(EMPTY_BODY), async (req, res) => {
+    const doc = await restoreRecord(req, Quote, "Quote");
+    publish("quote.updated", { quote: doc });
+    res.json(doc);
+});
+
+function extractName(addr, fallbackName = "") {
+    if (!addr) return fallbackName;
+    if (typeof addr === "string") return fallbackName;
+    return addr.name || fallbackName;
+}
+
+function extractPhone(addr, fallbackPhone = "") {
+    if (!addr) return fallbackPhone;
+    if (typeof addr === "string") return fallbackPhone;
+    return addr.phone_number || fallbackPhone;
+}
+
+function isQuoteExpired(quoteDoc) {
+    if (quoteDoc.status === "expired") return true;
+    return Boolean(quoteDoc.expires) && quoteDoc.expires.getTime() - QUOTE_EXPIRY_MARGIN_MS <= Date.now();
+}
+
+// ?status= as the client sees it: a "quoted" quote past its expiry already counts as expired
+function quoteStatusFilter(statuses) {
+    const lapsedAt = new Date(Date.now() + QUOTE_EXPIRY_MARGIN_MS);
+    return {
+        $or: statuses.map((status) => {
+            if (status === "expired") return { $or: [{ status }, { status: "quoted", expires: { $lte: lapsedAt } }] };
+            if (status === "quoted") return { status, $or: [{ expires: null }, { expires: { $gt: lapsedAt } }] };
+            return { status };
+        }),
+    };
+}
+
+async function expireStaleQuotes() {
+    const filter = { status: "quoted", expires: { $lte: new Date(Date.now() + QUOTE_EXPIRY_MARGIN_MS) } };
+    const ids = await Quote.distinct("_id", filter);
+    if (!ids.length) return;
+
+    await Quote.updateMany({ ...filter, _id: { $in: ids } }, { status: "expired" });
+    publish("quotes.expired", { ids });
+}
+
+function plainAddress(addr) {
+    return addr?.toObject ? addr.toObject() : addr;
+}
+
+function buildQuotePayload(pickupAddress, dropoffAddress, lines = [], options = {}) {
+    return {
+        pickup_address: toUberAddress(pickupAddress),
+        dropoff_address: toUberAddress(dropoffAddress),
+        ...uberCoords("pickup", pickupAddress),
+        ...uberCoords("dropoff", dropoffAddress),
+        ...(lines.length ? { manifest_items: toManifestItems(lines) } : {}),
+        ...uberScheduleFields(options),
+    };
+}
+
+function applyUberQuote(quoteDoc, uberQuote) {
+    quoteDoc.quoteId = uberQuote.id;
+    quoteDoc.fee = uberQuote.fee;
+    quoteDoc.currency = uberQuote.currency;
+    quoteDoc.expires = uberQuote.expires;
+    quoteDoc.dropoffEta = uberQuote.dropoff_eta;
+    quoteDoc.duration = uberQuote.duration;
+    quoteDoc.raw = uberQuote;
+    quoteDoc.status = "quoted";
+}
+
+// Ask Uber for a fresh quote and store it on the Quote document (keeps the old fee for comparison)
+// maxFee: refuse (fee_changed) a new fee above it, leaving the stored quote untouched
+async function requestUberQuoteFor(quoteDoc, { maxFee } = {}) {
+    assertVehicleLimits(quoteDoc.items);
+    const payload = buildQuotePayload(quoteDoc.pickupAddress, quoteDoc.dropoffAddress, quoteDoc.items, plainOptions(quoteDoc.options));
+    logger.debug("Requesting Uber quote", { quoteDbId: quoteDoc._id, payload });
+
+    const uberQuote = await getDeliveryQuotes(payload);
+    logger.info("Uber quote received", { quoteDbId: quoteDoc._id, quoteId: uberQuote.id, fee: uberQuote.fee, currency: uberQuote.currency, expires: uberQuote.expires });
+
+    if (maxFee != null && uberQuote.fee > maxFee) {
+        throw new AppError("Re-quoted fee exceeds max_fee", {
+            status: 409,
+            code: "fee_changed",
+            details: { previousFee: quoteDoc.fee, fee: uberQuote.fee, difference: uberQuote.fee - (quoteDoc.fee || 0) },
+        });
+    }
+
+    if (quoteDoc.quoteId) {
+        quoteDoc.previousFee = quoteDoc.fee;
+        quoteDoc.requotedAt = new Date();
+    }
+    applyUberQuote(quoteDoc, uberQuote);
+    await quoteDoc.save();
+    publish("quote.updated", { quote: quoteDoc });
+
+    return quoteDoc;
+}
+
+// Request Uber quote for a Quote document (also used to re-quote a lapsed one)
+app.post("/api/quotes/:id/request-uber-quote", requireRole("dispatcher"), validateBody(EMPTY_BODY), async (req, res) => {
+    const quoteDoc = await Quote.findById(req.params.id);
+    if (!quoteDoc) throw new NotFoundError("Quote not found");
+    assertNotArchived(quoteDoc, "quoteDbId", "Quote");
+
+    const before = auditSnapshot(quoteDoc);
+    await requestUberQuoteFor(quoteDoc);
+    await audit(req, "quote.request_uber_quote", { entity: "Quote", before, after: quoteDoc });
+    res.json(quoteDoc);
+});
+
+setInterval(() => {
+    withLogContext({ job: "quote_expiry" }, () =>
+        expireStaleQuotes().catch((e) => logger.error("Quote expiry sweep failed", { err: e }))
+    );
+}, 60 * 1000).unref();
+
+// ====================== API: DELIVERIES ======================
+
+// Idempotent: the same Idempotency-Key / external_id (or a repeat click on a quote that already has an
+// active delivery) returns the original delivery instead of dispatching another courier.
+const DELIVERY_CREATE_BODY = {
+    fields: {
+        external_id: { type: "string", maxLength: 255 },
+        requote: { type: "boolean" },
+        max_fee: { type: "integer", min: 0 }, // cents
+        // overrides for the quote's delivery options
+        options: {
+            type: "object",
+            fields: DELIVERY_OPTION_FIELDS,
+            readOnly: Object.fromEntries(SCHEDULE_KEYS.map((k) => [k, "Time windows are part of the quote; PATCH the quote and re-quote"])),
+        },
+    },
+    readOnly: { size: "Computed per item from its weight and dimensions" },
+};
+
+app.post("/api/deliveries/from-quote/:quoteDbId", requireRole("dispatcher"), validateBody(DELIVERY_CREATE_BODY), async (req, res) => {
+    const quoteDoc = await Quote.findById(req.params.quoteDbId);
+    if (!quoteDoc) throw new NotFoundError("Quote not found");
+    assertNotArchived(quoteDoc, "quoteDbId", "Quote");
+    if (!quoteDoc.quoteId) throw new ValidationError("Quote has no Uber quoteId. Request Uber Quote first.");
+
+    const requestedKey = req.body.external_id || req.get("Idempotency-Key");
+
+    if (requestedKey) {
+        const existing = await Delivery.findOne({ externalId: requestedKey });
+        if (existing) return replayDelivery(res, existing, quoteDoc);
+    }
+
+    const active = await Delivery.findOne({ quoteDbId: quoteDoc._id, ...activeDeliveryFilter() });
+    if (active) {
+        if (requestedKey) {
+            throw new ConflictError("Quote already has an active delivery", { deliveryId: active._id });
+        }
+        return replayDelivery(res, active, quoteDoc);
+    }
+
+    // Lapsed quote: fail with quote_expired so the client can re-quote and show the new fee, or
+    // re-quote here when asked to (requote: true), refusing if the fee rose above max_fee
+    let requoted = null;
+    if (isQuoteExpired(quoteDoc)) {
+        if (!req.body.requote) {
+            if (quoteDoc.status !== "expired") {
+                await Quote.updateOne({ _id: quoteDoc._id }, { status: "expired" });
+                publish("quotes.expired", { ids: [quoteDoc._id] });
+            }
+            throw new AppError("Uber quote has expired. Request a new quote first.", {
+                status: 409,
+                code: "quote_expired",
+                details: { expires: quoteDoc.expires, fee: quoteDoc.fee },
+            });
+        }
+
+        const previousFee = quoteDoc.fee;
+        await requestUberQuoteFor(quoteDoc, { maxFee: req.body.max_fee });
+        requoted = { previousFee, fee: quoteDoc.fee, difference: quoteDoc.fee - (previousFee || 0) };
+    }
+
+    // the lines must still fit one courier (MANIFEST limits may have tightened since the quote was priced)
+    assertVehicleLimits(quoteDoc.items);
+    const options = mergeDeliveryOptions(quoteDoc.options, req.body.options);
+    assertDeliveryOptions(options, quoteDoc.manifest);
+
+    // Stable per quote + attempt, so concurrent double-clicks collide on the unique index
+    const attempt = await Delivery.countDocuments({ quoteDbId: quoteDoc._id });
+    const external_id = requestedKey || `JOB_${quoteDoc._id}_${attempt + 1}`;
+
+    // Load customer + warehouse to ensure we have name/phone (optional but recommended)
+    const customer = await User.findById(quoteDoc.customerId);
+    const warehouse = await User.findById(quoteDoc.warehouseId);
+    assertNotArchived(customer, "customerId", "Customer");
+    assertNotArchived(warehouse, "warehouseId", "Warehouse");
+
+    const payload = {
+        quote_id: quoteDoc.quoteId,
+
+        pickup_address: toUberAddress(quoteDoc.pickupAddress),
+        ...uberCoords("pickup", quoteDoc.pickupAddress),
+        pickup_name: extractName(quoteDoc.pickupAddress, warehouse?.name || "Warehouse"),
+        pickup_phone_number: extractPhone(quoteDoc.pickupAddress, warehouse?.phone_number || "+14155552671"),
+
+        dropoff_address: toUberAddress(quoteDoc.dropoffAddress),
+        ...uberCoords("dropoff", quoteDoc.dropoffAddress),
+        dropoff_name: extractName(quoteDoc.dropoffAddress, customer?.name || "Customer"),
+        dropoff_phone_number: extractPhone(quoteDoc.dropoffAddress, customer?.phone_number || "+14155552672"),
+
+        manifest_items: toManifestItems(quoteDoc.items || []),
+        ...uberDeliveryOptions(options),
+
+        external_id,
+    };
+
+    // Basic validation (avoid Uber rejecting)
+    if (!payload.pickup_address || !payload.dropoff_address) {
+        throw new ValidationError("Missing pickup/dropoff address", {
+            ...(payload.pickup_address ? {} : { pickup_address: "Warehouse address is empty" }),
+            ...(payload.dropoff_address ? {} : { dropoff_address: "Customer address is empty" }),
+        });
+    }
+    if (!payload.pickup_phone_number || !payload.dropoff_phone_number) {
+        // if Uber allows empty phone you can remove this check
+        logger.warn("Missing phone numbers in delivery payload", { quoteDbId: quoteDoc._id });
+    }
+
+    // Claim the quote, then the external id, before calling Uber: a concurrent dispatch of the same
+    // quote (any idempotency key) stops at the quote claim, a duplicate key on the unique index
+    const deliveryDbId = new mongoose.Types.ObjectId();
+    const holder = await claimQuoteForDelivery(quoteDoc._id, deliveryDbId);
+    if (holder) {
+        if (requestedKey && holder.externalId !== requestedKey) {
+            throw new ConflictError("Quote already has an active delivery", { deliveryId: holder._id });
+        }
+        return replayDelivery(res, holder, quoteDoc);
+    }
+
+    let doc;
+    try {
+        doc = await Delivery.create({
+            _id: deliveryDbId,
+            quoteDbId: quoteDoc._id,
+            quoteId: quoteDoc.quoteId,
+            externalId: external_id,
+            trackingToken: newTrackingToken(),
+            status: "creating",
+            options,
+        });
+    } catch (e) {
+        if (e.code !== 11000) throw e;
+        return replayDelivery(res, await Delivery.findOne({ externalId: external_id }), quoteDoc);
+    }
+
+    try {
+        await reserveStock(doc, quoteDoc);
+        await doc.save();
+    } catch (e) {
+        await doc.deleteOne();
+        throw e;
+    }
+
+    let delivery;
+    try {
+        delivery = await createDelivery(payload);
+    } catch (e) {
+        // Uber may have created it after all if the call timed out or 5xx'd: keep the record (and the
+        // stock) so a retry does not dispatch twice; otherwise release the external id and the stock
+        if (e instanceof UberUpstreamError && e.code !== "uber_circuit_open") {
+            doc.status = "create_unknown";
+            doc.lastError = errorEnvelope(e).error;
+            await doc.save();
+            publish("delivery.updated", { delivery: doc, source: "create" });
+        } else {
+            await settleInventory(doc, "released");
+            await doc.deleteOne();
+        }
+        throw e;
+    }
+
+    doc.deliveryId = delivery.id;
+    await doc.save();
+    const { delivery: created } = await applyDeliveryUpdate(doc, {
+        status: delivery.status,
+        at: delivery.created,
+        source: "create",
+        raw: delivery,
+    });
+
+    await audit(req, "delivery.create", {
+        entity: "Delivery",
+        after: created,
+        meta: { quoteDbId: quoteDoc._id, externalId: external_id, deliveryId: delivery.id, ...(requoted ? { requoted } : {}) },
+    });
+    res.json({ delivery: created, uber_payload_sent: payload, ...(requoted ? { requoted } : {}) });
+});
+
+// Claims the quote for a delivery about to be created. Returns null when claimed, or the delivery
+// that already holds it. A claim left by a delivery that has since finished, been archived or
+// was never created (failed dispatch) is stale and gets taken over.
+async function claimQuoteForDelivery(quoteDbId, deliveryDbId) {
+    for (let attempt = 0; attempt < 3; attempt++) {
+        const claimed = await Quote.findOneAndUpdate({ _id: quoteDbId, activeDeliveryId: null }, { $set: { activeDeliveryId: deliveryDbId } });
+        if (claimed) return null;
+
+        const holderId = (await Quote.findById(quoteDbId).select("activeDeliveryId"))?.activeDeliveryId;
+        const holder = holderId && (await Delivery.findOne({ _id: holderId, ...activeDeliveryFilter() }));
+        if (holder) return holder;
+        await Quote.updateOne({ _id: quoteDbId, activeDeliveryId: holderId }, { $set: { activeDeliveryId: null } });
+    }
+    throw new ConflictError("Quote is being dispatched concurrently, try again");
+}
+
+function replayDelivery(res, existing, quoteDoc) {
+    if (String(existing.quoteDbId) !== String(quoteDoc._id)) {
+        throw new ConflictError("external_id already used for another quote", { deliveryId: existing._id });
+    }
+    if (existing.status === "creating") {
+        throw new ConflictError("Delivery creation already in progress", { deliveryId: existing._id });
+    }
+    if (existing.status === "create_unknown") {
+        throw new ConflictError(
+            "A previous attempt may have reached Uber. Check the Uber dashboard, then archive this delivery record (confirming it is not at Uber) to retry.",
+            { deliveryId: existing._id }
+        );
+    }
+    return res.json({ delivery: existing, replayed: true });
+}
+
+
+// ?status= ?externalId= ?deliveryId= ?quoteDbId= ?customerId= ?warehouseId=
+// ?q= (external/Uber delivery id, or customer/warehouse name or phone)
+app.get("/api/deliveries", async (req, res) => {
+    const query = parseListQuery(req, {
+        filters: {
+            status: { type: "string", maxLength: 200 },
+            externalId: { type: "string", maxLength: 255 },
+            deliveryId: { type: "string", maxLength: 100 },
+            quoteDbId: { type: "objectId" },
+            customerId: { type: "objectId" },
+            warehouseId: { type: "objectId" },
+        },
+        sorts: ["createdAt", "statusAt", "status"],
+    });
+    const filter = { ...archivedFilter(req), ...createdBetween(query) };
+    if (query.status) filter.status = oneOf(query.status);
+    if (query.externalId) filter.externalId = query.externalId;
+    if (query.deliveryId) filter.deliveryId = query.deliveryId;
+
+    const quoteFilters = [];
+    if (query.quoteDbId) quoteFilters.push([query.quoteDbId]);
+    if (query.customerId) quoteFilters.push(await Quote.distinct("_id", { customerId: query.customerId }));
+    if (query.warehouseId) quoteFilters.push(await Quote.distinct("_id", { warehouseId: query.warehouseId }));
+    if (quoteFilters.length) filter.$and = quoteFilters.map((ids) => ({ quoteDbId: { $in: ids } }));
+
+    if (query.q) {
+        const userIds = await matchingUserIds(query.q);
+        const quoteIds = await Quote.distinct("_id", { $or: [{ customerId: { $in: userIds } }, { warehouseId: { $in: userIds } }] });
+        filter.$or = [{ externalId: textMatch(query.q) }, { deliveryId: textMatch(query.q) }, { quoteDbId: { $in: quoteIds } }];
+    }
+
+    await sendPage(res, Delivery, filter, query, [["quoteDbId"]]);
+});
+
+app.get("/api/deliveries/:id", async (req, res) => {
+    const doc = await Delivery.findById(req.params.id).populate("quoteDbId");
+    if (!doc) throw new NotFoundError("Delivery not found");
+    res.json({ ...doc.toJSON(), trackingUrl: trackingUrl(doc.trackingToken) });
+});
+
+const TRACKING_LINK_BODY = { fields: { rotate: { type: "boolean" } } };
+
+// Customer tracking link (see PUBLIC TRACKING): creates one for older deliveries;
+// rotate: true replaces a link that was shared by mistake, the old one stops working
+app.post("/api/deliveries/:id/tracking-link", requireRole("dispatcher"), validateBody(TRACKING_LINK_BODY), async (req, res) => {
+    const doc = await Delivery.findById(req.params.id);
+    if (!doc) throw new NotFoundError("Delivery not found");
+
+    const rotated = Boolean(doc.trackingToken && req.body.rotate);
+    if (!doc.trackingToken || rotated) {
+        doc.trackingToken = newTrackingToken();
+        await doc.save();
+        await audit(req, "delivery.tracking_link", { entity: "Delivery", id: doc._id, meta: { rotated } });
     }
+    res.json({ trackingUrl: trackingUrl(doc.trackingToken), rotated });
 });
 
-app.delete("/api/users/:id", async (req, res) => {
-    await User.findByIdAndDelete(req.params.id);
-    res.json({ ok: true });
+// Latest courier position plus the breadcrumb trail, oldest first (?limit= caps the trail)
+app.get("/api/deliveries/:id/track", async (req, res) => {
+    const doc = await Delivery.findById(req.params.id).populate("quoteDbId");
+    if (!doc) throw new NotFoundError("Delivery not found");
+
+    const limit = Math.min(Math.max(Number(req.query.limit) || 500, 1), 5000);
+    const trail = await CourierPosition.find({ deliveryDbId: doc._id })
+        .sort({ at: -1 })
+        .limit(limit)
+        .select("at lat lng status -_id")
+        .lean();
+    trail.reverse();
+
+    // stop coordinates from Uber's snapshot, falling back to the geocoded quote addresses
+    const stop = (snap, addr) => {
+        if (Number.isFinite(snap?.location?.lat)) return { lat: snap.location.lat, lng: snap.location.lng };
+        return hasCoords(addr) ? { lat: addr.latitude, lng: addr.longitude } : null;
+    };
+
+    const c = doc.courier;
+    res.json({
+        deliveryId: doc.deliveryId,
+        status: doc.status,
+        terminal: DELIVERY_TERMINAL_STATUSES.includes(doc.status),
+        courier: c?.at ? { name: c.name, phone: c.phone, vehicleType: c.vehicleType } : null,
+        latest: c?.at ? { at: c.at, lat: c.location.lat, lng: c.location.lng } : null,
+        eta: {
+            pickup: c?.pickupEta || doc.raw?.pickup_eta || null,
+            dropoff: c?.dropoffEta || doc.raw?.dropoff_eta || null,
+        },
+        pickup: stop(doc.raw?.pickup, doc.quoteDbId?.pickupAddress),
+        dropoff: stop(doc.raw?.dropoff, doc.quoteDbId?.dropoffAddress),
+        trail,
+    });
 });
 
-// ====================== API: ITEMS ======================
+// Proof of delivery per stop; image urls point at /proof/files/:fileId (served from GridFS)
+async function proofResponse(doc) {
+    const proofs = await DeliveryProof.find({ deliveryDbId: doc._id }).sort({ completedAt: 1 }).lean();
+    const image = (img) =>
+        img?.fileId
+            ? { url: `/api/deliveries/${doc._id}/proof/files/${img.fileId}`, contentType: img.contentType, size: img.size }
+            : img?.error
+              ? { error: img.error }
+              : null;
+
+    return {
+        deliveryDbId: doc._id,
+        deliveryId: doc.deliveryId,
+        status: doc.status,
+        required: doc.options?.verification || null,
+        proofs: proofs.map(({ raw, _id, __v, signature, picture, courier, ...p }) => ({
+            ...p,
+            signature: signature ? { ...signature, image: image(signature.image) } : null,
+            picture: picture ? { image: image(picture.image) } : null,
+            courier: courier ? { ...courier, image: image(courier.image) } : null,
+        })),
+    };
+}
 
-app.post("/api/items", async (req, res) => {
-    try {
-        const doc = await Item.create(req.body);
-        res.json(doc);
-    } catch (e) {
-        res.status(400).json({ message: e.message });
-    }
+app.get("/api/deliveries/:id/proof", async (req, res) => {
+    const doc = await Delivery.findById(req.params.id);
+    if (!doc) throw new NotFoundError("Delivery not found");
+    res.json(await proofResponse(doc));
 });
 
-app.get("/api/items", async (req, res) => {
-    const docs = await Item.find({}).sort({ createdAt: -1 });
-    res.json(docs);
+app.get("/api/deliveries/:id/proof/files/:fileId", async (req, res) => {
+    const doc = await Delivery.findById(req.params.id).select("_id");
+    if (!doc || !mongoose.isValidObjectId(req.params.fileId)) throw new NotFoundError("Proof file not found");
+    const fileId = new mongoose.Types.ObjectId(String(req.params.fileId));
+    const [file] = await proofBucket().find({ _id: fileId, "metadata.deliveryDbId": doc._id }).toArray();
+    if (!file) throw new NotFoundError("Proof file not found");
+
+    const contentType = PROOF_IMAGE.CONTENT_TYPES.includes(file.metadata?.contentType) ? file.metadata.contentType : "application/octet-stream";
+    res.set({
+        "Content-Type": contentType,
+        "X-Content-Type-Options": "nosniff",
+        "Content-Security-Policy": "default-src 'none'",
+        "Cache-Control": "private, max-age=86400", // files never change
+    });
+    if (contentType === "application/octet-stream") res.attachment(file.filename);
+    proofBucket().openDownloadStream(fileId).on("error", (e) => res.destroy(e)).pipe(res);
 });
 
-app.get("/api/items/:id", async (req, res) => {
-    const doc = await Item.findById(req.params.id);
-    if (!doc) return res.status(404).json({ message: "Item not found" });
-    res.json(doc);
+// Fetch the delivery from Uber again and capture whatever proof it now has (retries failed image downloads)
+app.post("/api/deliveries/:id/proof/refresh", requireRole("dispatcher"), validateBody(EMPTY_BODY), async (req, res) => {
+    const doc = await Delivery.findById(req.params.id);
+    if (!doc) throw new NotFoundError("Delivery not found");
+
+    const data = await getDeliveryDetails(doc.deliveryId);
+    await queueProofCapture(doc, data, "proof_refresh");
+    const proof = await proofResponse(doc);
+    await audit(req, "delivery.proof_refresh", { entity: "Delivery", id: doc._id, meta: { stages: proof.proofs.map((p) => p.stage) } });
+    res.json(proof);
 });
 
-app.patch("/api/items/:id", async (req, res) => {
-    try {
-        const doc = await Item.findByIdAndUpdate(req.params.id, req.body, { new: true });
-        if (!doc) return res.status(404).json({ message: "Item not found" });
-        res.json(doc);
-    } catch (e) {
-        res.status(400).json({ message: e.message });
-    }
+// Customer messages for this delivery (sent, pending retries, failed and skipped), oldest first
+app.get("/api/deliveries/:id/notifications", async (req, res) => {
+    const doc = await Delivery.findById(req.params.id).select("_id");
+    if (!doc) throw new NotFoundError("Delivery not found");
+    res.json(await Notification.find({ deliveryDbId: doc._id }).sort({ createdAt: 1 }));
 });
 
-app.delete("/api/items/:id", async (req, res) => {
-    await Item.findByIdAndDelete(req.params.id);
-    res.json({ ok: true });
+// Give a failed message a fresh set of attempts (e.g. after fixing the provider settings)
+app.post("/api/notifications/:id/retry", requireRole("dispatcher"), validateBody(EMPTY_BODY), async (req, res) => {
+    const doc = await Notification.findById(req.params.id);
+    if (!doc) throw new NotFoundError("Notification not found");
+    if (doc.status !== "failed") throw new ConflictError(`Only failed messages can be retried (this one is ${doc.status})`);
+
+    const before = auditSnapshot(doc);
+    Object.assign(doc, { status: "pending", attempts: 0, nextAttemptAt: new Date() });
+    await doc.save();
+    const after = (await deliverNotification(doc._id)) || doc;
+    await audit(req, "notification.retry", { entity: "Notification", id: doc._id, before, after });
+    res.json(after);
 });
 
-// ====================== API: QUOTES ======================
+app.post("/api/deliveries/:id/refresh", requireRole("dispatcher"), validateBody(EMPTY_BODY), async (req, res) => {
+    const doc = await Delivery.findById(req.params.id);
+    if (!doc) throw new NotFoundError("Delivery not found");
 
-app.post("/api/quotes", async (req, res) => {
-    try {
-        const { customerId, warehouseId, items } = req.body;
-
-        const customer = await User.findById(customerId);
-        const warehouse = await User.findById(warehouseId);
-        if (!customer || !warehouse) return res.status(400).json({ message: "Invalid customer/warehouse" });
-        if (customer.user_type !== "CUSTOMER") return res.status(400).json({ message: "customerId must be CUSTOMER" });
-        if (warehouse.user_type !== "WAREHOUSE") return res.status(400).json({ message: "warehouseId must be WAREHOUSE" });
-
-        const itemIds = (items || []).map((i) => i.itemId);
-        const dbItems = await Item.find({ _id: { $in: itemIds } });
-
-        const mapped = (items || []).map((i) => {
-            const found = dbItems.find((x) => String(x._id) === String(i.itemId));
-            if (!found) throw new Error(`Item not found: ${i.itemId}`);
-            return {
-                itemId: found._id,
-                name: found.name,
-                price: found.price,
-                qty: Number(i.qty) || 1,
-            };
-        });
+    const before = auditSnapshot(doc);
+    let delivery;
+    if (doc.deliveryId) {
+        const data = await getDeliveryDetails(doc.deliveryId);
+        ({ delivery } = await applyDeliveryUpdate(doc, { status: data.status, at: data.updated, source: "refresh", raw: data }));
+    } else if (doc.status === "create_unknown") {
+        delivery = await reconcileCreateUnknown(doc, "refresh");
+        if (!delivery) throw new NotFoundError("Uber has no delivery for this record. Archive it to retry the dispatch.");
+    } else {
+        throw new ConflictError("Delivery has not reached Uber yet", { status: doc.status });
+    }
+    await audit(req, "delivery.refresh", { entity: "Delivery", id: doc._id, before, after: delivery });
 
-        const totals = computeQuoteTotals(mapped);
+    res.json(delivery);
+});
 
-        const doc = await Quote.create({
-            customerId,
-            warehouseId,
-            pickupAddress: warehouse.address,
-            dropoffAddress: customer.address,
-            items: totals.items,
-            subtotal: totals.subtotal,
-            status: "draft",
-        });
+app.post("/api/deliveries/:id/cancel", requireRole("dispatcher"), validateBody(EMPTY_BODY), async (req, res) => {
+    const doc = await Delivery.findById(req.params.id);
+    if (!doc) throw new NotFoundError("Delivery not found");
 
-        res.json(doc);
-    } catch (e) {
-        res.status(400).json({ message: e.message });
+    if (!doc.deliveryId) {
+        throw new ConflictError(
+            doc.status === "create_unknown" ? "Refresh the delivery first to find it at Uber" : "Delivery has not reached Uber yet",
+            { status: doc.status }
+        );
     }
-});
 
-app.get("/api/quotes", async (req, res) => {
-    const docs = await Quote.find({})
-        .populate("customerId", "name user_type")
-        .populate("warehouseId", "name user_type")
-        .sort({ createdAt: -1 });
-    res.json(docs);
-});
+    const before = auditSnapshot(doc);
+    const canceled = await cancelDelivery(doc.deliveryId);
+    const { delivery } = await applyDeliveryUpdate(doc, {
+        status: canceled.status || "canceled",
+        at: canceled.updated,
+        source: "cancel",
+        raw: canceled,
+    });
+    await audit(req, "delivery.cancel", { entity: "Delivery", id: doc._id, before, after: delivery });
 
-app.get("/api/quotes/:id", async (req, res) => {
-    const doc = await Quote.findById(req.params.id)
-        .populate("customerId", "name user_type address")
-        .populate("warehouseId", "name user_type address")
-        .populate("items.itemId", "name price qty");
-    if (!doc) return res.status(404).json({ message: "Quote not found" });
-    res.json(doc);
+    res.json(delivery);
 });
 
-app.patch("/api/quotes/:id", async (req, res) => {
-    try {
-        const doc = await Quote.findByIdAndUpdate(req.params.id, req.body, { new: true });
-        if (!doc) return res.status(404).json({ message: "Quote not found" });
-        res.json(doc);
-    } catch (e) {
-        res.status(400).json({ message: e.message });
+app.delete("/api/deliveries/:id", requireRole("admin"), async (req, res) => {
+    const doc = await Delivery.findById(req.params.id);
+    if (!doc) throw new NotFoundError("Delivery not found");
+    if (doc.deliveryId && !DELIVERY_TERMINAL_STATUSES.includes(doc.status)) {
+        throw new AppError("Delivery is still in progress at Uber; cancel it first", { status: 409, code: "in_use" });
+    }
+    // Uber may have created it after all: archiving releases its stock and frees the quote for another
+    // dispatch, so only do it once someone has checked the Uber dashboard for the external id
+    if (DELIVERY_PRE_UBER_STATUSES.includes(doc.status) && req.query.force !== "true") {
+        throw new AppError(`Uber may have created this delivery (external id ${doc.externalId}); check the Uber dashboard first`, {
+            status: 409,
+            code: "confirm_required",
+            details: { status: doc.status, externalId: doc.externalId },
+        });
     }
+
+    await settleInventory(doc, "released"); // a creating/create_unknown record may still hold stock
+    const archived = await archiveRecord(req, doc, "Delivery");
+    publish("delivery.deleted", { deliveryDbId: doc._id });
+    res.json({ ok: true, archived });
 });
 
-app.delete("/api/quotes/:id", async (req, res) => {
-    await Quote.findByIdAndDelete(req.params.id);
-    res.json({ ok: true });
+app.post("/api/deliveries/:id/restore", requireRole("admin"), validateBody(EMPTY_BODY), async (req, res) => {
+    const doc = await restoreRecord(req, Delivery, "Delivery");
+    publish("delivery.updated", { delivery: doc, source: "restore" });
+    res.json(doc);
 });
 
-function addressObjectToString(addr) {
-    if (!addr) return "";
+// ====================== RECONCILIATION ======================
+// Safety net for missed webhooks: every RECONCILE.INTERVAL_MS, fetch the due non-terminal deliveries
+// from Uber and feed them through applyDeliveryUpdate (source "reconcile"). A delivery that hasn't
+// changed is checked less and less often; a 429 or an open circuit ends the run early.
 
-    const d = addr || {};
+const reconcileState = {
+    running: false,
+    pausedUntil: null, // set from Retry-After on a 429
+    lastRun: null,
+    totals: { runs: 0, checked: 0, changed: 0, errors: 0, rateLimited: 0 },
+};
 
-    return [
-        d.street,
-        d.city,
-        d.state,
-        d.postal_code,
-        d.country,
-    ]
-        .filter(Boolean)
-        .join(", ");
+function reconcileBackoff(unchanged) {
+    return Math.min(RECONCILE.BACKOFF_MAX_MS, RECONCILE.BACKOFF_BASE_MS * 2 ** unchanged);
 }
 
-function extractName(addr, fallbackName = "") {
-    if (!addr) return fallbackName;
-    if (typeof addr === "string") return fallbackName;
-    return addr.name || fallbackName;
-}
+async function reconcileDelivery(doc) {
+    const now = Date.now();
+    try {
+        const uber = await getDeliveryDetails(doc.deliveryId, { retry: false }); // we retry on our own schedule
+        const { delivery, applied } = await applyDeliveryUpdate(doc, {
+            status: uber.status,
+            at: uber.updated,
+            source: "reconcile",
+            raw: uber,
+        });
+        const unchanged = applied ? 0 : (doc.reconcile?.unchanged || 0) + 1;
+        if (delivery) {
+            await Delivery.updateOne(
+                { _id: doc._id },
+                {
+                    $set: {
+                        "reconcile.lastAt": new Date(now),
+                        "reconcile.unchanged": unchanged,
+                        "reconcile.nextAt": new Date(now + reconcileBackoff(unchanged)),
+                    },
+                    $unset: { "reconcile.lastError": 1 },
+                }
+            );
+        }
+        return { changed: applied };
+    } catch (e) {
+        if (e instanceof UberRateLimitError || e.code === "uber_circuit_open") throw e;
 
-function extractPhone(addr, fallbackPhone = "") {
-    if (!addr) return fallbackPhone;
-    if (typeof addr === "string") return fallbackPhone;
-    return addr.phone_number || fallbackPhone;
+        // not found, validation, timeouts...: note it and back off like an unchanged check
+        const unchanged = (doc.reconcile?.unchanged || 0) + 1;
+        await Delivery.updateOne(
+            { _id: doc._id },
+            {
+                $set: {
+                    "reconcile.lastAt": new Date(now),
+                    "reconcile.unchanged": unchanged,
+                    "reconcile.nextAt": new Date(now + reconcileBackoff(unchanged)),
+                    "reconcile.lastError": `${e.code || "error"}: ${e.message}`,
+                },
+            }
+        );
+        return { error: e };
+    }
 }
 
-// Request Uber quote for a Quote document
-app.post("/api/quotes/:id/request-uber-quote", async (req, res) => {
-    try {
-        const quoteDoc = await Quote.findById(req.params.id);
-        console.log("🚀 ~ quoteDoc:", quoteDoc)
-        if (!quoteDoc) return res.status(404).json({ message: "Quote not found" });
-
-        const payload = {
-            pickup_address: addressObjectToString(quoteDoc.pickupAddress),
-            dropoff_address: addressObjectToString(quoteDoc.dropoffAddress),
-        };
-        console.log("🚀 ~ payload:", payload)
+// A create that timed out may have reached Uber anyway: look it up by external_id and, when found,
+// take over its id and status. Returns the updated delivery, or null when Uber has none.
+async function reconcileCreateUnknown(doc, source) {
+    // a few minutes' slack for clock skew between us and Uber
+    const uber = await findDeliveryByExternalId(doc.externalId, { since: new Date(doc.createdAt.getTime() - 5 * 60000) });
+    if (!uber) return null;
+
+    doc.deliveryId = uber.id;
+    doc.lastError = undefined;
+    await doc.save();
+    const { delivery } = await applyDeliveryUpdate(doc, { status: uber.status, at: uber.updated, source, raw: uber });
+    logger.info("Delivery found at Uber after an unknown create", { deliveryDbId: doc._id, deliveryId: uber.id });
+    return delivery;
+}
 
-        const uberQuote = await getDeliveryQuotes(payload);
-        console.log("🚀 ~ uberQuote:", uberQuote)
+async function runReconcile() {
+    if (reconcileState.running) return null;
+    if (reconcileState.pausedUntil && reconcileState.pausedUntil > Date.now()) return null;
+    if (mongoose.connection.readyState !== 1) return null;
 
-        quoteDoc.quoteId = uberQuote.id;
-        quoteDoc.fee = uberQuote.fee?.amount;
-        quoteDoc.raw = uberQuote;
-        quoteDoc.status = "quoted";
-        await quoteDoc.save();
+    reconcileState.running = true;
+    const run = { startedAt: new Date(), checked: 0, changed: 0, errors: 0, stoppedBy: null };
 
-        res.json(quoteDoc);
+    try {
+        const due = await Delivery.find({
+            deliveryId: { $exists: true, $ne: null },
+            status: { $nin: [...DELIVERY_TERMINAL_STATUSES, ...DELIVERY_PRE_UBER_STATUSES] },
+            $or: [{ "reconcile.nextAt": null }, { "reconcile.nextAt": { $lte: run.startedAt } }],
+        })
+            .sort({ "reconcile.nextAt": 1, createdAt: 1 })
+            .limit(RECONCILE.BATCH);
+
+        for (const doc of due) {
+            if (run.checked) await sleep(RECONCILE.SPACING_MS);
+            try {
+                const result = await reconcileDelivery(doc);
+                run.checked++;
+                if (result.changed) run.changed++;
+                if (result.error) run.errors++;
+            } catch (e) {
+                run.stoppedBy = e.code;
+                if (e instanceof UberRateLimitError) {
+                    reconcileState.totals.rateLimited++;
+                    reconcileState.pausedUntil = Date.now() + (e.retryAfter || 60) * 1000;
+                }
+                break;
+            }
+        }
     } catch (e) {
-        res.status(400).json(e.response?.data || { message: e.message });
+        run.stoppedBy = "error";
+        run.error = e.message;
+        logger.error("Reconciliation run failed", { err: e });
+    } finally {
+        run.finishedAt = new Date();
+        run.durationMs = run.finishedAt - run.startedAt;
+        reconcileState.running = false;
+        reconcileState.lastRun = run;
+        reconcileState.totals.runs++;
+        reconcileState.totals.checked += run.checked;
+        reconcileState.totals.changed += run.changed;
+        reconcileState.totals.errors += run.errors;
     }
-});
-
-// ====================== API: DELIVERIES ======================
-
-app.post("/api/deliveries/from-quote/:quoteDbId", async (req, res) => {
-    try {
-        const quoteDoc = await Quote.findById(req.params.quoteDbId);
-        if (!quoteDoc) return res.status(404).json({ message: "Quote not found" });
-        if (!quoteDoc.quoteId)
-            return res.status(400).json({ message: "Quote has no Uber quoteId. Request Uber Quote first." });
 
-        // Load customer + warehouse to ensure we have name/phone (optional but recommended)
-        const customer = await User.findById(quoteDoc.customerId);
-        const warehouse = await User.findById(quoteDoc.warehouseId);
+    if (run.changed || run.stoppedBy) {
+        logger.info("Reconcile run", { checked: run.checked, changed: run.changed, errors: run.errors, stoppedBy: run.stoppedBy });
+    }
+    return run;
+}
 
-        const external_id =
-            req.body.external_id || `JOB_${String(quoteDoc._id).slice(-6)}_${Date.now()}`;
+// lag = how far behind schedule the oldest due delivery is; staleness = longest time since a delivery was confirmed
+async function reconcileMetrics() {
+    const now = Date.now();
+    const open = {
+        deliveryId: { $exists: true, $ne: null },
+        status: { $nin: [...DELIVERY_TERMINAL_STATUSES, ...DELIVERY_PRE_UBER_STATUSES] },
+    };
+    const [tracked, due, oldestDue, stalest] = await Promise.all([
+        Delivery.countDocuments(open),
+        Delivery.countDocuments({ ...open, $or: [{ "reconcile.nextAt": null }, { "reconcile.nextAt": { $lte: new Date(now) } }] }),
+        Delivery.findOne({ ...open, "reconcile.nextAt": { $lte: new Date(now) } }).sort({ "reconcile.nextAt": 1 }).select("reconcile"),
+        Delivery.findOne(open).sort({ statusAt: 1 }).select("statusAt deliveryId status"),
+    ]);
+
+    return {
+        enabled: RECONCILE.ENABLED,
+        intervalMs: RECONCILE.INTERVAL_MS,
+        running: reconcileState.running,
+        pausedUntil: reconcileState.pausedUntil && reconcileState.pausedUntil > now ? new Date(reconcileState.pausedUntil) : null,
+        lastRun: reconcileState.lastRun,
+        totals: reconcileState.totals,
+        tracked,
+        due,
+        lagMs: oldestDue ? now - oldestDue.reconcile.nextAt.getTime() : 0,
+        stalest: stalest?.statusAt
+            ? { deliveryId: stalest.deliveryId, status: stalest.status, ageMs: now - stalest.statusAt.getTime() }
+            : null,
+    };
+}
 
-        const payload = {
-            quote_id: quoteDoc.quoteId,
+app.get("/api/admin/reconcile", requireRole("admin"), async (req, res) => {
+    res.json(await reconcileMetrics());
+});
 
-            pickup_address: addressObjectToString(quoteDoc.pickupAddress),
-            pickup_name: extractName(quoteDoc.pickupAddress, warehouse?.name || "Warehouse"),
-            pickup_phone_number: extractPhone(quoteDoc.pickupAddress, warehouse?.phone_number || "+14155552671"),
+// Run now instead of waiting for the next tick (ignored while a run is in progress)
+app.post("/api/admin/reconcile/run", requireRole("admin"), validateBody(EMPTY_BODY), async (req, res) => {
+    if (reconcileState.running) throw new ConflictError("Reconciliation is already running");
+    const run = await runReconcile();
+    await audit(req, "reconcile.run", { meta: run });
+    res.json({ run, metrics: await reconcileMetrics() });
+});
 
-            dropoff_address: addressObjectToString(quoteDoc.dropoffAddress),
-            dropoff_name: extractName(quoteDoc.dropoffAddress, customer?.name || "Customer"),
-            dropoff_phone_number: extractPhone(quoteDoc.dropoffAddress, customer?.phone_number || "+14155552672"),
+if (RECONCILE.ENABLED) {
+    setInterval(() => {
+        withLogContext({ job: "reconcile" }, () => runReconcile().catch((e) => logger.error("Reconciliation failed", { err: e })));
+    }, RECONCILE.INTERVAL_MS).unref();
+}
 
-            manifest_items: (quoteDoc.items || []).map((it) => ({
-                name: it.name,
-                quantity: Number(it.qty) || 1,
-                size: req.body.size || "medium",         // default, or compute by rules
-                price: Number(it.price) || 0,
-            })),
+// ====================== API: STREAM ======================
+// Server-Sent Events: one JSON message per bus event, "id:" set so the browser's automatic
+// reconnect (or ?lastEventId= on a manual one) resumes where it left off.
 
-            external_id,
-        };
+const STREAM_HEARTBEAT_MS = 25 * 1000;
 
-        // Basic validation (avoid Uber rejecting)
-        if (!payload.pickup_address || !payload.dropoff_address) {
-            return res.status(400).json({ message: "Missing pickup/dropoff address" });
-        }
-        if (!payload.pickup_phone_number || !payload.dropoff_phone_number) {
-            // if Uber allows empty phone you can remove this check
-            console.warn("⚠️ Missing phone numbers in payload");
+app.get("/api/stream", (req, res) => {
+    res.set({
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache, no-transform",
+        Connection: "keep-alive",
+        "X-Accel-Buffering": "no", // don't let nginx buffer the stream
+    });
+    res.flushHeaders();
+
+    const send = (event) => res.write(`id: ${event.id}\ndata: ${event.data}\n\n`);
+
+    res.write("retry: 3000\n\n");
+    const lastEventId = req.get("Last-Event-ID") || req.query.lastEventId;
+    if (lastEventId) {
+        const missed = eventsSince(lastEventId);
+        if (missed) missed.forEach(send);
+        else {
+            const id = `${BUS_BOOT_ID}:${busSeq}`;
+            send({ id, data: JSON.stringify({ id, type: "resync", at: new Date().toISOString() }) });
         }
-
-        const delivery = await createDelivery(payload);
-
-        const doc = await Delivery.create({
-            quoteDbId: quoteDoc._id,
-            quoteId: quoteDoc.quoteId,
-            externalId: external_id,
-            deliveryId: delivery.id,
-            status: delivery.status,
-            raw: delivery,
-        });
-
-        res.json({ delivery: doc, uber_payload_sent: payload });
-    } catch (e) {
-        res.status(400).json(e.response?.data || { message: e.message });
     }
-});
-
 
-app.get("/api/deliveries", async (req, res) => {
-    const docs = await Delivery.find({}).populate("quoteDbId").sort({ createdAt: -1 });
-    res.json(docs);
-});
+    bus.on("event", send);
+    const heartbeat = setInterval(() => res.write(": ping\n\n"), STREAM_HEARTBEAT_MS);
 
-app.get("/api/deliveries/:id", async (req, res) => {
-    const doc = await Delivery.findById(req.params.id).populate("quoteDbId");
-    if (!doc) return res.status(404).json({ message: "Delivery not found" });
-    res.json(doc);
+    req.on("close", () => {
+        clearInterval(heartbeat);
+        bus.off("event", send);
+    });
 });
 
-app.post("/api/deliveries/:id/refresh", async (req, res) => {
-    try {
-        const doc = await Delivery.findById(req.params.id);
-        if (!doc) return res.status(404).json({ message: "Delivery not found" });
+// ====================== WEBHOOK ======================
 
-        const data = await getDeliveryDetails(doc.deliveryId);
-        doc.status = data.status;
-        doc.raw = data;
-        await doc.save();
+function verifyUberSignature(req) {
+    const signature = req.get("x-uber-signature") || req.get("x-postmates-signature");
 
-        res.json(doc);
-    } catch (e) {
-        res.status(400).json(e.response?.data || { message: e.message });
+    if (!signature) {
+        return WEBHOOK.DEV_MODE ? null : { status: 401, reason: "missing_signature" };
     }
-});
+    if (!UBER.WEBHOOK_SIGNING_KEY) return { status: 500, reason: "signing_key_not_configured" };
+    if (!req.rawBody) return { status: 400, reason: "missing_body" };
 
-app.post("/api/deliveries/:id/cancel", async (req, res) => {
-    try {
-        const doc = await Delivery.findById(req.params.id);
-        if (!doc) return res.status(404).json({ message: "Delivery not found" });
+    const expected = crypto.createHmac("sha256", UBER.WEBHOOK_SIGNING_KEY).update(req.rawBody).digest("hex");
+    const a = Buffer.from(expected, "utf8");
+    const b = Buffer.from(String(signature).toLowerCase(), "utf8");
+    if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) return { status: 401, reason: "bad_signature" };
 
-        const canceled = await cancelDelivery(doc.deliveryId);
-        doc.status = canceled.status || "canceled";
-        doc.raw = canceled;
-        await doc.save();
+    return null;
+}
 
-        res.json(doc);
-    } catch (e) {
-        res.status(400).json(e.response?.data || { message: e.message });
-    }
-});
+function checkEventFreshness(event) {
+    const created = Date.parse(event?.created);
+    if (Number.isNaN(created)) return WEBHOOK.DEV_MODE ? null : { status: 400, reason: "missing_timestamp" };
 
-app.delete("/api/deliveries/:id", async (req, res) => {
-    await Delivery.findByIdAndDelete(req.params.id);
-    res.json({ ok: true });
-});
+    const ageSec = (Date.now() - created) / 1000;
+    if (ageSec > WEBHOOK.TOLERANCE_SEC) return { status: 400, reason: "stale_event" };
+    if (ageSec < -WEBHOOK.TOLERANCE_SEC) return { status: 400, reason: "future_event" };
 
-// ====================== WEBHOOK ======================
+    return null;
+}
 
 app.post("/webhook/uber", async (req, res) => {
-    const event = req.body;
+    const event = req.body || {};
+    const eventId =
+        event.id || event.event_id || crypto.createHash("sha256").update(req.rawBody || "").digest("hex");
 
-    console.log("📩 Webhook Received:", event?.event_type, event?.delivery_id, event?.status);
-
-    await WebhookLog.create({
+    const log = {
+        eventId,
         deliveryId: event.delivery_id,
-        eventType: event.event_type,
+        eventType: event.kind || event.event_type,
         status: event.status,
         payload: event,
-    });
+        ip: req.ip,
+    };
 
-    if (event.kind === "event.delivery_status") {
-        await Delivery.findOneAndUpdate(
-            { deliveryId: event.delivery_id },
-            { status: event.status, raw: event }
-        );
+    addLogContext({ eventId, deliveryId: event.delivery_id });
+    logger.info("Webhook received", { eventType: log.eventType, status: event.status });
+
+    const rejection = verifyUberSignature(req) || checkEventFreshness(event);
+    if (rejection) {
+        logger.warn("Webhook rejected", { reason: rejection.reason });
+        await WebhookLog.create({ ...log, accepted: false, rejectReason: rejection.reason });
+        return res.status(rejection.status).json({ message: "Webhook rejected", reason: rejection.reason });
+    }
+
+    try {
+        await WebhookLog.create(log);
+    } catch (e) {
+        if (e.code !== 11000) throw e;
+        await WebhookLog.create({ ...log, accepted: false, rejectReason: "duplicate_event" });
+        // 200 so Uber stops redelivering an event we already processed
+        return res.json({ ok: true, duplicate: true });
+    }
+
+    // Until the event has been applied its log row only reserves the event id: if processing fails
+    // the row is marked not accepted, so Uber's redelivery of the same event is processed again
+    const unaccept = (reason) => WebhookLog.updateOne({ eventId, accepted: true }, { $set: { accepted: false, rejectReason: reason } });
+
+    if (event.kind === "event.delivery_status" || event.kind === "event.courier_update") {
+        try {
+            const doc = await Delivery.findOne({ deliveryId: event.delivery_id });
+            if (!doc) {
+                // e.g. the first simulator event can arrive before the create call saved deliveryId
+                logger.warn("Webhook for an unknown delivery, asking Uber to retry");
+                await unaccept("unknown_delivery");
+                return res.status(404).json({ message: "Delivery not found yet", reason: "unknown_delivery" });
+            }
+
+            if (event.kind === "event.delivery_status") {
+                await applyDeliveryUpdate(doc, {
+                    status: event.status,
+                    at: event.created,
+                    source: "webhook",
+                    raw: event.data || event,
+                    eventId,
+                });
+            } else {
+                await recordCourierUpdate(doc, event, eventId);
+            }
+        } catch (e) {
+            await unaccept("processing_failed").catch((err) => logger.error("Could not release webhook event id", { err }));
+            throw e;
+        }
     }
 
     res.sendStatus(200);
@@ -559,6 +4968,10 @@ app.get("/", (req, res) => {
   <script crossorigin src="https://unpkg.com/react@18/umd/react.development.js"></script>
   <script crossorigin src="https://unpkg.com/react-dom@18/umd/react-dom.development.js"></script>
 
+  <!-- Leaflet + OpenStreetMap tiles for courier tracking -->
+  <link rel="stylesheet" href="https://unpkg.com/leaflet@1.9.4/dist/leaflet.css" />
+  <script src="https://unpkg.com/leaflet@1.9.4/dist/leaflet.js"></script>
+
   <!-- Babel (so we can write JSX in one file) -->
   <script src="https://unpkg.com/@babel/standalone/babel.min.js"></script>
 </head>
@@ -566,35 +4979,124 @@ app.get("/", (req, res) => {
   <div id="root"></div>
 
 <script type="text/babel">
-const { useEffect, useMemo, useState } = React;
+const { useEffect, useMemo, useRef, useState } = React;
+
+// Server errors arrive as { error: { code, message, fields? } }; field errors are appended to the message
+class ApiError extends Error {
+  constructor(status, err) {
+    const fields = err.fields || null;
+    const detail = fields ? Object.entries(fields).map(([k, v]) => k + ": " + v).join("; ") : "";
+    super((err.message || "Request failed") + (detail ? " (" + detail + ")" : ""));
+    this.status = status;
+    this.code = err.code;
+    this.fields = fields;
+  }
+}
+
+async function request(method, path, body, headers) {
+  const opts = { method, headers: { ...(headers || {}) } };
+  if (body !== undefined) {
+    opts.headers["Content-Type"] = "application/json";
+    opts.body = JSON.stringify(body || {});
+  }
+  const r = await fetch(path, opts);
+  const j = await r.json().catch(() => ({}));
+  // session gone (expired, logged out elsewhere): back to the login screen
+  if (r.status === 401 && path !== "/api/auth/login" && auth.onUnauthorized) auth.onUnauthorized();
+  if (!r.ok) throw new ApiError(r.status, j.error || { message: j.message });
+  return j;
+}
+
+const auth = { onUnauthorized: null };
+const ROLES = ["viewer", "dispatcher", "admin"];
+const hasRole = (me, role) => ROLES.indexOf(me?.role) >= ROLES.indexOf(role);
 
 const api = {
-  async get(path) {
-    const r = await fetch(path);
-    const j = await r.json();
-    if (!r.ok) throw new Error(j.message || "Request failed");
-    return j;
-  },
-  async post(path, body) {
-    const r = await fetch(path, { method: "POST", headers: { "Content-Type":"application/json" }, body: JSON.stringify(body || {}) });
-    const j = await r.json();
-    if (!r.ok) throw new Error(j.message || "Request failed");
-    return j;
-  },
-  async patch(path, body) {
-    const r = await fetch(path, { method: "PATCH", headers: { "Content-Type":"application/json" }, body: JSON.stringify(body || {}) });
-    const j = await r.json();
-    if (!r.ok) throw new Error(j.message || "Request failed");
-    return j;
+  get(path) { return request("GET", path); },
+  post(path, body, headers) { return request("POST", path, body || {}, headers); },
+  patch(path, body) { return request("PATCH", path, body || {}); },
+  del(path) { return request("DELETE", path); },
+  // list endpoints answer { items, total, page, limit, pages }; empty params are left out
+  list(path, params) {
+    const qs = new URLSearchParams();
+    Object.entries(params || {}).forEach(([k, v])=>{ if (v !== "" && v != null) qs.set(k, v); });
+    return request("GET", path + (qs.toString() ? "?" + qs.toString() : ""));
   },
-  async del(path) {
-    const r = await fetch(path, { method: "DELETE" });
-    const j = await r.json();
-    if (!r.ok) throw new Error(j.message || "Request failed");
-    return j;
+  // every row, for dropdowns: pages through 500 at a time (the server's cap)
+  async all(path, params) {
+    const rows = [];
+    for (let page = 1; ; page++) {
+      const res = await api.list(path, { ...params, limit: 500, page });
+      rows.push(...res.items);
+      if (page >= res.pages || !res.items.length) return rows;
+    }
   }
 };
 
+// Live updates from /api/stream (Server-Sent Events); App owns the connection, pages subscribe
+const streamListeners = new Set();
+
+function useStream(handler) {
+  const latest = useRef(handler);
+  latest.current = handler; // always call the handler from the latest render (fresh state and props)
+  useEffect(()=>{
+    const fn = ev=>latest.current(ev);
+    streamListeners.add(fn);
+    return ()=>{ streamListeners.delete(fn); };
+  }, []);
+}
+
+// Returns "connecting" | "live" | "offline"; reconnects with backoff and resumes from the last event id
+function useEventStream() {
+  const [state, setState] = useState("connecting");
+
+  useEffect(()=>{
+    let es = null, timer = null, lastId = "", delay = 1000;
+    const connect = () => {
+      es = new EventSource("/api/stream" + (lastId ? "?lastEventId=" + encodeURIComponent(lastId) : ""));
+      es.onopen = ()=>{ setState("live"); delay = 1000; };
+      es.onmessage = (m)=>{
+        lastId = m.lastEventId || lastId;
+        let ev;
+        try { ev = JSON.parse(m.data); } catch(e){ return; }
+        streamListeners.forEach(fn=>fn(ev));
+      };
+      es.onerror = ()=>{
+        setState("offline");
+        // the browser retries on its own unless the stream was closed for good
+        if (es.readyState === EventSource.CLOSED) {
+          timer = setTimeout(connect, delay);
+          delay = Math.min(delay * 2, 30000);
+        }
+      };
+    };
+    connect();
+    return ()=>{ clearTimeout(timer); es && es.close(); };
+  }, []);
+
+  return state;
+}
+
+// Stream payloads carry plain ids where lists hold populated refs; keep the populated ones
+function mergeDoc(old, doc) {
+  const out = { ...old, ...doc };
+  Object.keys(doc).forEach(k=>{
+    if (old[k] && typeof old[k] === "object" && old[k]._id === doc[k]) out[k] = old[k];
+  });
+  return out;
+}
+
+// Apply a quote event to a quotes list; null means the list can't be patched and should be reloaded
+function applyQuoteEvent(list, ev) {
+  if (ev.type === "quote.updated") {
+    if (!list.some(q=>q._id === ev.quote._id)) return null;
+    return list.map(q=>q._id === ev.quote._id ? mergeDoc(q, ev.quote) : q);
+  }
+  if (ev.type === "quotes.expired") return list.map(q=>ev.ids.includes(q._id) ? { ...q, status: "expired" } : q);
+  if (ev.type === "quote.deleted") return list.filter(q=>q._id !== ev.quoteDbId);
+  return list;
+}
+
 function Card({title, subtitle, right, children}) {
   return (
     <div className="bg-white border rounded-xl shadow-sm">
@@ -625,12 +5127,22 @@ function Btn({children, onClick, variant="default", disabled}) {
   );
 }
 
-function Input({label, value, onChange, placeholder, type="text"}) {
+function Input({label, value, onChange, placeholder, type="text", error}) {
   return (
     <label className="block">
       {label ? <div className="text-xs font-medium text-slate-600 mb-1">{label}</div> : null}
       <input type={type} value={value} placeholder={placeholder} onChange={e=>onChange(e.target.value)}
-        className="w-full px-3 py-2 rounded-lg border border-slate-200 focus:outline-none focus:ring-2 focus:ring-slate-300 bg-white" />
+        className={"w-full px-3 py-2 rounded-lg border focus:outline-none focus:ring-2 focus:ring-slate-300 bg-white " + (error ? "border-red-400" : "border-slate-200")} />
+      {error ? <div className="text-xs text-red-600 mt-1">{error}</div> : null}
+    </label>
+  );
+}
+
+function Checkbox({label, checked, onChange}) {
+  return (
+    <label className="flex items-center gap-2 text-sm">
+      <input type="checkbox" checked={checked} onChange={e=>onChange(e.target.checked)} className="rounded border-slate-300" />
+      {label}
     </label>
   );
 }
@@ -647,6 +5159,25 @@ function Select({label, value, onChange, options}) {
   );
 }
 
+function formatFee(fee, currency) {
+  if (fee == null) return "-";
+  return (Number(fee) / 100).toFixed(2) + (currency ? " " + currency.toUpperCase() : "");
+}
+
+// Live mm:ss until an Uber quote lapses
+function Countdown({until}) {
+  const [now, setNow] = useState(Date.now());
+  useEffect(()=>{
+    const t = setInterval(()=>setNow(Date.now()), 1000);
+    return ()=>clearInterval(t);
+  }, []);
+  if (!until) return <span className="text-xs text-slate-400">-</span>;
+  const left = Math.floor((new Date(until).getTime() - now) / 1000);
+  if (left <= 0) return <span className="text-xs font-semibold text-red-600">expired</span>;
+  const mm = Math.floor(left / 60), ss = String(left % 60).padStart(2, "0");
+  return <span className={"text-xs font-mono " + (left < 120 ? "text-amber-600" : "text-slate-600")}>{mm}:{ss}</span>;
+}
+
 function Toast({msg, onClose}) {
   if (!msg) return null;
   return (
@@ -657,43 +5188,151 @@ function Toast({msg, onClose}) {
   );
 }
 
-function UsersPage({toast}) {
+// ?archived= values understood by the list endpoints
+const ARCHIVED_OPTIONS = [
+  { value:"", label:"Active" },
+  { value:"only", label:"Archived" },
+  { value:"all", label:"All" },
+];
+
+// Archive via DELETE; if open quotes still use the record the server asks for confirmation first
+async function confirmArchive(path, label) {
+  if (!confirm("Archive this " + label + "? It can be restored later.")) return false;
+  try {
+    await api.del(path);
+  } catch(e) {
+    if (e.code !== "confirm_required") throw e;
+    if (!confirm(e.message + ". Archive anyway?")) return false;
+    await api.del(path + "?force=true");
+  }
+  return true;
+}
+
+function ArchiveToggle({value, onChange}) {
+  return <Select label="Show" value={value} onChange={onChange} options={ARCHIVED_OPTIONS} />;
+}
+
+function RowActions({row, onArchive, onRestore}) {
+  return row.archivedAt
+    ? <Btn variant="outline" onClick={onRestore}>Restore</Btn>
+    : <Btn variant="danger" onClick={onArchive}>Archive</Btn>;
+}
+
+// Paging, filter and search state for a list endpoint; changing any filter goes back to page 1
+function usePagedList(path, toast, initial) {
+  const [params, setParams] = useState({ page:1, limit:25, sort:"", q:"", archived:"", ...initial });
   const [rows, setRows] = useState([]);
-  const [filter, setFilter] = useState("ALL");
+  const [meta, setMeta] = useState({ total:0, page:1, pages:0 });
   const [loading, setLoading] = useState(false);
 
-  const [form, setForm] = useState({
-    user_type: "CUSTOMER",
-    name: "",
-    address: { street: "", city: "", state: "", postal_code: "", country: "" }
-  });
-
   async function load() {
     setLoading(true);
     try {
-      const q = filter === "ALL" ? "" : "?user_type=" + filter;
-      const data = await api.get("/api/users" + q);
-      setRows(data);
-    } catch(e) { toast("❌ " + e.message); }
+      const data = await api.list(path, params);
+      setRows(data.items);
+      setMeta({ total:data.total, page:data.page, pages:data.pages });
+    } catch(e){ toast("❌ " + e.message); }
     finally { setLoading(false); }
   }
+  useEffect(()=>{ load(); }, [path, JSON.stringify(params)]);
+
+  const set = (k) => (v) => setParams(p=>({ ...p, [k]:v, page: k === "page" ? v : 1 }));
+  return { params, set, setParams, rows, setRows, meta, loading, load };
+}
+
+// Typing is debounced so every keystroke doesn't hit the server
+function SearchBox({value, onChange, placeholder}) {
+  const [text, setText] = useState(value);
+  useEffect(()=>{
+    if (text === value) return;
+    const t = setTimeout(()=>onChange(text), 300);
+    return ()=>clearTimeout(t);
+  }, [text]);
+  return <Input label="Search" value={text} onChange={setText} placeholder={placeholder} />;
+}
+
+function Pager({meta, onPage}) {
+  return (
+    <div className="flex items-center justify-between gap-2 p-3 bg-white text-xs text-slate-600">
+      <div>{meta.total} total{meta.pages > 1 ? " · page " + meta.page + " of " + meta.pages : ""}</div>
+      <div className="flex gap-2">
+        <Btn variant="outline" onClick={()=>onPage(meta.page - 1)} disabled={meta.page <= 1}>← Prev</Btn>
+        <Btn variant="outline" onClick={()=>onPage(meta.page + 1)} disabled={meta.page >= meta.pages}>Next →</Btn>
+      </div>
+    </div>
+  );
+}
+
+const ADDRESS_RULES = ${JSON.stringify(ADDRESS_RULES)};
+const COUNTRY_ALIASES = ${JSON.stringify(COUNTRY_ALIASES)};
+const EMPTY_ADDRESS = { line1:"", line2:"", unit:"", city:"", state:"", postal_code:"", country:"", latitude:"", longitude:"" };
+
+// Same checks as normalizeAddress() on the server; error keys match its "address.<field>" keys
+function validateAddress(a) {
+  const errors = {};
+  const rawCountry = a.country.replace(/\\s+/g, " ").trim().toUpperCase();
+  const country = COUNTRY_ALIASES[rawCountry] || rawCountry;
+  const state = a.state.trim();
+  let postal = a.postal_code.trim().toUpperCase();
+  if ((country === "CA" || country === "GB") && postal.replace(/ /g, "").length > 3) {
+    const compact = postal.replace(/ /g, "");
+    postal = compact.slice(0, -3) + " " + compact.slice(-3);
+  }
+
+  if (!a.line1.trim()) errors["address.line1"] = "Street address is required";
+  if (!a.city.trim()) errors["address.city"] = "City is required";
+  if (!/^[A-Z]{2}$/.test(country)) errors["address.country"] = "Use a 2-letter country code (e.g. US, IN)";
+  if ((a.latitude === "") !== (a.longitude === "")) errors["address.latitude"] = "Provide both latitude and longitude";
+  else if (a.latitude !== "" && !(Math.abs(Number(a.latitude)) <= 90)) errors["address.latitude"] = "Latitude must be -90..90";
+  else if (a.longitude !== "" && !(Math.abs(Number(a.longitude)) <= 180)) errors["address.longitude"] = "Longitude must be -180..180";
+
+  const rules = ADDRESS_RULES[country];
+  if (rules) {
+    if (rules.stateRequired && !state) errors["address.state"] = "State is required";
+    else if (state && rules.state && !new RegExp(rules.state).test(state.toUpperCase())) errors["address.state"] = "Invalid state for " + country;
+    if (!postal) errors["address.postal_code"] = "Postal code is required";
+    else if (!new RegExp(rules.postal).test(postal)) errors["address.postal_code"] = "Invalid postal code for " + country;
+  }
+  return errors;
+}
 
-  useEffect(()=>{ load(); }, [filter]);
+function UsersPage({toast}) {
+  const list = usePagedList("/api/users", toast, { user_type:"" });
+  const { rows, params, set, load, loading } = list;
+
+  const emptyUser = { user_type: "CUSTOMER", name: "", email: "", address: { ...EMPTY_ADDRESS }, notifyOptOut: { sms: false, email: false } };
+  const [form, setForm] = useState(emptyUser);
+  const [errors, setErrors] = useState({});
+  const setAddr = (k) => (v) => setForm(p=>({...p, address:{...p.address, [k]:v}}));
 
   async function create() {
+    const errs = validateAddress(form.address);
+    if (!form.name.trim()) errs.name = "Name is required";
+    setErrors(errs);
+    if (Object.keys(errs).length) return toast("❌ Fix the highlighted fields");
     try {
       await api.post("/api/users", form);
       toast("✅ User created");
-      setForm({ user_type: "CUSTOMER", name:"", address:{street:"",city:"",state:"",postal_code:"",country:""} });
+      setForm(emptyUser);
       load();
-    } catch(e) { toast("❌ " + e.message); }
+    } catch(e) {
+      if (e.fields) setErrors(e.fields);
+      toast("❌ " + e.message);
+    }
   }
 
   async function remove(id) {
-    if (!confirm("Delete this user?")) return;
     try {
-      await api.del("/api/users/" + id);
-      toast("✅ User deleted");
+      if (!(await confirmArchive("/api/users/" + id, "user"))) return;
+      toast("✅ User archived");
+      load();
+    } catch(e) { toast("❌ " + e.message); }
+  }
+
+  async function restore(id) {
+    try {
+      await api.post("/api/users/" + id + "/restore");
+      toast("✅ User restored");
       load();
     } catch(e) { toast("❌ " + e.message); }
   }
@@ -705,16 +5344,21 @@ function UsersPage({toast}) {
         subtitle="Customers + Warehouses"
         right={
           <div className="flex gap-2 items-end">
+            <SearchBox value={params.q} onChange={set("q")} placeholder="Name, phone or city" />
             <Select
               label="Filter"
-              value={filter}
-              onChange={setFilter}
+              value={params.user_type}
+              onChange={set("user_type")}
               options={[
-                { value:"ALL", label:"All" },
+                { value:"", label:"All" },
                 { value:"CUSTOMER", label:"Customer" },
                 { value:"WAREHOUSE", label:"Warehouse" },
               ]}
             />
+            <Select label="Sort" value={params.sort} onChange={set("sort")} options={[
+              { value:"", label:"Newest" }, { value:"createdAt", label:"Oldest" }, { value:"name", label:"Name" },
+            ]} />
+            <ArchiveToggle value={params.archived} onChange={set("archived")} />
             <Btn variant="outline" onClick={load} disabled={loading}>{loading ? "Loading..." : "Refresh"}</Btn>
           </div>
         }
@@ -732,19 +5376,30 @@ function UsersPage({toast}) {
                   { value:"WAREHOUSE", label:"WAREHOUSE" },
                 ]}
               />
-              <Input label="Name" value={form.name} onChange={(v)=>setForm(p=>({...p, name:v}))} placeholder="John / Main WH" />
-              <Input label="Street" value={form.address.street} onChange={(v)=>setForm(p=>({...p, address:{...p.address, street:v}}))} />
-              <Input label="City" value={form.address.city} onChange={(v)=>setForm(p=>({...p, address:{...p.address, city:v}}))} />
-              <Input label="State" value={form.address.state} onChange={(v)=>setForm(p=>({...p, address:{...p.address, state:v}}))} />
-              <Input label="Postal" value={form.address.postal_code} onChange={(v)=>setForm(p=>({...p, address:{...p.address, postal_code:v}}))} />
-              <Input label="Country" value={form.address.country} onChange={(v)=>setForm(p=>({...p, address:{...p.address, country:v}}))} placeholder="IN / US / SA" />
-              <Input label="Phone Number" placeholder="+14155552671" value={form.phone_number} onChange={(v) => setForm((p) => ({ ...p, phone_number: v }))} />
+              <Input label="Name" value={form.name} onChange={(v)=>setForm(p=>({...p, name:v}))} placeholder="John / Main WH" error={errors.name} />
+              <Input label="Address line 1" value={form.address.line1} onChange={setAddr("line1")} placeholder="1455 Market St" error={errors["address.line1"]} />
+              <Input label="Address line 2" value={form.address.line2} onChange={setAddr("line2")} placeholder="Building / floor" error={errors["address.line2"]} />
+              <Input label="Unit" value={form.address.unit} onChange={setAddr("unit")} placeholder="Apt / suite" error={errors["address.unit"]} />
+              <Input label="City" value={form.address.city} onChange={setAddr("city")} error={errors["address.city"]} />
+              <Input label="State" value={form.address.state} onChange={setAddr("state")} error={errors["address.state"]} />
+              <Input label="Postal" value={form.address.postal_code} onChange={setAddr("postal_code")} error={errors["address.postal_code"]} />
+              <Input label="Country" value={form.address.country} onChange={setAddr("country")} placeholder="IN / US / SA" error={errors["address.country"]} />
+              <Input label="Latitude (optional)" value={form.address.latitude} onChange={setAddr("latitude")} placeholder="geocoded if empty" error={errors["address.latitude"]} />
+              <Input label="Longitude (optional)" value={form.address.longitude} onChange={setAddr("longitude")} placeholder="geocoded if empty" error={errors["address.longitude"]} />
+              <Input label="Phone Number" placeholder="+14155552671" value={form.phone_number} onChange={(v) => setForm((p) => ({ ...p, phone_number: v }))} error={errors.phone_number} />
+              <Input label="Email (optional)" placeholder="delivery updates" value={form.email} onChange={(v)=>setForm(p=>({...p, email:v}))} error={errors.email} />
+              {form.user_type === "CUSTOMER" ? (
+                <div className="col-span-2 flex gap-4">
+                  <Checkbox label="No SMS updates" checked={form.notifyOptOut.sms} onChange={(v)=>setForm(p=>({...p, notifyOptOut:{...p.notifyOptOut, sms:v}}))} />
+                  <Checkbox label="No email updates" checked={form.notifyOptOut.email} onChange={(v)=>setForm(p=>({...p, notifyOptOut:{...p.notifyOptOut, email:v}}))} />
+                </div>
+              ) : null}
             </div>
             <div className="mt-3">
               <Btn onClick={create}>Create</Btn>
             </div>
             <div className="text-xs text-slate-500 mt-2">
-              Address is stored as raw object. Use Uber-compatible format if needed later.
+              Addresses are validated per country and sent to Uber in its structured address format.
             </div>
           </div>
 
@@ -754,18 +5409,25 @@ function UsersPage({toast}) {
             </div>
             <div className="max-h-[420px] overflow-auto bg-white">
               {rows.map(r=>(
-                <div key={r._id} className="grid grid-cols-5 gap-2 p-3 border-b text-sm items-center">
-                  <div className="text-xs font-semibold">{r.user_type}</div>
-                  <div className="truncate">{r.name}</div>
-                  <div className="text-slate-600">{r.address?.city || "-"}</div>
+                <div key={r._id} className={"grid grid-cols-5 gap-2 p-3 border-b text-sm items-center " + (r.archivedAt ? "opacity-60" : "")}>
+                  <div className="text-xs font-semibold">{r.user_type}{r.archivedAt ? <span className="ml-1 font-normal text-slate-500">(archived)</span> : null}</div>
+                  <div className="truncate">
+                    {r.name}
+                    {r.user_type === "CUSTOMER" ? <NotifyOptOut row={r} toast={toast} onSaved={load} /> : null}
+                  </div>
+                  <div className="text-slate-600">
+                    {r.address?.city || "-"}
+                    {r.address?.latitude != null ? <span title={r.address.latitude + ", " + r.address.longitude} className="ml-1">📍</span> : null}
+                  </div>
                   <div className="text-xs text-slate-500">{new Date(r.createdAt).toLocaleString()}</div>
                   <div className="text-right">
-                    <Btn variant="danger" onClick={()=>remove(r._id)}>Delete</Btn>
+                    <RowActions row={r} onArchive={()=>remove(r._id)} onRestore={()=>restore(r._id)} />
                   </div>
                 </div>
               ))}
               {!rows.length ? <div className="p-3 text-sm text-slate-500">No users found</div> : null}
             </div>
+            <Pager meta={list.meta} onPage={set("page")} />
           </div>
         </div>
       </Card>
@@ -773,72 +5435,320 @@ function UsersPage({toast}) {
   );
 }
 
+// Per-channel delivery update opt-out for a customer; click to toggle
+function NotifyOptOut({row, toast, onSaved}) {
+  async function toggle(channel) {
+    const optOut = { sms: !!row.notifyOptOut?.sms, email: !!row.notifyOptOut?.email };
+    optOut[channel] = !optOut[channel];
+    try {
+      await api.patch("/api/users/" + row._id, { notifyOptOut: optOut });
+      toast(optOut[channel] ? "🔕 " + channel.toUpperCase() + " updates off for " + row.name : "🔔 " + channel.toUpperCase() + " updates on for " + row.name);
+      onSaved();
+    } catch(e){ toast("❌ " + e.message); }
+  }
+  return (
+    <div className="flex gap-1 mt-0.5">
+      {["sms", "email"].map(ch=>(
+        <button key={ch} onClick={()=>toggle(ch)} title={row.notifyOptOut?.[ch] ? "Opted out: click to resume" : "Click to opt out"}
+          className={"text-[10px] px-1.5 rounded border " + (row.notifyOptOut?.[ch] ? "text-slate-400 line-through" : "text-slate-600")}>
+          {ch === "sms" ? "SMS" : "Email"}
+        </button>
+      ))}
+    </div>
+  );
+}
+
+const HANDLING_BADGES = [
+  { key:"fragile", icon:"🥚", label:"Fragile" },
+  { key:"liquid", icon:"💧", label:"Liquid: keep upright" },
+  { key:"ageRestricted", icon:"🔞", label:"Age-restricted" },
+];
+
 function ItemsPage({toast}) {
-  const [rows, setRows] = useState([]);
+  const list = usePagedList("/api/items", toast);
+  const { rows, params, set } = list;
+  const [activeItems, setActiveItems] = useState([]);
+  const [stock, setStock] = useState([]);
+  const [warehouses, setWarehouses] = useState([]);
   const [loading, setLoading] = useState(false);
-  const [form, setForm] = useState({ name:"", price:0, qty:0 });
+  const emptyItem = { name:"", sku:"", price:0, weight:"", length:"", height:"", depth:"", fragile:false, liquid:false, ageRestricted:false };
+  const [form, setForm] = useState(emptyItem);
+  const setField = (k) => (v) => setForm(p=>({...p, [k]:v}));
 
-  async function load() {
+  // the stock grid lists every active item, not just the current page
+  async function loadStock() {
     setLoading(true);
     try {
-      setRows(await api.get("/api/items"));
+      const [it, st, wh] = await Promise.all([
+        api.all("/api/items"),
+        api.get("/api/inventory"),
+        api.all("/api/users", { user_type:"WAREHOUSE" }),
+      ]);
+      setActiveItems(it);
+      setStock(st);
+      setWarehouses(wh);
     } catch(e){ toast("❌ " + e.message); }
     finally { setLoading(false); }
   }
-  useEffect(()=>{ load(); }, []);
+  useEffect(()=>{ loadStock(); }, []);
+
+  function load() { list.load(); loadStock(); }
+
+  // available units per item, summed over all warehouses
+  const totals = useMemo(()=>{
+    const t = {};
+    stock.forEach(s=>{ const id = s.itemId?._id; if (id) t[id] = (t[id] || 0) + s.available; });
+    return t;
+  }, [stock]);
 
   async function create() {
     try {
-      await api.post("/api/items", { ...form, price:Number(form.price), qty:Number(form.qty) });
+      const dims = [form.length, form.height, form.depth];
+      await api.post("/api/items", {
+        name: form.name,
+        sku: form.sku || undefined,
+        price: Number(form.price),
+        weight: form.weight === "" ? undefined : Number(form.weight),
+        dimensions: dims.some(d=>d !== "") ? { length:form.length, height:form.height, depth:form.depth } : undefined,
+        handling: { fragile:form.fragile, liquid:form.liquid, ageRestricted:form.ageRestricted },
+      });
       toast("✅ Item created");
-      setForm({ name:"", price:0, qty:0 });
+      setForm(emptyItem);
       load();
     } catch(e){ toast("❌ " + e.message); }
   }
   async function remove(id) {
-    if (!confirm("Delete this item?")) return;
     try {
-      await api.del("/api/items/" + id);
-      toast("✅ Item deleted");
+      if (!(await confirmArchive("/api/items/" + id, "item"))) return;
+      toast("✅ Item archived");
+      load();
+    } catch(e){ toast("❌ " + e.message); }
+  }
+
+  async function restore(id) {
+    try {
+      await api.post("/api/items/" + id + "/restore");
+      toast("✅ Item restored");
       load();
     } catch(e){ toast("❌ " + e.message); }
   }
 
   return (
     <div className="space-y-4">
-      <Card title="Items" subtitle="Manage products" right={<Btn variant="outline" onClick={load} disabled={loading}>{loading?"Loading...":"Refresh"}</Btn>}>
+      <Card title="Items" subtitle="Manage products" right={
+        <div className="flex gap-2 items-end">
+          <SearchBox value={params.q} onChange={set("q")} placeholder="Item name" />
+          <Select label="Sort" value={params.sort} onChange={set("sort")} options={[
+            { value:"", label:"Newest" }, { value:"name", label:"Name" }, { value:"price", label:"Price ↑" }, { value:"-price", label:"Price ↓" },
+          ]} />
+          <ArchiveToggle value={params.archived} onChange={set("archived")} />
+          <Btn variant="outline" onClick={load} disabled={loading || list.loading}>{loading || list.loading ? "Loading..." : "Refresh"}</Btn>
+        </div>
+      }>
         <div className="grid md:grid-cols-2 gap-4">
           <div className="border rounded-xl p-3 bg-slate-50">
             <div className="font-semibold mb-3">Create Item</div>
             <div className="grid grid-cols-2 gap-3">
-              <Input label="Name" value={form.name} onChange={(v)=>setForm(p=>({...p, name:v}))} placeholder="Engine Oil" />
-              <Input label="Price" type="number" value={form.price} onChange={(v)=>setForm(p=>({...p, price:v}))} />
-              <Input label="Qty" type="number" value={form.qty} onChange={(v)=>setForm(p=>({...p, qty:v}))} />
+              <Input label="Name" value={form.name} onChange={setField("name")} placeholder="Engine Oil" />
+              <Input label="SKU (optional)" value={form.sku} onChange={setField("sku")} placeholder="OIL-5W30-4L" />
+              <Input label="Price" type="number" value={form.price} onChange={setField("price")} />
+              <Input label="Weight per unit (g)" type="number" value={form.weight} onChange={setField("weight")} />
+              <div className="col-span-2 grid grid-cols-3 gap-3">
+                <Input label="Length (cm)" type="number" value={form.length} onChange={setField("length")} />
+                <Input label="Height (cm)" type="number" value={form.height} onChange={setField("height")} />
+                <Input label="Depth (cm)" type="number" value={form.depth} onChange={setField("depth")} />
+              </div>
+              <div className="col-span-2 flex gap-4">
+                <Checkbox label="Fragile" checked={form.fragile} onChange={setField("fragile")} />
+                <Checkbox label="Liquid (keep upright)" checked={form.liquid} onChange={setField("liquid")} />
+                <Checkbox label="Age-restricted" checked={form.ageRestricted} onChange={setField("ageRestricted")} />
+              </div>
             </div>
             <div className="mt-3"><Btn onClick={create}>Create</Btn></div>
+            <div className="text-xs text-slate-500 mt-2">
+              Stock is tracked per warehouse below. The Uber size (small → xlarge) is worked out from weight and dimensions.
+            </div>
           </div>
 
           <div className="border rounded-xl overflow-hidden bg-white">
             <div className="grid grid-cols-5 gap-2 p-3 border-b text-xs font-semibold text-slate-600">
-              <div>Name</div><div>Price</div><div>Qty</div><div>Created</div><div className="text-right">Action</div>
+              <div>Name</div><div>Price</div><div>Size</div><div>Available</div><div className="text-right">Action</div>
             </div>
             <div className="max-h-[420px] overflow-auto">
               {rows.map(r=>(
-                <div key={r._id} className="grid grid-cols-5 gap-2 p-3 border-b text-sm items-center">
-                  <div className="truncate">{r.name}</div>
+                <div key={r._id} className={"grid grid-cols-5 gap-2 p-3 border-b text-sm items-center " + (r.archivedAt ? "opacity-60" : "")}>
+                  <div className="truncate">
+                    {r.name}{r.archivedAt ? <span className="ml-1 text-xs text-slate-500">(archived)</span> : null}
+                    {r.sku ? <div className="text-xs text-slate-500">{r.sku}</div> : null}
+                  </div>
                   <div>₹{Number(r.price).toFixed(2)}</div>
-                  <div>{r.qty}</div>
-                  <div className="text-xs text-slate-500">{new Date(r.createdAt).toLocaleString()}</div>
+                  <div className="text-xs">
+                    <span className="font-semibold">{r.size}</span>
+                    {r.weight ? <span className="text-slate-500"> · {r.weight >= 1000 ? (r.weight / 1000).toFixed(1) + " kg" : r.weight + " g"}</span> : null}
+                    <div>{HANDLING_BADGES.filter(b=>r.handling?.[b.key]).map(b=><span key={b.key} title={b.label} className="mr-1">{b.icon}</span>)}</div>
+                  </div>
+                  <div>{totals[r._id] || 0}</div>
                   <div className="text-right">
-                    <Btn variant="danger" onClick={()=>remove(r._id)}>Delete</Btn>
+                    <RowActions row={r} onArchive={()=>remove(r._id)} onRestore={()=>restore(r._id)} />
                   </div>
                 </div>
               ))}
               {!rows.length ? <div className="p-3 text-sm text-slate-500">No items found</div> : null}
             </div>
+            <Pager meta={list.meta} onPage={set("page")} />
+          </div>
+        </div>
+      </Card>
+
+      <WarehouseStock toast={toast} items={activeItems} warehouses={warehouses} stock={stock} onChange={loadStock} />
+    </div>
+  );
+}
+
+function WarehouseStock({toast, items, warehouses, stock, onChange}) {
+  const [warehouseId, setWarehouseId] = useState("");
+  const [edits, setEdits] = useState({});
+  const [ledger, setLedger] = useState([]);
+
+  useEffect(()=>{ if (!warehouseId && warehouses.length) setWarehouseId(warehouses[0]._id); }, [warehouses]);
+  useEffect(()=>{
+    if (!warehouseId) return;
+    api.list("/api/inventory/ledger", { limit:20, warehouseId }).then(page=>setLedger(page.items)).catch(e=>toast("❌ " + e.message));
+  }, [warehouseId, stock]);
+
+  const byItem = useMemo(()=>{
+    const m = {};
+    stock.filter(s=>s.warehouseId?._id === warehouseId).forEach(s=>{ m[s.itemId?._id] = s; });
+    return m;
+  }, [stock, warehouseId]);
+
+  async function save(itemId) {
+    try {
+      await api.post("/api/inventory/adjust", { warehouseId, itemId, onHand: Number(edits[itemId]), reason: "set from admin" });
+      toast("✅ Stock updated");
+      setEdits(p=>({...p, [itemId]: undefined}));
+      onChange();
+    } catch(e){ toast("❌ " + e.message); }
+  }
+
+  return (
+    <Card title="Stock by warehouse" subtitle="On hand − reserved for in-flight deliveries = available"
+      right={<Select value={warehouseId} onChange={setWarehouseId} options={[{value:"", label:"Select warehouse..."}].concat(warehouses.map(w=>({value:w._id, label:w.name})))} />}
+    >
+      <div className="grid md:grid-cols-2 gap-4">
+        <div className="border rounded-xl overflow-hidden bg-white">
+          <div className="grid grid-cols-5 gap-2 p-3 border-b text-xs font-semibold text-slate-600">
+            <div>Item</div><div>On hand</div><div>Reserved</div><div>Available</div><div className="text-right">Set on hand</div>
+          </div>
+          <div className="max-h-[420px] overflow-auto">
+            {warehouseId ? items.map(it=>{
+              const s = byItem[it._id] || { onHand:0, reserved:0, available:0 };
+              return (
+                <div key={it._id} className="grid grid-cols-5 gap-2 p-3 border-b text-sm items-center">
+                  <div className="truncate">{it.name}</div>
+                  <div>{s.onHand}</div>
+                  <div className="text-amber-700">{s.reserved}</div>
+                  <div className="font-semibold">{s.available}</div>
+                  <div className="flex gap-1 justify-end">
+                    <input type="number" min="0" value={edits[it._id] ?? ""} placeholder={String(s.onHand)}
+                      onChange={e=>setEdits(p=>({...p, [it._id]: e.target.value}))}
+                      className="w-20 px-2 py-1 rounded border border-slate-200 text-sm" />
+                    <Btn variant="outline" onClick={()=>save(it._id)} disabled={edits[it._id] == null || edits[it._id] === ""}>Save</Btn>
+                  </div>
+                </div>
+              );
+            }) : <div className="p-3 text-sm text-slate-500">Select a warehouse</div>}
+          </div>
+        </div>
+
+        <div className="border rounded-xl overflow-hidden bg-white">
+          <div className="p-3 border-b text-xs font-semibold text-slate-600">Recent movements</div>
+          <div className="max-h-[420px] overflow-auto">
+            {ledger.map(l=>(
+              <div key={l._id} className="grid grid-cols-4 gap-2 p-3 border-b text-xs items-center">
+                <div className="font-semibold">{l.type}</div>
+                <div className="truncate">{l.itemId?.name || "-"} {l.type === "adjust" && l.qty > 0 ? "+" : ""}{l.type === "adjust" ? l.qty : "×" + l.qty}</div>
+                <div className="truncate text-slate-500">{l.reason || "-"}</div>
+                <div className="text-slate-500">{new Date(l.createdAt).toLocaleString()}</div>
+              </div>
+            ))}
+            {!ledger.length ? <div className="p-3 text-sm text-slate-500">No stock movements</div> : null}
           </div>
         </div>
-      </Card>
+      </div>
+    </Card>
+  );
+}
+
+// Delivery options form state (strings/booleans) <-> API body (see DELIVERY OPTIONS on the server)
+const SCHEDULE_KEYS = ["pickupReadyAt", "pickupDeadlineAt", "dropoffReadyAt", "dropoffDeadlineAt"];
+const EMPTY_OPTIONS = {
+  pickupReadyAt:"", pickupDeadlineAt:"", dropoffReadyAt:"", dropoffDeadlineAt:"",
+  pickupNotes:"", dropoffNotes:"", deliverableAction:"",
+  signature:false, signerName:false, picture:false, pin:false, barcodes:"", minAge:"",
+  tip:"", manifestTotalValue:"",
+};
+
+// Cleared fields go out as ""/null (not left out), so they override what the quote had
+function optionsBody(f, schedule) {
+  const cents = v => v === "" ? null : Math.round(Number(v) * 100);
+  const body = {
+    pickupNotes: f.pickupNotes,
+    dropoffNotes: f.dropoffNotes,
+    deliverableAction: f.deliverableAction || null,
+    verification: {
+      signature: f.signature, signerName: f.signerName, picture: f.picture, pin: f.pin,
+      barcodes: f.barcodes.split(",").map(b=>b.trim()).filter(Boolean).map(value=>({ value })),
+      minAge: f.minAge === "" ? null : Number(f.minAge),
+    },
+    tip: cents(f.tip),
+    manifestTotalValue: cents(f.manifestTotalValue),
+  };
+  if (schedule) SCHEDULE_KEYS.forEach(k=>{ body[k] = f[k] ? new Date(f[k]).toISOString() : null; });
+  return body;
+}
+
+function optionsForm(o) {
+  o = o || {};
+  const v = o.verification || {};
+  return {
+    ...EMPTY_OPTIONS,
+    pickupNotes: o.pickupNotes || "", dropoffNotes: o.dropoffNotes || "", deliverableAction: o.deliverableAction || "",
+    signature: !!v.signature, signerName: !!v.signerName, picture: !!v.picture, pin: !!v.pin,
+    barcodes: (v.barcodes || []).map(b=>b.value).join(", "), minAge: v.minAge ? String(v.minAge) : "",
+    tip: o.tip ? String(o.tip / 100) : "", manifestTotalValue: o.manifestTotalValue != null ? String(o.manifestTotalValue / 100) : "",
+  };
+}
+
+function DeliveryOptionsFields({value, onChange, schedule, ageRestricted}) {
+  const set = (k) => (v) => onChange({ ...value, [k]: v });
+  return (
+    <div className="space-y-3 mt-3">
+      {schedule ? (
+        <div className="grid grid-cols-2 gap-3">
+          <Input label="Pickup ready (optional)" type="datetime-local" value={value.pickupReadyAt} onChange={set("pickupReadyAt")} />
+          <Input label="Pickup deadline" type="datetime-local" value={value.pickupDeadlineAt} onChange={set("pickupDeadlineAt")} />
+          <Input label="Dropoff ready" type="datetime-local" value={value.dropoffReadyAt} onChange={set("dropoffReadyAt")} />
+          <Input label="Dropoff deadline" type="datetime-local" value={value.dropoffDeadlineAt} onChange={set("dropoffDeadlineAt")} />
+        </div>
+      ) : null}
+      <div className="grid grid-cols-2 gap-3">
+        <Input label="Pickup notes" value={value.pickupNotes} onChange={set("pickupNotes")} placeholder="Loading bay 3" />
+        <Input label="Dropoff notes" value={value.dropoffNotes} onChange={set("dropoffNotes")} placeholder="Ring twice" />
+        <Select label="At the door" value={value.deliverableAction} onChange={set("deliverableAction")} options={[
+          { value:"", label:"Uber default" }, { value:"meet_at_door", label:"Meet at door" }, { value:"leave_at_door", label:"Leave at door" },
+        ]} />
+        <Input label={"ID check: minimum age" + (ageRestricted ? " (required)" : "")} type="number" value={value.minAge} onChange={set("minAge")} placeholder="e.g. 21" />
+        <Input label="Tip" type="number" value={value.tip} onChange={set("tip")} />
+        <Input label="Declared order value" type="number" value={value.manifestTotalValue} onChange={set("manifestTotalValue")} />
+      </div>
+      <div className="flex flex-wrap gap-4">
+        <Checkbox label="Signature" checked={value.signature} onChange={set("signature")} />
+        <Checkbox label="Signer name" checked={value.signerName} onChange={set("signerName")} />
+        <Checkbox label="Photo" checked={value.picture} onChange={set("picture")} />
+        <Checkbox label="PIN" checked={value.pin} onChange={set("pin")} />
+      </div>
+      <Input label="Barcodes to scan at dropoff (comma separated)" value={value.barcodes} onChange={set("barcodes")} />
     </div>
   );
 }
@@ -846,7 +5756,8 @@ function ItemsPage({toast}) {
 function QuotesPage({toast}) {
   const [users, setUsers] = useState([]);
   const [items, setItems] = useState([]);
-  const [quotes, setQuotes] = useState([]);
+  const list = usePagedList("/api/quotes", toast, { status:"" });
+  const { rows: quotes, setRows: setQuotes, params, set } = list;
   const [loading, setLoading] = useState(false);
 
   const customers = useMemo(()=>users.filter(u=>u.user_type==="CUSTOMER"), [users]);
@@ -856,25 +5767,31 @@ function QuotesPage({toast}) {
     customerId: "",
     warehouseId: "",
     lines: [{ itemId:"", qty:1 }],
+    options: EMPTY_OPTIONS,
   });
+  const ageRestricted = form.lines.some(l=>items.find(it=>it._id === l.itemId)?.handling?.ageRestricted);
 
-  async function bootstrap() {
+  // customers, warehouses and items for the create form; the quotes table loads itself
+  async function loadOptions() {
     setLoading(true);
     try {
-      const [u, it, q] = await Promise.all([
-        api.get("/api/users"),
-        api.get("/api/items"),
-        api.get("/api/quotes"),
-      ]);
+      const [u, it] = await Promise.all([api.all("/api/users"), api.all("/api/items")]);
       setUsers(u);
       setItems(it);
-      setQuotes(q);
-      if (!form.customerId && customers.length) {}
     } catch(e){ toast("❌ " + e.message); }
     finally { setLoading(false); }
   }
+  function bootstrap() { loadOptions(); list.load(); }
 
-  useEffect(()=>{ bootstrap(); }, []);
+  useEffect(()=>{ loadOptions(); }, []);
+
+  useStream(ev=>{
+    if (ev.type === "resync") return bootstrap();
+    if (!ev.type.startsWith("quote")) return;
+    const next = applyQuoteEvent(quotes, ev);
+    if (next) setQuotes(next);
+    else list.load();
+  });
 
   function addLine() {
     setForm(p=>({...p, lines:[...p.lines, { itemId:"", qty:1 }]}));
@@ -888,39 +5805,63 @@ function QuotesPage({toast}) {
       if (!form.customerId || !form.warehouseId) throw new Error("Select customer and warehouse");
       const lines = form.lines.filter(l=>l.itemId && Number(l.qty) > 0);
       if (!lines.length) throw new Error("Add at least one item");
+      const auto = form.warehouseId.startsWith("auto:");
       const payload = {
         customerId: form.customerId,
-        warehouseId: form.warehouseId,
+        warehouseId: auto ? undefined : form.warehouseId,
+        selection: auto ? { strategy: form.warehouseId.slice(5) } : undefined,
         items: lines.map(l=>({ itemId: l.itemId, qty: Number(l.qty) })),
+        options: optionsBody(form.options, true),
       };
-      await api.post("/api/quotes", payload);
-      toast("✅ Quote created");
-      setForm({ customerId:"", warehouseId:"", lines:[{ itemId:"", qty:1 }] });
-      setQuotes(await api.get("/api/quotes"));
+      const created = await api.post("/api/quotes", payload);
+      toast("✅ Quote created" + (auto ? " (" + created.warehouseSelection?.reason + ")" : ""));
+      setForm({ customerId:"", warehouseId:"", lines:[{ itemId:"", qty:1 }], options: EMPTY_OPTIONS });
+      await list.load();
     } catch(e){ toast("❌ " + e.message); }
   }
 
   async function requestUberQuote(id) {
     try {
       const updated = await api.post("/api/quotes/" + id + "/request-uber-quote", {});
-      toast("✅ Uber quote received (fee: " + (updated.fee ?? "-") + ")");
-      setQuotes(await api.get("/api/quotes"));
+      const diff = updated.previousFee != null ? " (was " + formatFee(updated.previousFee, updated.currency) + ")" : "";
+      toast("✅ Uber quote received (fee: " + formatFee(updated.fee, updated.currency) + diff + ")");
+      await list.load();
     } catch(e){ toast("❌ " + e.message); }
   }
 
   async function removeQuote(id) {
-    if (!confirm("Delete this quote?")) return;
     try {
-      await api.del("/api/quotes/" + id);
-      toast("✅ Quote deleted");
-      setQuotes(await api.get("/api/quotes"));
+      if (!(await confirmArchive("/api/quotes/" + id, "quote"))) return;
+      toast("✅ Quote archived");
+      await list.load();
+    } catch(e){ toast("❌ " + e.message); }
+  }
+
+  async function restoreQuote(id) {
+    try {
+      await api.post("/api/quotes/" + id + "/restore");
+      toast("✅ Quote restored");
+      await list.load();
     } catch(e){ toast("❌ " + e.message); }
   }
 
   return (
     <div className="space-y-4">
       <Card title="Quotes" subtitle="Create quote → Request Uber Quote"
-        right={<Btn variant="outline" onClick={bootstrap} disabled={loading}>{loading?"Loading...":"Refresh"}</Btn>}
+        right={
+          <div className="flex gap-2 items-end">
+            <SearchBox value={params.q} onChange={set("q")} placeholder="Customer, warehouse or quote id" />
+            <Select label="Status" value={params.status} onChange={set("status")} options={[
+              { value:"", label:"Any" }, { value:"draft", label:"Draft" }, { value:"quoted", label:"Quoted" },
+              { value:"expired", label:"Expired" }, { value:"quoted,expired", label:"Quoted or expired" },
+            ]} />
+            <Select label="Sort" value={params.sort} onChange={set("sort")} options={[
+              { value:"", label:"Newest" }, { value:"createdAt", label:"Oldest" }, { value:"fee", label:"Fee ↑" }, { value:"-fee", label:"Fee ↓" }, { value:"expires", label:"Expiring first" },
+            ]} />
+            <ArchiveToggle value={params.archived} onChange={set("archived")} />
+            <Btn variant="outline" onClick={bootstrap} disabled={loading || list.loading}>{loading || list.loading ? "Loading..." : "Refresh"}</Btn>
+          </div>
+        }
       >
         <div className="grid md:grid-cols-2 gap-4">
           <div className="border rounded-xl p-3 bg-slate-50">
@@ -937,7 +5878,12 @@ function QuotesPage({toast}) {
                 label="Warehouse"
                 value={form.warehouseId}
                 onChange={(v)=>setForm(p=>({...p, warehouseId:v}))}
-                options={[{value:"", label:"Select..."}].concat(warehouses.map(u=>({value:u._id, label:u.name})))}
+                options={[
+                  {value:"", label:"Select..."},
+                  {value:"auto:nearest", label:"Auto: nearest in stock"},
+                  {value:"auto:cheapest", label:"Auto: cheapest Uber fee"},
+                  {value:"auto:fastest", label:"Auto: fastest dropoff"},
+                ].concat(warehouses.map(u=>({value:u._id, label:u.name})))}
               />
             </div>
 
@@ -954,7 +5900,7 @@ function QuotesPage({toast}) {
                           ...p,
                           lines: p.lines.map((x,i)=> i===idx ? {...x, itemId:v} : x)
                         }))}
-                        options={[{value:"", label:"Select..."}].concat(items.map(it=>({value:it._id, label: it.name + " (₹" + it.price + ")"})))}
+                        options={[{value:"", label:"Select..."}].concat(items.map(it=>({value:it._id, label: it.name + " (₹" + it.price + ", " + it.size + ")"})))}
                       />
                     </div>
                     <div className="col-span-3">
@@ -975,6 +5921,11 @@ function QuotesPage({toast}) {
                 ))}
               </div>
 
+              <details className="mt-3" open={ageRestricted || undefined}>
+                <summary className="text-sm font-semibold cursor-pointer">Delivery options (schedule, notes, proof of delivery)</summary>
+                <DeliveryOptionsFields value={form.options} onChange={(v)=>setForm(p=>({...p, options:v}))} schedule ageRestricted={ageRestricted} />
+              </details>
+
               <div className="mt-2 flex gap-2">
                 <Btn variant="outline" onClick={addLine}>+ Add item</Btn>
                 <Btn onClick={createQuote}>Create Quote</Btn>
@@ -987,38 +5938,67 @@ function QuotesPage({toast}) {
           </div>
 
           <div className="border rounded-xl overflow-hidden bg-white">
-            <div className="grid grid-cols-7 gap-2 p-3 border-b text-xs font-semibold text-slate-600">
-              <div>Status</div><div>Customer</div><div>Warehouse</div><div>Subtotal</div><div>Fee</div><div>QuoteId</div><div className="text-right">Actions</div>
+            <div className="grid grid-cols-8 gap-2 p-3 border-b text-xs font-semibold text-slate-600">
+              <div>Status</div><div>Customer</div><div>Warehouse</div><div>Subtotal</div><div>Fee</div><div>Expires</div><div>QuoteId</div><div className="text-right">Actions</div>
             </div>
             <div className="max-h-[520px] overflow-auto">
               {quotes.map(q=>(
-                <div key={q._id} className="grid grid-cols-7 gap-2 p-3 border-b text-sm items-center">
-                  <div className="text-xs font-semibold">{q.status}</div>
-                  <div className="truncate">{q.customerId?.name || "-"}</div>
-                  <div className="truncate">{q.warehouseId?.name || "-"}</div>
-                  <div>₹{Number(q.subtotal||0).toFixed(2)}</div>
-                  <div>{q.fee != null ? q.fee : "-"}</div>
+                <div key={q._id} className={"grid grid-cols-8 gap-2 p-3 border-b text-sm items-center " + (q.archivedAt ? "opacity-60" : "")}>
+                  <div className="text-xs font-semibold">{q.status}{q.archivedAt ? <div className="font-normal text-slate-500">archived</div> : null}</div>
+                  <div className="truncate">
+                    {q.customerId?.name || "-"}
+                    {q.customerId?.archivedAt ? <span className="ml-1 text-xs text-slate-500">(archived)</span> : null}
+                  </div>
+                  <div className="truncate">
+                    {q.warehouseId?.name || "-"}
+                    {q.warehouseId?.archivedAt ? <span className="ml-1 text-xs text-slate-500">(archived)</span> : null}
+                    {q.warehouseSelection?.mode === "auto" ? (
+                      <span
+                        className="ml-1 text-[10px] px-1 rounded bg-indigo-100 text-indigo-700"
+                        title={q.warehouseSelection.reason + "\\n" + (q.warehouseSelection.alternatives || []).map(a =>
+                          (a.chosen ? "✓ " : "  ") + a.name + " " + (a.distanceM / 1000).toFixed(1) + "km" +
+                          (a.inStock ? "" : " (out of stock)") + (a.fee != null ? " fee " + formatFee(a.fee, a.currency) : "") +
+                          (a.error ? " (" + a.error + ")" : "")
+                        ).join("\\n")}
+                      >auto</span>
+                    ) : null}
+                  </div>
+                  <div>
+                    ₹{Number(q.subtotal||0).toFixed(2)}
+                    {q.manifest?.size ? (
+                      <div className="text-xs text-slate-400">
+                        {q.manifest.size}{q.manifest.weight ? " · " + (q.manifest.weight / 1000).toFixed(1) + " kg" : ""}
+                        {HANDLING_BADGES.filter(b=>q.manifest[b.key]).map(b=><span key={b.key} title={b.label} className="ml-1">{b.icon}</span>)}
+                      </div>
+                    ) : null}
+                  </div>
+                  <div>
+                    {formatFee(q.fee, q.currency)}
+                    {q.previousFee != null ? <div className="text-xs text-slate-400">was {formatFee(q.previousFee, q.currency)}</div> : null}
+                  </div>
+                  <div>
+                    {q.status === "draft" ? "-" : q.status === "expired" ? <span className="text-xs font-semibold text-red-600">expired</span> : <Countdown until={q.expires} />}
+                    {q.options?.dropoffDeadlineAt ? <div className="text-xs text-slate-500" title="Scheduled dropoff deadline">🗓 {new Date(q.options.dropoffDeadlineAt).toLocaleString()}</div> : null}
+                  </div>
                   <div className="truncate text-xs text-slate-600">{q.quoteId || "-"}</div>
                   <div className="flex flex-wrap gap-2 justify-end">
+                    {!q.archivedAt ? (
                     <Btn
                         variant="outline"
                         onClick={() => requestUberQuote(q._id)}
-                        disabled={q.status === "quoted"}
+                        disabled={q.status === "quoted" && new Date(q.expires).getTime() > Date.now()}
                     >
-                        Request Uber Quote
+                        {q.status === "draft" ? "Request Uber Quote" : "Re-quote"}
                     </Btn>
+                    ) : null}
 
-                    <Btn
-                        variant="danger"
-                        onClick={() => removeQuote(q._id)}
-                    >
-                        Delete
-                    </Btn>
+                    <RowActions row={q} onArchive={() => removeQuote(q._id)} onRestore={() => restoreQuote(q._id)} />
                   </div>
                 </div>
               ))}
               {!quotes.length ? <div className="p-3 text-sm text-slate-500">No quotes found</div> : null}
             </div>
+            <Pager meta={list.meta} onPage={set("page")} />
           </div>
         </div>
       </Card>
@@ -1026,39 +6006,85 @@ function QuotesPage({toast}) {
   );
 }
 
+function newIdempotencyKey() {
+  return window.crypto?.randomUUID ? crypto.randomUUID() : "idem_" + Date.now() + "_" + Math.random().toString(36).slice(2);
+}
+
 function DeliveriesPage({toast}) {
   const [quotes, setQuotes] = useState([]);
-  const [rows, setRows] = useState([]);
-  const [loading, setLoading] = useState(false);
+  const list = usePagedList("/api/deliveries", toast, { status:"" });
+  const { rows, setRows, params, set } = list;
 
   const [selectedQuoteId, setSelectedQuoteId] = useState("");
   const [externalId, setExternalId] = useState("");
-
-  async function load() {
-    setLoading(true);
-    try {
-      const [q, d] = await Promise.all([
-        api.get("/api/quotes"),
-        api.get("/api/deliveries"),
-      ]);
-      setQuotes(q);
-      setRows(d);
-    } catch(e){ toast("❌ " + e.message); }
-    finally { setLoading(false); }
+  const [options, setOptions] = useState(EMPTY_OPTIONS);
+  const [creating, setCreating] = useState(false);
+  const [openId, setOpenId] = useState(null);
+  // one key per intended delivery: double-clicks and retries reuse it, so Uber is only called once
+  const [idempotencyKey, setIdempotencyKey] = useState(newIdempotencyKey);
+
+  // only quotes a delivery can be created from
+  function loadQuotes() {
+    return api.all("/api/quotes", { status:"quoted,expired" }).then(setQuotes).catch(e=>toast("❌ " + e.message));
   }
-  useEffect(()=>{ load(); }, []);
+  useEffect(()=>{ loadQuotes(); }, []);
+
+  function load() { loadQuotes(); list.load(); }
+
+  useStream(ev=>{
+    if (ev.type === "resync") return load();
+    if (ev.type.startsWith("quote")) {
+      const next = applyQuoteEvent(quotes, ev);
+      if (next) setQuotes(next);
+      else loadQuotes();
+    } else if (ev.type === "delivery.updated") {
+      // a delivery we haven't listed yet (created elsewhere): reload so it comes with its quote populated.
+      // Only the first page can gain rows under the default newest-first sort.
+      if (!rows.some(d=>d._id === ev.delivery._id)) { if (params.page === 1) list.load(); }
+      else setRows(list=>list.map(d=>d._id === ev.delivery._id ? mergeDoc(d, ev.delivery) : d));
+    } else if (ev.type === "delivery.courier" && ev.courier) {
+      setRows(list=>list.map(d=>d._id === ev.deliveryDbId ? { ...d, courier: ev.courier } : d));
+    } else if (ev.type === "delivery.deleted") {
+      setRows(list=>list.filter(d=>d._id !== ev.deliveryDbId));
+      setOpenId(id=>id === ev.deliveryDbId ? null : id);
+    }
+  });
 
-  const quotedQuotes = useMemo(()=>quotes.filter(q=>q.status==="quoted" && q.quoteId), [quotes]);
+  // expired ones stay selectable: creating from them walks through the re-quote confirmation
+  const quotedQuotes = useMemo(()=>quotes.filter(q=>(q.status==="quoted" || q.status==="expired") && q.quoteId), [quotes]);
 
   async function createFromQuote() {
+    if (creating) return;
+    setCreating(true);
     try {
       if (!selectedQuoteId) throw new Error("Select a quoted quote");
-      const doc = await api.post("/api/deliveries/from-quote/" + selectedQuoteId, { external_id: externalId || undefined });
-      toast("✅ Delivery created: " + doc.deliveryId);
+      const send = (extra) => api.post(
+        "/api/deliveries/from-quote/" + selectedQuoteId,
+        { external_id: externalId || undefined, options: optionsBody(options, false), ...extra },
+        { "Idempotency-Key": idempotencyKey }
+      );
+      let res;
+      try {
+        res = await send({});
+      } catch(e) {
+        if (e.code !== "quote_expired") throw e;
+        if (!confirm("The Uber quote has expired. Request a new quote?")) return;
+        const old = quotes.find(q=>q._id===selectedQuoteId);
+        const fresh = await api.post("/api/quotes/" + selectedQuoteId + "/request-uber-quote", {});
+        const diff = Number(fresh.fee) - Number(old?.fee || 0);
+        const msg = "New fee: " + formatFee(fresh.fee, fresh.currency) +
+          " (was " + formatFee(old?.fee, fresh.currency) + ", " + (diff >= 0 ? "+" : "-") + formatFee(Math.abs(diff)) + "). Create the delivery?";
+        if (!confirm(msg)) { load(); return; }
+        res = await send({ requote: true, max_fee: fresh.fee });
+      }
+      toast((res.replayed ? "ℹ️ Delivery already exists: " : "✅ Delivery created: ") + (res.delivery.deliveryId || res.delivery._id));
       setExternalId("");
       setSelectedQuoteId("");
+      setOptions(EMPTY_OPTIONS);
+      setIdempotencyKey(newIdempotencyKey());
       load();
     } catch(e){ toast("❌ " + e.message); }
+    finally { setCreating(false); }
   }
 
   async function refresh(id) {
@@ -1079,18 +6105,43 @@ function DeliveriesPage({toast}) {
   }
 
   async function remove(id) {
-    if (!confirm("Delete this delivery record (DB only)?")) return;
     try {
-      await api.del("/api/deliveries/" + id);
-      toast("✅ Deleted");
+      if (!(await confirmArchive("/api/deliveries/" + id, "delivery record"))) return;
+      toast("✅ Archived");
+      setOpenId(null);
+      load();
+    } catch(e){ toast("❌ " + e.message); }
+  }
+
+  async function restore(id) {
+    try {
+      await api.post("/api/deliveries/" + id + "/restore");
+      toast("✅ Restored");
       load();
     } catch(e){ toast("❌ " + e.message); }
   }
 
   return (
     <div className="space-y-4">
+      {openId ? (
+        <DeliveryDrawer id={openId} version={rows} toast={toast} onClose={()=>setOpenId(null)}
+          onRefresh={refresh} onCancel={cancel} onRemove={remove} onRestore={restore} />
+      ) : null}
       <Card title="Deliveries" subtitle="Create delivery from a quoted quote"
-        right={<Btn variant="outline" onClick={load} disabled={loading}>{loading?"Loading...":"Refresh"}</Btn>}
+        right={
+          <div className="flex gap-2 items-end">
+            <SearchBox value={params.q} onChange={set("q")} placeholder="Delivery/external id, customer, warehouse" />
+            <Select label="Status" value={params.status} onChange={set("status")} options={[
+              { value:"", label:"Any" }, { value:"creating,create_unknown,pending,pickup,pickup_complete,dropoff", label:"In progress" },
+              { value:"delivered", label:"Delivered" }, { value:"canceled", label:"Canceled" }, { value:"returned", label:"Returned" },
+            ]} />
+            <Select label="Sort" value={params.sort} onChange={set("sort")} options={[
+              { value:"", label:"Newest" }, { value:"createdAt", label:"Oldest" }, { value:"-statusAt", label:"Last status change" },
+            ]} />
+            <ArchiveToggle value={params.archived} onChange={set("archived")} />
+            <Btn variant="outline" onClick={load} disabled={list.loading}>{list.loading ? "Loading..." : "Refresh"}</Btn>
+          </div>
+        }
       >
         <div className="grid md:grid-cols-2 gap-4">
           <div className="border rounded-xl p-3 bg-slate-50">
@@ -1098,19 +6149,30 @@ function DeliveriesPage({toast}) {
             <Select
               label="Select Quoted Quote"
               value={selectedQuoteId}
-              onChange={setSelectedQuoteId}
+              onChange={(v)=>{
+                setSelectedQuoteId(v);
+                setOptions(optionsForm(quotes.find(q=>q._id === v)?.options));
+                setIdempotencyKey(newIdempotencyKey());
+              }}
               options={[{value:"", label:"Select..."}].concat(
                 quotedQuotes.map(q=>({
                   value: q._id,
-                  label: (q.customerId?.name || "Customer") + " → " + (q.warehouseId?.name || "Warehouse") + " | fee: " + (q.fee ?? "-")
+                  label: (q.customerId?.name || "Customer") + " → " + (q.warehouseId?.name || "Warehouse") + " | fee: " + formatFee(q.fee, q.currency) + (q.status === "expired" ? " (expired)" : "")
                 }))
               )}
             />
             <div className="mt-3">
               <Input label="External ID (optional)" value={externalId} onChange={setExternalId} placeholder="order_12345" />
             </div>
+            {selectedQuoteId ? (
+              <details className="mt-3">
+                <summary className="text-sm font-semibold cursor-pointer">Delivery options (from the quote; time windows need a re-quote)</summary>
+                <DeliveryOptionsFields value={options} onChange={setOptions}
+                  ageRestricted={quotes.find(q=>q._id === selectedQuoteId)?.manifest?.ageRestricted} />
+              </details>
+            ) : null}
             <div className="mt-3">
-              <Btn onClick={createFromQuote}>Create Delivery</Btn>
+              <Btn onClick={createFromQuote} disabled={creating}>{creating ? "Creating..." : "Create Delivery"}</Btn>
             </div>
             <div className="text-xs text-slate-500 mt-2">
               Delivery will be created using Uber quote_id stored in Quote.
@@ -1123,21 +6185,15 @@ function DeliveriesPage({toast}) {
             </div>
             <div className="max-h-[520px] overflow-auto">
               {rows.map(d=>(
-                <div key={d._id} className="grid grid-cols-6 gap-2 p-3 border-b text-sm items-center">
-                  <div className="text-xs font-semibold">{d.status || "-"}</div>
+                <div key={d._id} onClick={()=>setOpenId(d._id)}
+                  className={"grid grid-cols-6 gap-2 p-3 border-b text-sm items-center cursor-pointer hover:bg-slate-50 " + (openId === d._id ? "bg-slate-100" : "")}>
+                  <div className="text-xs font-semibold">{d.status || "-"}{d.archivedAt ? <div className="font-normal text-slate-500">archived</div> : null}</div>
                   <div className="truncate text-xs">{d.deliveryId || "-"}</div>
                   <div className="truncate">{d.externalId || "-"}</div>
                   <div className="truncate text-xs text-slate-600">{d.quoteId || "-"}</div>
                   <div className="truncate">
-                    {d.raw.tracking_url ? (
-                    <a
-                        href={d.raw.tracking_url}
-                        target="_blank"
-                        rel="noreferrer"
-                        className="text-blue-600 hover:underline text-xs"
-                    >
-                        Open
-                    </a>
+                    {d.courier?.at ? (
+                    <span className="text-blue-600 text-xs">📍 {d.courier.vehicleType || "courier"} · {new Date(d.courier.at).toLocaleTimeString()}</span>
                     ) : (
                     <span className="text-xs text-slate-400">-</span>
                     )}
@@ -1147,6 +6203,476 @@ function DeliveriesPage({toast}) {
               ))}
               {!rows.length ? <div className="p-3 text-sm text-slate-500">No deliveries found</div> : null}
             </div>
+            <Pager meta={list.meta} onPage={set("page")} />
+          </div>
+        </div>
+      </Card>
+    </div>
+  );
+}
+
+const STATUS_COLORS = {
+  pending: "bg-slate-400", pickup: "bg-blue-500", pickup_complete: "bg-indigo-500", dropoff: "bg-violet-500",
+  delivered: "bg-green-600", canceled: "bg-red-500", returned: "bg-amber-500",
+};
+
+function verificationLabels(v) {
+  if (!v) return [];
+  return [
+    v.signature && "signature", v.picture && "photo", v.pin && "PIN",
+    v.barcodes?.length && v.barcodes.length + " barcode(s)", v.minAge && "ID " + v.minAge + "+",
+  ].filter(Boolean);
+}
+
+// Side panel with delivery details and the status history timeline
+function DeliveryDrawer({id, version, toast, onClose, onRefresh, onCancel, onRemove, onRestore}) {
+  const [doc, setDoc] = useState(null);
+
+  useEffect(()=>{
+    api.get("/api/deliveries/" + id).then(setDoc).catch(e=>toast("❌ " + e.message));
+  }, [id, version]);
+
+  const history = useMemo(()=>(doc?.statusHistory || []).slice().sort((a,b)=>new Date(a.at) - new Date(b.at)), [doc]);
+  const quote = doc?.quoteDbId;
+
+  return (
+    <div className="fixed inset-0 z-40 flex justify-end" onClick={onClose}>
+      <div className="absolute inset-0 bg-slate-900/20" />
+      <div className="relative w-full max-w-md h-full bg-white shadow-xl overflow-auto" onClick={e=>e.stopPropagation()}>
+        <div className="p-4 border-b flex items-center justify-between">
+          <div>
+            <div className="text-lg font-semibold">Delivery</div>
+            <div className="text-xs text-slate-500 font-mono">{doc?.deliveryId || id}</div>
+          </div>
+          <Btn variant="ghost" onClick={onClose}>✕</Btn>
+        </div>
+
+        {!doc ? <div className="p-4 text-sm text-slate-500">Loading...</div> : (
+          <div className="p-4 space-y-4">
+            <div className="grid grid-cols-2 gap-2 text-sm">
+              <div className="text-slate-500">Status</div><div className="font-semibold">{doc.status}</div>
+              <div className="text-slate-500">External ID</div><div className="truncate">{doc.externalId || "-"}</div>
+              <div className="text-slate-500">Fee</div><div>{formatFee(doc.raw?.fee ?? quote?.fee, doc.raw?.currency || quote?.currency)}</div>
+              <div className="text-slate-500">Dropoff ETA</div><div>{doc.raw?.dropoff_eta ? new Date(doc.raw.dropoff_eta).toLocaleString() : "-"}</div>
+              <div className="text-slate-500">Stock</div><div>{doc.inventory?.state || "-"}</div>
+              {doc.options?.dropoffDeadlineAt ? <><div className="text-slate-500">Deliver by</div><div>{new Date(doc.options.dropoffDeadlineAt).toLocaleString()}</div></> : null}
+              {doc.options?.dropoffNotes ? <><div className="text-slate-500">Dropoff notes</div><div>{doc.options.dropoffNotes}</div></> : null}
+              {doc.options?.deliverableAction ? <><div className="text-slate-500">At the door</div><div>{doc.options.deliverableAction.replace(/_/g, " ")}</div></> : null}
+              {verificationLabels(doc.options?.verification).length ? (
+                <><div className="text-slate-500">Proof required</div><div>{verificationLabels(doc.options.verification).join(", ")}</div></>
+              ) : null}
+            </div>
+
+            <div className="flex flex-wrap gap-2">
+              <Btn variant="outline" onClick={()=>onRefresh(doc._id)} disabled={!doc.deliveryId && doc.status !== "create_unknown"}>Refresh from Uber</Btn>
+              <Btn variant="outline" onClick={()=>onCancel(doc._id)} disabled={!doc.deliveryId}>Cancel</Btn>
+              {doc.archivedAt
+                ? <Btn variant="outline" onClick={()=>onRestore(doc._id)}>Restore record</Btn>
+                : <Btn variant="danger" onClick={()=>onRemove(doc._id)}>Archive record</Btn>}
+            </div>
+
+            <CustomerLink doc={doc} toast={toast} />
+
+            {doc.deliveryId ? <TrackingPanel id={doc._id} toast={toast} /> : null}
+            {doc.deliveryId ? <ProofPanel id={doc._id} toast={toast} /> : null}
+            <NotificationsPanel id={doc._id} toast={toast} />
+
+            <div>
+              <div className="font-semibold mb-2">Timeline</div>
+              <ol className="relative border-l border-slate-200 ml-2">
+                {history.map((h, i)=>(
+                  <li key={i} className={"ml-4 mb-4 " + (h.ignored ? "opacity-50" : "")}>
+                    <span className={"absolute -left-1.5 mt-1.5 w-3 h-3 rounded-full " + (h.ignored ? "bg-slate-300" : (STATUS_COLORS[h.to] || "bg-slate-400"))} />
+                    <div className="text-sm">
+                      <span className="text-slate-500">{h.from || "—"}</span> → <span className="font-semibold">{h.to}</span>
+                      {h.ignored ? <span className="ml-2 text-xs text-red-600">ignored: {h.ignored}</span> : null}
+                    </div>
+                    <div className="text-xs text-slate-500">{new Date(h.at).toLocaleString()} · {h.source}</div>
+                  </li>
+                ))}
+                {!history.length ? <li className="ml-4 text-sm text-slate-500">No status changes recorded</li> : null}
+              </ol>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// Leaflet map: pickup/dropoff pins, breadcrumb polyline and the courier's latest position
+function CourierMap({track}) {
+  const el = useRef(null);
+  const map = useRef(null);
+
+  useEffect(()=>{
+    map.current = L.map(el.current, { zoomControl: true });
+    L.tileLayer("https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png", {
+      maxZoom: 19, attribution: "© OpenStreetMap contributors"
+    }).addTo(map.current);
+    map.current.layers = L.layerGroup().addTo(map.current);
+    return ()=>map.current.remove();
+  }, []);
+
+  useEffect(()=>{
+    const m = map.current;
+    m.layers.clearLayers();
+    const pts = [];
+    const pin = (p, color, label) => {
+      if (!p) return;
+      L.circleMarker([p.lat, p.lng], { radius: 7, color, fillOpacity: 0.9 }).bindTooltip(label).addTo(m.layers);
+      pts.push([p.lat, p.lng]);
+    };
+    pin(track.pickup, "#2563eb", "Pickup");
+    pin(track.dropoff, "#16a34a", "Dropoff");
+    if (track.trail.length > 1) {
+      L.polyline(track.trail.map(p=>[p.lat, p.lng]), { color: "#7c3aed", weight: 3, dashArray: "4 6" }).addTo(m.layers);
+    }
+    if (track.latest) {
+      L.circleMarker([track.latest.lat, track.latest.lng], { radius: 9, color: "#0f172a", fillColor: "#f59e0b", fillOpacity: 1 })
+        .bindTooltip("Courier · " + new Date(track.latest.at).toLocaleTimeString()).addTo(m.layers);
+      pts.push([track.latest.lat, track.latest.lng]);
+    }
+    if (pts.length > 1) m.fitBounds(pts, { padding: [24, 24], maxZoom: 16 });
+    else if (pts.length) m.setView(pts[0], 15);
+    else m.setView([0, 0], 1);
+  }, [track]);
+
+  return <div ref={el} className="h-64 rounded-lg border" />;
+}
+
+// Reloads the track on every courier/status event for this delivery, with slow polling as a fallback
+function TrackingPanel({id, toast}) {
+  const [track, setTrack] = useState(null);
+  const [tick, setTick] = useState(0);
+
+  useStream(ev=>{
+    if (ev.deliveryDbId === id || ev.delivery?._id === id || ev.type === "resync") setTick(t=>t + 1);
+  });
+
+  useEffect(()=>{
+    let timer = null;
+    let stopped = false;
+    const poll = async () => {
+      try {
+        const t = await api.get("/api/deliveries/" + id + "/track");
+        if (stopped) return;
+        setTrack(t);
+        if (t.terminal) return;
+      } catch(e){ toast("❌ " + e.message); }
+      if (!stopped) timer = setTimeout(poll, 30000);
+    };
+    poll();
+    return ()=>{ stopped = true; clearTimeout(timer); };
+  }, [id, tick]);
+
+  if (!track) return <div className="text-sm text-slate-500">Loading tracking...</div>;
+
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center justify-between">
+        <div className="font-semibold">Tracking</div>
+        {!track.terminal ? <span className="text-xs text-green-700">● live</span> : null}
+      </div>
+      <CourierMap track={track} />
+      <div className="grid grid-cols-2 gap-2 text-sm">
+        <div className="text-slate-500">Courier</div>
+        <div>{track.courier ? (track.courier.name || "-") + (track.courier.vehicleType ? " · " + track.courier.vehicleType : "") : "Not assigned yet"}</div>
+        {track.courier?.phone ? (<><div className="text-slate-500">Phone</div><div>{track.courier.phone}</div></>) : null}
+        <div className="text-slate-500">Pickup ETA</div><div>{track.eta.pickup ? new Date(track.eta.pickup).toLocaleTimeString() : "-"}</div>
+        <div className="text-slate-500">Dropoff ETA</div><div>{track.eta.dropoff ? new Date(track.eta.dropoff).toLocaleTimeString() : "-"}</div>
+        <div className="text-slate-500">Last seen</div><div>{track.latest ? new Date(track.latest.at).toLocaleTimeString() : "-"}</div>
+      </div>
+    </div>
+  );
+}
+
+const NOTIFICATION_STATUS_COLORS = { sent:"text-green-700", pending:"text-amber-700", failed:"text-red-600", skipped:"text-slate-400" };
+const NOTIFICATION_SKIP_LABELS = { opted_out:"customer opted out", no_address:"no address on file", channel_disabled:"channel not configured" };
+
+function NotificationsPanel({id, toast}) {
+  const [rows, setRows] = useState(null);
+
+  function load() { api.get("/api/deliveries/" + id + "/notifications").then(setRows).catch(e=>toast("❌ " + e.message)); }
+  useEffect(load, [id]);
+  useStream(ev=>{
+    if ((ev.type === "notification.updated" && ev.notification?.deliveryDbId === id) || ev.type === "resync") load();
+  });
+
+  async function retry(n) {
+    try { await api.post("/api/notifications/" + n._id + "/retry", {}); toast("✅ Message retried"); load(); }
+    catch(e){ toast("❌ " + e.message); }
+  }
+
+  if (!rows) return null;
+
+  return (
+    <div className="space-y-2">
+      <div className="font-semibold">Customer messages</div>
+      {!rows.length ? <div className="text-sm text-slate-500">None sent yet</div> : null}
+      {rows.map(n=>(
+        <div key={n._id} className="border rounded p-2 text-sm space-y-1">
+          <div className="flex items-center justify-between gap-2">
+            <div><span className="font-semibold">{n.event.replace(/_/g, " ")}</span> · {n.channel === "sms" ? "SMS" : "Email"}{n.to ? " to " + n.to : ""}</div>
+            <div className={"text-xs font-semibold " + (NOTIFICATION_STATUS_COLORS[n.status] || "")}>{n.status}</div>
+          </div>
+          {n.subject ? <div className="text-xs font-medium">{n.subject}</div> : null}
+          <div className="text-xs text-slate-600 whitespace-pre-wrap">{n.body}</div>
+          <div className="flex items-center justify-between text-xs text-slate-500">
+            <div>
+              {n.sentAt ? new Date(n.sentAt).toLocaleString() : new Date(n.createdAt).toLocaleString()}
+              {n.adapter ? " · " + n.adapter : ""}
+              {n.attempts > 1 || n.status === "failed" ? " · " + n.attempts + " attempt(s)" : ""}
+              {n.skipReason ? " · " + (NOTIFICATION_SKIP_LABELS[n.skipReason] || n.skipReason) : ""}
+              {n.status === "pending" && n.nextAttemptAt && n.attempts ? " · next try " + new Date(n.nextAttemptAt).toLocaleTimeString() : ""}
+            </div>
+            {n.status === "failed" ? <Btn variant="ghost" onClick={()=>retry(n)}>Retry</Btn> : null}
+          </div>
+          {n.lastError && n.status !== "sent" ? <div className="text-xs text-red-600">{n.lastError}</div> : null}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// The branded /track/:token page the customer gets; "New link" invalidates the old one
+function CustomerLink({doc, toast}) {
+  const [url, setUrl] = useState(doc.trackingUrl);
+  useEffect(()=>{ setUrl(doc.trackingUrl); }, [doc._id, doc.trackingUrl]);
+
+  async function issue(rotate) {
+    if (rotate && !confirm("Replace the customer's tracking link? The current link stops working.")) return;
+    try { setUrl((await api.post("/api/deliveries/" + doc._id + "/tracking-link", { rotate })).trackingUrl); toast(rotate ? "✅ New tracking link" : "✅ Tracking link created"); }
+    catch(e){ toast("❌ " + e.message); }
+  }
+  async function copy() {
+    try { await navigator.clipboard.writeText(url); toast("✅ Link copied"); }
+    catch(e){ toast("❌ " + e.message); }
+  }
+
+  return (
+    <div className="space-y-1">
+      <div className="font-semibold">Customer tracking page</div>
+      {url ? (
+        <div className="flex items-center gap-2">
+          <a href={url} target="_blank" className="text-sm text-blue-700 underline truncate">{url}</a>
+          <Btn variant="ghost" onClick={copy}>Copy</Btn>
+          <Btn variant="ghost" onClick={()=>issue(true)}>New link</Btn>
+        </div>
+      ) : <Btn variant="outline" onClick={()=>issue(false)}>Create link</Btn>}
+    </div>
+  );
+}
+
+function ProofImage({image, alt}) {
+  if (!image) return null;
+  if (image.error) return <div className="text-xs text-red-600">{alt} not stored: {image.error}</div>;
+  return <a href={image.url} target="_blank"><img src={image.url} alt={alt} className="max-h-32 border rounded bg-slate-50" /></a>;
+}
+
+function ProofPanel({id, toast}) {
+  const [proof, setProof] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [tick, setTick] = useState(0);
+
+  useStream(ev=>{
+    if ((ev.type === "delivery.proof" && ev.deliveryDbId === id) || ev.type === "resync") setTick(t=>t + 1);
+  });
+
+  useEffect(()=>{
+    api.get("/api/deliveries/" + id + "/proof").then(setProof).catch(e=>toast("❌ " + e.message));
+  }, [id, tick]);
+
+  async function refetch() {
+    setBusy(true);
+    try { setProof(await api.post("/api/deliveries/" + id + "/proof/refresh", {})); toast("✅ Proof re-fetched"); }
+    catch(e){ toast("❌ " + e.message); }
+    finally { setBusy(false); }
+  }
+
+  if (!proof) return null;
+
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center justify-between">
+        <div className="font-semibold">Proof of delivery</div>
+        <Btn variant="ghost" onClick={refetch} disabled={busy}>{busy ? "Fetching..." : "Re-fetch from Uber"}</Btn>
+      </div>
+      {!proof.proofs.length ? <div className="text-sm text-slate-500">Nothing collected yet</div> : null}
+      {proof.proofs.map(p=>(
+        <div key={p.stage} className="border rounded p-2 space-y-2">
+          <div className="text-sm font-semibold capitalize">{p.stage} <span className="font-normal text-xs text-slate-500">{p.completedAt ? new Date(p.completedAt).toLocaleString() : ""}</span></div>
+          <div className="flex flex-wrap gap-2">
+            <ProofImage image={p.signature?.image} alt="Signature" />
+            <ProofImage image={p.picture?.image} alt="Photo" />
+          </div>
+          <div className="grid grid-cols-2 gap-2 text-sm">
+            {p.signature?.signerName ? <><div className="text-slate-500">Signed by</div><div>{p.signature.signerName}{p.signature.signerRelationship ? " (" + p.signature.signerRelationship + ")" : ""}</div></> : null}
+            {p.pinCode?.entered ? <><div className="text-slate-500">PIN entered</div><div className="font-mono">{p.pinCode.entered}</div></> : null}
+            {p.barcodes?.length ? <><div className="text-slate-500">Barcodes</div><div>{p.barcodes.map(b=>b.value + " " + (b.outcome || "?")).join(", ")}</div></> : null}
+            {p.identification ? <><div className="text-slate-500">ID check</div><div>{p.identification.minAgeVerified ? "✅ age verified" : "❌ not verified"}</div></> : null}
+            {p.completionLocation ? <><div className="text-slate-500">Completed at</div><div className="font-mono text-xs">{p.completionLocation.lat.toFixed(5)}, {p.completionLocation.lng.toFixed(5)}</div></> : null}
+            {p.courier?.name ? <><div className="text-slate-500">Courier</div><div>{p.courier.name}{p.courier.vehicleType ? " · " + p.courier.vehicleType : ""}</div></> : null}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+const LIVE_BADGES = {
+  live: { dot: "bg-green-500", label: "Live" },
+  connecting: { dot: "bg-amber-400", label: "Connecting" },
+  offline: { dot: "bg-red-500", label: "Offline · reconnecting" },
+};
+
+function LoginPage({onLogin}) {
+  const [form, setForm] = useState({ email:"", password:"" });
+  const [error, setError] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  async function submit(e) {
+    e.preventDefault();
+    setBusy(true);
+    setError("");
+    try {
+      await api.post("/api/auth/login", form);
+      onLogin(await api.get("/api/auth/me"));
+    } catch(e){ setError(e.message); }
+    finally { setBusy(false); }
+  }
+
+  return (
+    <div className="min-h-screen flex items-center justify-center p-4">
+      <form onSubmit={submit} className="w-full max-w-sm bg-white border rounded-xl shadow-sm p-6 space-y-4">
+        <div>
+          <div className="text-xl font-bold">Uber Direct Admin</div>
+          <div className="text-sm text-slate-500">Sign in to continue</div>
+        </div>
+        <Input label="Email" type="email" value={form.email} onChange={v=>setForm(p=>({...p, email:v}))} />
+        <Input label="Password" type="password" value={form.password} onChange={v=>setForm(p=>({...p, password:v}))} />
+        {error ? <div className="text-sm text-red-600">{error}</div> : null}
+        <button type="submit" disabled={busy}
+          className={"w-full px-3 py-2 rounded-lg text-sm font-medium bg-slate-900 text-white hover:bg-slate-800 " + (busy ? "opacity-60" : "")}>
+          {busy ? "Signing in..." : "Sign in"}
+        </button>
+      </form>
+    </div>
+  );
+}
+
+const ROLE_OPTIONS = ROLES.map(r=>({ value:r, label:r }));
+
+// Admin only: staff accounts and API keys for machine clients
+function AccessPage({toast, me}) {
+  const [accounts, setAccounts] = useState([]);
+  const [keys, setKeys] = useState([]);
+  const [account, setAccount] = useState({ email:"", name:"", role:"viewer", password:"" });
+  const [keyForm, setKeyForm] = useState({ name:"", role:"viewer" });
+  const [newKey, setNewKey] = useState(null);
+
+  async function load() {
+    try {
+      const [a, k] = await Promise.all([api.get("/api/auth/accounts"), api.get("/api/auth/api-keys")]);
+      setAccounts(a);
+      setKeys(k);
+    } catch(e){ toast("❌ " + e.message); }
+  }
+  useEffect(()=>{ load(); }, []);
+
+  async function createAccount() {
+    try {
+      await api.post("/api/auth/accounts", account);
+      toast("✅ Account created");
+      setAccount({ email:"", name:"", role:"viewer", password:"" });
+      load();
+    } catch(e){ toast("❌ " + e.message); }
+  }
+
+  async function updateAccount(id, patch) {
+    try {
+      await api.patch("/api/auth/accounts/" + id, patch);
+      load();
+    } catch(e){ toast("❌ " + e.message); }
+  }
+
+  async function createKey() {
+    try {
+      const k = await api.post("/api/auth/api-keys", keyForm);
+      setNewKey(k.key);
+      setKeyForm({ name:"", role:"viewer" });
+      load();
+    } catch(e){ toast("❌ " + e.message); }
+  }
+
+  async function revokeKey(id) {
+    if (!confirm("Revoke this API key? Clients using it stop working immediately.")) return;
+    try {
+      await api.del("/api/auth/api-keys/" + id);
+      toast("✅ Revoked");
+      load();
+    } catch(e){ toast("❌ " + e.message); }
+  }
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+      <Card title="Accounts" subtitle="viewer: read only · dispatcher: quotes and deliveries · admin: everything">
+        <div className="space-y-4">
+          <div className="grid grid-cols-2 gap-2">
+            <Input label="Email" value={account.email} onChange={v=>setAccount(p=>({...p, email:v}))} />
+            <Input label="Name" value={account.name} onChange={v=>setAccount(p=>({...p, name:v}))} />
+            <Input label="Password (min 10 chars)" type="password" value={account.password} onChange={v=>setAccount(p=>({...p, password:v}))} />
+            <Select label="Role" value={account.role} onChange={v=>setAccount(p=>({...p, role:v}))} options={ROLE_OPTIONS} />
+          </div>
+          <Btn onClick={createAccount}>Create account</Btn>
+
+          <div className="border rounded-lg overflow-hidden">
+            {accounts.map(a=>(
+              <div key={a._id} className={"grid grid-cols-4 gap-2 p-3 border-b text-sm items-center " + (a.disabled ? "opacity-50" : "")}>
+                <div className="col-span-2">
+                  <div className="font-medium">{a.name || a.email}</div>
+                  <div className="text-xs text-slate-500">{a.email}</div>
+                </div>
+                <Select value={a.role} onChange={v=>updateAccount(a._id, { role:v })} options={ROLE_OPTIONS} />
+                <div className="text-right">
+                  {a._id !== me.accountId ? (
+                    <Btn variant="outline" onClick={()=>updateAccount(a._id, { disabled: !a.disabled })}>{a.disabled ? "Enable" : "Disable"}</Btn>
+                  ) : <span className="text-xs text-slate-500">you</span>}
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      </Card>
+
+      <Card title="API keys" subtitle="Send as Authorization: Bearer udk_... or X-API-Key">
+        <div className="space-y-4">
+          <div className="grid grid-cols-2 gap-2">
+            <Input label="Name" value={keyForm.name} onChange={v=>setKeyForm(p=>({...p, name:v}))} placeholder="e.g. storefront" />
+            <Select label="Role" value={keyForm.role} onChange={v=>setKeyForm(p=>({...p, role:v}))} options={ROLE_OPTIONS} />
+          </div>
+          <Btn onClick={createKey}>Create key</Btn>
+          {newKey ? (
+            <div className="p-3 rounded-lg bg-amber-50 border border-amber-200 text-sm space-y-1">
+              <div className="font-medium">Copy this key now, it won't be shown again:</div>
+              <div className="font-mono text-xs break-all select-all">{newKey}</div>
+            </div>
+          ) : null}
+
+          <div className="border rounded-lg overflow-hidden">
+            {keys.map(k=>(
+              <div key={k._id} className={"grid grid-cols-4 gap-2 p-3 border-b text-sm items-center " + (k.revokedAt ? "opacity-50" : "")}>
+                <div className="col-span-2">
+                  <div className="font-medium">{k.name} <span className="text-xs text-slate-500">({k.role})</span></div>
+                  <div className="text-xs text-slate-500 font-mono">udk_{k.keyId}_…</div>
+                </div>
+                <div className="text-xs text-slate-500">{k.lastUsedAt ? "used " + new Date(k.lastUsedAt).toLocaleString() : "never used"}</div>
+                <div className="text-right">
+                  {k.revokedAt ? <span className="text-xs text-red-600">revoked</span> : <Btn variant="danger" onClick={()=>revokeKey(k._id)}>Revoke</Btn>}
+                </div>
+              </div>
+            ))}
+            {!keys.length ? <div className="p-3 text-sm text-slate-500">No API keys</div> : null}
           </div>
         </div>
       </Card>
@@ -1154,9 +6680,108 @@ function DeliveriesPage({toast}) {
   );
 }
 
+const AUDIT_ENTITIES = ["", "User", "Item", "Stock", "Quote", "Delivery", "Account", "ApiKey"];
+
+function auditValue(v) {
+  if (v === undefined) return "—";
+  const str = typeof v === "string" ? v : JSON.stringify(v);
+  return str.length > 80 ? str.slice(0, 80) + "…" : str;
+}
+
+// Admin only: who changed what, newest first
+function AuditPage({toast}) {
+  const [filters, setFilters] = useState({ action:"", entity:"", actor:"", from:"", to:"" });
+  const list = usePagedList("/api/audit", toast, { limit:50, action:"", entity:"", actor:"", from:"", to:"" });
+  const rows = list.rows;
+  const [open, setOpen] = useState(null);
+
+  function apply() {
+    const iso = v => v ? new Date(v).toISOString() : "";
+    list.setParams(p=>({ ...p, ...filters, from: iso(filters.from), to: iso(filters.to), page:1 }));
+  }
+
+  return (
+    <Card title="Audit log" subtitle="Every change made through the API, with the account or API key that made it"
+      right={<Btn variant="outline" onClick={list.load}>Refresh</Btn>}>
+      <div className="space-y-4">
+        <div className="grid grid-cols-2 md:grid-cols-6 gap-2 items-end">
+          <Input label="Action (prefix)" value={filters.action} placeholder="delivery." onChange={v=>setFilters(p=>({...p, action:v}))} />
+          <Select label="Entity" value={filters.entity} onChange={v=>setFilters(p=>({...p, entity:v}))}
+            options={AUDIT_ENTITIES.map(e=>({ value:e, label:e || "Any" }))} />
+          <Input label="Actor" value={filters.actor} placeholder="name or id" onChange={v=>setFilters(p=>({...p, actor:v}))} />
+          <Input label="From" type="datetime-local" value={filters.from} onChange={v=>setFilters(p=>({...p, from:v}))} />
+          <Input label="To" type="datetime-local" value={filters.to} onChange={v=>setFilters(p=>({...p, to:v}))} />
+          <Btn onClick={apply}>Apply</Btn>
+        </div>
+
+        <div className="border rounded-lg overflow-hidden">
+          <div className="grid grid-cols-6 gap-2 p-3 bg-slate-50 text-xs font-semibold text-slate-600">
+            <div>When</div><div>Actor</div><div>Action</div><div>Entity</div><div className="col-span-2">Changes</div>
+          </div>
+          {rows.map(r=>(
+            <div key={r._id} className="border-b">
+              <div onClick={()=>setOpen(open === r._id ? null : r._id)}
+                className="grid grid-cols-6 gap-2 p-3 text-sm items-start cursor-pointer hover:bg-slate-50">
+                <div className="text-xs text-slate-500">{new Date(r.at).toLocaleString()}</div>
+                <div className="text-xs">
+                  <div className="font-medium">{r.actor?.name || r.actor?.kind}</div>
+                  <div className="text-slate-500">{r.actor?.kind === "api_key" ? "API key" : r.actor?.role}</div>
+                </div>
+                <div className="text-xs font-mono">{r.action}</div>
+                <div className="text-xs">
+                  <div>{r.entity?.type || "-"}</div>
+                  <div className="text-slate-500 font-mono truncate">{r.entity?.id || ""}</div>
+                </div>
+                <div className="col-span-2 text-xs space-y-0.5">
+                  {(r.changes || []).slice(0, 4).map((c, i)=>(
+                    <div key={i} className="truncate"><span className="font-mono">{c.path}</span>: {auditValue(c.from)} → {auditValue(c.to)}</div>
+                  ))}
+                  {(r.changes || []).length > 4 ? <div className="text-slate-500">+{r.changes.length - 4} more</div> : null}
+                  {!r.changes?.length ? <span className="text-slate-400">{r.before && !r.after ? "deleted" : (r.after && !r.before ? "created" : "-")}</span> : null}
+                </div>
+              </div>
+              {open === r._id ? (
+                <div className="px-3 pb-3 grid grid-cols-2 gap-2 text-xs">
+                  <div className="col-span-2 text-slate-500">
+                    Request <span className="font-mono">{r.requestId}</span> · {r.method} {r.path} · IP {r.ip}
+                  </div>
+                  <pre className="bg-slate-50 border rounded p-2 overflow-auto max-h-64">{r.before ? JSON.stringify(r.before, null, 2) : "(none)"}</pre>
+                  <pre className="bg-slate-50 border rounded p-2 overflow-auto max-h-64">{r.after ? JSON.stringify(r.after, null, 2) : (r.meta ? JSON.stringify(r.meta, null, 2) : "(none)")}</pre>
+                </div>
+              ) : null}
+            </div>
+          ))}
+          {!rows.length ? <div className="p-3 text-sm text-slate-500">No entries</div> : null}
+          <Pager meta={list.meta} onPage={list.set("page")} />
+        </div>
+      </div>
+    </Card>
+  );
+}
+
+// Checks the session, then shows either the login screen or the admin
 function App() {
+  const [me, setMe] = useState(undefined); // undefined = still checking
+
+  useEffect(()=>{
+    auth.onUnauthorized = ()=>setMe(null);
+    api.get("/api/auth/me").then(setMe).catch(()=>setMe(null));
+  }, []);
+
+  if (me === undefined) return null;
+  if (!me) return <LoginPage onLogin={setMe} />;
+  return <AdminApp me={me} onLogout={()=>setMe(null)} />;
+}
+
+function AdminApp({me, onLogout}) {
   const [tab, setTab] = useState("users");
   const [toastMsg, setToastMsg] = useState("");
+  const live = LIVE_BADGES[useEventStream()];
+
+  async function logout() {
+    try { await api.post("/api/auth/logout"); } catch(e){}
+    onLogout();
+  }
 
   function toast(m) {
     setToastMsg(m);
@@ -1168,6 +6793,7 @@ function App() {
     { key:"items", label:"Items" },
     { key:"quotes", label:"Quotes" },
     { key:"deliveries", label:"Deliveries" },
+    ...(hasRole(me, "admin") ? [{ key:"audit", label:"Audit" }, { key:"access", label:"Access" }] : []),
   ];
 
   return (
@@ -1178,7 +6804,10 @@ function App() {
             <div className="text-xl font-bold">Uber Direct Admin</div>
             <div className="text-sm text-slate-500">Single file (Express + Mongo + React CDN)</div>
           </div>
-          <div className="flex gap-2">
+          <div className="flex gap-2 items-center">
+            <span className="flex items-center gap-1.5 text-xs text-slate-600 mr-2" title="Real-time updates from /api/stream">
+              <span className={"w-2 h-2 rounded-full " + live.dot} />{live.label}
+            </span>
             {tabs.map(t=>(
               <button
                 key={t.key}
@@ -1191,6 +6820,13 @@ function App() {
                 {t.label}
               </button>
             ))}
+            <div className="flex items-center gap-2 ml-2 pl-3 border-l text-sm">
+              <div className="text-right leading-tight">
+                <div className="font-medium">{me.name}</div>
+                <div className="text-xs text-slate-500">{me.role}</div>
+              </div>
+              <Btn variant="ghost" onClick={logout}>Log out</Btn>
+            </div>
           </div>
         </div>
       </div>
@@ -1200,6 +6836,8 @@ function App() {
         {tab==="items" ? <ItemsPage toast={toast} /> : null}
         {tab==="quotes" ? <QuotesPage toast={toast} /> : null}
         {tab==="deliveries" ? <DeliveriesPage toast={toast} /> : null}
+        {tab==="audit" ? <AuditPage toast={toast} /> : null}
+        {tab==="access" ? <AccessPage toast={toast} me={me} /> : null}
 
         <div className="text-xs text-slate-500">
           API base: <span className="font-mono">/api/*</span> | Webhook: <span className="font-mono">/webhook/uber</span>
@@ -1217,8 +6855,28 @@ ReactDOM.createRoot(document.getElementById("root")).render(<App />);
 </html>`);
 });
 
-// ====================== SERVER ======================
+// ====================== ERROR HANDLING ======================
 
-app.listen(PORT, () => {
-    console.log("✅ Server running:", "http://localhost:" + PORT);
+app.use("/api", (req, res) => {
+    res.status(404).json(errorEnvelope(new NotFoundError(`No route for ${req.method} ${req.originalUrl}`)));
 });
+
+app.use((err, req, res, next) => {
+    const e = normalizeError(err);
+    if (e.status >= 500) logger.error("Request failed", { method: req.method, path: req.originalUrl.split("?")[0], err });
+    if (e.retryAfter != null) res.set("Retry-After", String(e.retryAfter));
+    res.status(e.status).json(errorEnvelope(e));
+});
+
+// ====================== SERVER ======================
+// `node index.js` connects to MongoDB and listens; require()-ing the file (the tests in test/) only
+// builds the app, so the caller decides what backs the models and which port to listen on.
+
+if (require.main === module) {
+    connectMongo();
+    app.listen(PORT, () => {
+        logger.info("Server running", { url: "http://localhost:" + PORT });
+    });
+}
+
+module.exports = { app, sim, canTransition, applyDeliveryUpdate, reserveStock, settleInventory, findDeliveryByExternalId };
@@ -0,0 +1,95 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const { startApp } = require("./helpers");
+
+let app;
+let Delivery;
+before(async () => {
+    app = await startApp();
+    Delivery = mongoose.model("Delivery");
+});
+after(() => app.close());
+beforeEach(() => app.db.reset());
+
+const at = (minutes) => new Date(Date.UTC(2026, 0, 1, 12, minutes)).toISOString();
+
+function newDelivery(status, statusAt = at(0)) {
+    return Delivery.create({ quoteDbId: new mongoose.Types.ObjectId(), deliveryId: "del_1", status, statusAt });
+}
+
+test("canTransition follows Uber's delivery flow", () => {
+    assert.equal(app.canTransition("pending", "pickup"), true);
+    assert.equal(app.canTransition("pickup", "pending"), true); // courier reassigned
+    assert.equal(app.canTransition("pickup_complete", "returned"), true);
+    assert.equal(app.canTransition("pickup_complete", "pickup"), false);
+    assert.equal(app.canTransition("delivered", "canceled"), false);
+    assert.equal(app.canTransition("pending", "teleported"), false);
+});
+
+test("any Uber status may follow our pre-Uber placeholders", () => {
+    for (const from of ["creating", "create_unknown", undefined]) {
+        assert.equal(app.canTransition(from, "delivered"), true);
+        assert.equal(app.canTransition(from, "creating"), false);
+    }
+});
+
+test("applies a valid move and records it in the history", async () => {
+    const doc = await newDelivery("pending");
+    const { delivery, applied } = await app.applyDeliveryUpdate(doc, { status: "pickup", at: at(5), source: "webhook", eventId: "evt_1" });
+
+    assert.equal(applied, true);
+    assert.equal(delivery.status, "pickup");
+    assert.equal(delivery.statusAt.toISOString(), at(5));
+    assert.deepEqual(
+        delivery.statusHistory.map((h) => [h.from, h.to, h.source, h.eventId, h.ignored]),
+        [["pending", "pickup", "webhook", "evt_1", undefined]]
+    );
+});
+
+test("ignores events older than the current status", async () => {
+    const doc = await newDelivery("pickup", at(10));
+    const { delivery, applied, reason } = await app.applyDeliveryUpdate(doc, { status: "pending", at: at(5), source: "webhook" });
+
+    assert.equal(applied, false);
+    assert.equal(reason, "stale_event");
+    assert.equal(delivery.status, "pickup");
+    assert.equal(delivery.statusHistory[0].ignored, "stale_event");
+});
+
+test("refuses moves the flow doesn't allow, including out of a terminal status", async () => {
+    const doc = await newDelivery("delivered");
+    const { delivery, applied, reason } = await app.applyDeliveryUpdate(doc, { status: "canceled", at: at(5), source: "refresh" });
+
+    assert.equal(applied, false);
+    assert.equal(reason, "invalid_transition");
+    assert.equal(delivery.status, "delivered");
+    assert.equal((await Delivery.findById(doc._id)).status, "delivered");
+});
+
+test("the same status again only refreshes the snapshot", async () => {
+    const doc = await newDelivery("pickup");
+    const raw = { status: "pickup", courier: { name: "Sam" } };
+    const { delivery, applied, reason } = await app.applyDeliveryUpdate(doc, { status: "pickup", at: at(3), source: "reconcile", raw });
+
+    assert.equal(applied, false);
+    assert.equal(reason, "unchanged");
+    assert.deepEqual(delivery.raw, raw);
+    assert.equal(delivery.statusHistory.length, 0);
+});
+
+test("a writer holding a stale copy re-reads and decides again", async () => {
+    const doc = await newDelivery("pending");
+    const copyA = await Delivery.findById(doc._id);
+    const copyB = await Delivery.findById(doc._id);
+
+    await app.applyDeliveryUpdate(copyA, { status: "pickup", at: at(5), source: "webhook" });
+    // copyB still says "pending": its compare-and-set misses, so it re-reads "pickup" and moves on from there
+    const { delivery, applied } = await app.applyDeliveryUpdate(copyB, { status: "dropoff", at: at(20), source: "reconcile" });
+
+    assert.equal(applied, true);
+    assert.deepEqual(
+        delivery.statusHistory.map((h) => `${h.from}->${h.to}`),
+        ["pending->pickup", "pickup->dropoff"]
+    );
+});
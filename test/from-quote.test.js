@@ -0,0 +1,115 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp, apiKey, seedShop } = require("./helpers");
+
+let app;
+let dispatcher;
+let shop;
+before(async () => {
+    app = await startApp();
+});
+after(() => app.close());
+beforeEach(async () => {
+    app.db.reset();
+    app.sim.deliveries.clear();
+    dispatcher = apiKey(app.db, "dispatcher");
+    shop = await seedShop(10);
+});
+
+async function newQuote(qty = 2) {
+    const res = await app.request("POST", "/api/quotes", {
+        headers: dispatcher,
+        body: { customerId: shop.customer._id, warehouseId: shop.warehouse._id, items: [{ itemId: shop.item._id, qty }] },
+    });
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    const quoted = await app.request("POST", `/api/quotes/${res.body._id}/request-uber-quote`, { headers: dispatcher, body: {} });
+    assert.equal(quoted.body.status, "quoted", JSON.stringify(quoted.body));
+    return quoted.body;
+}
+
+const dispatch = (quote, { key, body = {} } = {}) =>
+    app.request("POST", `/api/deliveries/from-quote/${quote._id}`, { headers: { ...dispatcher, ...(key ? { "Idempotency-Key": key } : {}) }, body });
+
+const reserved = () => app.db.rows("Stock")[0].reserved;
+
+test("dispatches a quote once and holds its stock", async () => {
+    const quote = await newQuote(2);
+    const res = await dispatch(quote, { key: "order-1" });
+
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    assert.equal(res.body.delivery.status, "pending");
+    assert.equal(res.body.delivery.externalId, "order-1");
+    assert.match(res.body.delivery.deliveryId, /^del_/);
+    assert.equal(reserved(), 2);
+    assert.equal(app.sim.deliveries.size, 1);
+});
+
+test("a repeated Idempotency-Key returns the first delivery instead of dispatching again", async () => {
+    const quote = await newQuote();
+    const first = await dispatch(quote, { key: "order-2" });
+    const again = await dispatch(quote, { key: "order-2" });
+
+    assert.equal(again.status, 200);
+    assert.equal(again.body.replayed, true);
+    assert.equal(again.body.delivery._id, first.body.delivery._id);
+    assert.equal(app.db.rows("Delivery").length, 1);
+    assert.equal(app.sim.deliveries.size, 1);
+    assert.equal(reserved(), 2);
+});
+
+test("external_id in the body works as the key too", async () => {
+    const quote = await newQuote();
+    const first = await dispatch(quote, { body: { external_id: "order-3" } });
+    const again = await dispatch(quote, { body: { external_id: "order-3" } });
+
+    assert.equal(again.body.replayed, true);
+    assert.equal(again.body.delivery._id, first.body.delivery._id);
+});
+
+test("a repeat click without a key gets the quote's active delivery back", async () => {
+    const quote = await newQuote();
+    const first = await dispatch(quote);
+    const again = await dispatch(quote);
+
+    assert.equal(again.body.replayed, true);
+    assert.equal(again.body.delivery._id, first.body.delivery._id);
+    assert.equal(app.sim.deliveries.size, 1);
+});
+
+test("a different key can't book a second courier for the same quote", async () => {
+    const quote = await newQuote();
+    await dispatch(quote, { key: "order-4" });
+    const other = await dispatch(quote, { key: "order-5" });
+
+    assert.equal(other.status, 409);
+    assert.equal(other.body.error.code, "conflict");
+    assert.equal(app.sim.deliveries.size, 1);
+});
+
+test("a key already used for another quote is refused", async () => {
+    await dispatch(await newQuote(1), { key: "order-6" });
+    const res = await dispatch(await newQuote(1), { key: "order-6" });
+
+    assert.equal(res.status, 409);
+    assert.match(res.body.error.message, /another quote/);
+    assert.equal(app.sim.deliveries.size, 1);
+});
+
+test("concurrent double clicks dispatch exactly one delivery", async () => {
+    const quote = await newQuote();
+    const results = await Promise.all([dispatch(quote, { key: "order-7" }), dispatch(quote, { key: "order-7" }), dispatch(quote)]);
+
+    assert.ok(results.every((r) => r.status === 200 || r.status === 409), JSON.stringify(results.map((r) => r.body)));
+    assert.equal(app.db.rows("Delivery").length, 1);
+    assert.equal(app.sim.deliveries.size, 1);
+    assert.equal(reserved(), 2);
+});
+
+test("concurrent dispatches under different keys still book one courier", async () => {
+    const quote = await newQuote();
+    const results = await Promise.all([dispatch(quote, { key: "order-8" }), dispatch(quote, { key: "order-9" })]);
+
+    assert.deepEqual(results.map((r) => r.status).sort(), [200, 409]);
+    assert.equal(app.db.rows("Delivery").length, 1);
+    assert.equal(app.sim.deliveries.size, 1);
+});
@@ -0,0 +1,366 @@
+// Shared setup for the tests: the app runs against the Uber simulator, and every mongoose model
+// is answered from memory (see memoryDb) because the tests can't count on a MongoDB server.
+// Only the query and update operators index.js uses are understood; anything else throws, so a
+// test can't pass by accident on an operator the fake ignores.
+
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+
+// ---------------------------------------------------------------- matching
+
+const isPlain = (v) => v != null && typeof v === "object" && !Array.isArray(v) && Object.getPrototypeOf(v) === Object.prototype;
+
+function scalar(v) {
+    if (v instanceof mongoose.Types.ObjectId) return String(v);
+    if (v instanceof Date) return v.getTime();
+    return v ?? null;
+}
+
+function getPath(doc, path) {
+    return path.split(".").reduce((o, k) => (o == null ? undefined : o[k]), doc);
+}
+
+function setPath(doc, path, value) {
+    const keys = path.split(".");
+    const last = keys.pop();
+    let o = doc;
+    for (const k of keys) o = o[k] && typeof o[k] === "object" ? o[k] : (o[k] = {});
+    if (value === undefined) delete o[last];
+    else o[last] = value;
+}
+
+function equals(actual, expected) {
+    if (Array.isArray(actual) && !Array.isArray(expected)) return actual.some((v) => equals(v, expected));
+    return scalar(actual) === scalar(expected);
+}
+
+function compare(a, b) {
+    const x = scalar(a);
+    const y = scalar(b);
+    return x < y ? -1 : x > y ? 1 : 0;
+}
+
+const OPERATORS = {
+    $eq: (v, arg) => equals(v, arg),
+    $ne: (v, arg) => !equals(v, arg),
+    $gt: (v, arg) => v != null && compare(v, arg) > 0,
+    $gte: (v, arg) => v != null && compare(v, arg) >= 0,
+    $lt: (v, arg) => v != null && compare(v, arg) < 0,
+    $lte: (v, arg) => v != null && compare(v, arg) <= 0,
+    $in: (v, arg) => arg.some((a) => equals(v, a)),
+    $nin: (v, arg) => !arg.some((a) => equals(v, a)),
+    $exists: (v, arg) => (v !== undefined) === Boolean(arg),
+    $regex: (v, arg, cond) => v != null && new RegExp(arg, cond.$options || "").test(v),
+    $options: () => true,
+};
+
+function matchValue(value, cond) {
+    if (cond instanceof RegExp) return value != null && cond.test(value);
+    if (!isPlain(cond) || !Object.keys(cond).every((k) => k.startsWith("$"))) return equals(value, cond);
+    return Object.entries(cond).every(([op, arg]) => {
+        if (!OPERATORS[op]) throw new Error(`memoryDb: unsupported query operator ${op}`);
+        return OPERATORS[op](value, arg, cond);
+    });
+}
+
+function evalExpr(doc, e) {
+    if (typeof e === "string" && e.startsWith("$")) return getPath(doc, e.slice(1));
+    if (!isPlain(e)) return e;
+    const [[op, args]] = Object.entries(e);
+    const [a, b] = args.map((x) => evalExpr(doc, x));
+    switch (op) {
+        case "$add": return a + b;
+        case "$subtract": return a - b;
+        case "$gte": return compare(a, b) >= 0;
+        case "$lte": return compare(a, b) <= 0;
+        case "$gt": return compare(a, b) > 0;
+        case "$lt": return compare(a, b) < 0;
+        default: throw new Error(`memoryDb: unsupported $expr operator ${op}`);
+    }
+}
+
+function matches(doc, filter = {}) {
+    return Object.entries(filter).every(([key, cond]) => {
+        if (key === "$or") return cond.some((f) => matches(doc, f));
+        if (key === "$and") return cond.every((f) => matches(doc, f));
+        if (key === "$expr") return Boolean(evalExpr(doc, cond));
+        if (key.startsWith("$")) throw new Error(`memoryDb: unsupported query operator ${key}`);
+        return matchValue(getPath(doc, key), cond);
+    });
+}
+
+// ---------------------------------------------------------------- updates
+
+function applyUpdate(doc, update, inserting) {
+    for (const [key, arg] of Object.entries(update)) {
+        if (!key.startsWith("$")) {
+            setPath(doc, key, arg);
+            continue;
+        }
+        for (const [path, value] of Object.entries(arg)) {
+            switch (key) {
+                case "$set": setPath(doc, path, value); break;
+                case "$unset": setPath(doc, path, undefined); break;
+                case "$inc": setPath(doc, path, (getPath(doc, path) || 0) + value); break;
+                case "$push": setPath(doc, path, [...(getPath(doc, path) || []), ...(value?.$each || [value])]); break;
+                case "$setOnInsert": if (inserting) setPath(doc, path, value); break;
+                default: throw new Error(`memoryDb: unsupported update operator ${key}`);
+            }
+        }
+    }
+    return doc;
+}
+
+// equality parts of a filter, which an upsert copies into the new document
+function seedFromFilter(filter) {
+    const doc = {};
+    for (const [key, cond] of Object.entries(filter)) {
+        if (!key.startsWith("$") && !(isPlain(cond) && Object.keys(cond).some((k) => k.startsWith("$")))) setPath(doc, key, cond);
+    }
+    return doc;
+}
+
+function sortRows(rows, spec) {
+    if (!spec) return rows;
+    const fields =
+        typeof spec === "string"
+            ? spec.split(/\s+/).filter(Boolean).map((f) => (f.startsWith("-") ? [f.slice(1), -1] : [f, 1]))
+            : Object.entries(spec);
+    return [...rows].sort((a, b) => {
+        for (const [f, dir] of fields) {
+            const c = compare(getPath(a, f), getPath(b, f));
+            if (c) return c * (dir === -1 || dir === "desc" ? -1 : 1);
+        }
+        return 0;
+    });
+}
+
+// ---------------------------------------------------------------- models
+
+function duplicateKeyError(keyValue) {
+    return Object.assign(new Error(`E11000 duplicate key error: ${JSON.stringify(keyValue)}`), { code: 11000, keyValue });
+}
+
+function modelStore(Model) {
+    const rows = [];
+    const plain = (doc) => (doc instanceof mongoose.Document ? doc : new Model(doc)).toObject({ depopulate: true });
+    const out = (row, lean) => (lean ? plain(row) : Model.hydrate(plain(row)));
+    const stamps = Model.schema.options.timestamps;
+
+    function checkUnique(row) {
+        for (const [fields, options] of Model.schema.indexes()) {
+            if (!options.unique) continue;
+            const keys = Object.keys(fields);
+            const keyOf = (r) => keys.map((k) => scalar(getPath(r, k)));
+            const applies = (r) =>
+                !(options.sparse && keys.every((k) => getPath(r, k) == null)) &&
+                (!options.partialFilterExpression || matches(r, options.partialFilterExpression));
+            if (!applies(row)) continue;
+            const key = JSON.stringify(keyOf(row));
+            const clash = rows.find((r) => String(r._id) !== String(row._id) && applies(r) && JSON.stringify(keyOf(r)) === key);
+            if (clash) throw duplicateKeyError(Object.fromEntries(keys.map((k) => [k, getPath(row, k)])));
+        }
+    }
+
+    function write(row, inserting) {
+        const now = new Date();
+        if (stamps && inserting && !row.createdAt) row.createdAt = now;
+        if (stamps) row.updatedAt = now;
+        checkUnique(row);
+        const i = rows.findIndex((r) => String(r._id) === String(row._id));
+        if (i === -1) rows.push(row);
+        else rows[i] = row;
+        return row;
+    }
+
+    function query(run) {
+        const opts = {};
+        const q = {
+            sort: (s) => ((opts.sort = s), q),
+            skip: (n) => ((opts.skip = n), q),
+            limit: (n) => ((opts.limit = n), q),
+            lean: () => ((opts.lean = true), q),
+            select: () => q,
+            populate: () => q,
+            // answered on a later turn of the event loop, like a real round trip, so concurrent requests interleave
+            exec: () => new Promise((resolve) => setImmediate(resolve)).then(() => run(opts)),
+            then: (resolve, reject) => q.exec().then(resolve, reject),
+            catch: (reject) => q.exec().catch(reject),
+        };
+        return q;
+    }
+
+    const found = (filter, opts) => {
+        const hits = sortRows(rows.filter((r) => matches(r, filter)), opts.sort);
+        return hits.slice(opts.skip || 0, opts.limit ? (opts.skip || 0) + opts.limit : undefined);
+    };
+
+    async function insert(data) {
+        const doc = new Model(data);
+        await doc.validate();
+        return Model.hydrate(plain(write(plain(doc), true)));
+    }
+
+    function modify(filter, update, opts = {}) {
+        const [hit] = sortRows(rows.filter((r) => matches(r, filter)), opts.sort);
+        if (!hit && !opts.upsert) return { before: null, after: null };
+        const inserting = !hit;
+        const next = plain(applyUpdate(hit ? plain(hit) : seedFromFilter(filter), update, inserting));
+        return { before: hit || null, after: write(next, inserting), inserting };
+    }
+
+    const statics = {
+        find: (filter = {}) => query((opts) => found(filter, opts).map((r) => out(r, opts.lean))),
+        findOne: (filter = {}) => query((opts) => found(filter, { ...opts, limit: 1 }).map((r) => out(r, opts.lean))[0] || null),
+        findById: (id) => statics.findOne({ _id: id }),
+        exists: (filter = {}) => query(() => rows.filter((r) => matches(r, filter)).map((r) => ({ _id: r._id }))[0] || null),
+        countDocuments: (filter = {}) => query(() => rows.filter((r) => matches(r, filter)).length),
+        distinct: (field, filter = {}) =>
+            query(() => [...new Map(rows.filter((r) => matches(r, filter)).map((r) => [String(getPath(r, field)), getPath(r, field)])).values()]),
+        create: async (data) => (Array.isArray(data) ? Promise.all(data.map(insert)) : insert(data)),
+        findOneAndUpdate: (filter, update, opts = {}) =>
+            query(() => {
+                const { before, after } = modify(filter, update, opts);
+                const result = opts.new || opts.returnDocument === "after" ? after : before;
+                return result && out(result, opts.lean);
+            }),
+        findByIdAndUpdate: (id, update, opts) => statics.findOneAndUpdate({ _id: id }, update, opts),
+        updateOne: (filter, update, opts = {}) =>
+            query(() => {
+                const { after, inserting } = modify(filter, update, opts);
+                return { matchedCount: after && !inserting ? 1 : 0, modifiedCount: after && !inserting ? 1 : 0, upsertedCount: inserting ? 1 : 0 };
+            }),
+        updateMany: (filter, update) =>
+            query(() => {
+                const hits = rows.filter((r) => matches(r, filter));
+                for (const r of hits) write(plain(applyUpdate(plain(r), update, false)), false);
+                return { matchedCount: hits.length, modifiedCount: hits.length };
+            }),
+        deleteOne: (filter = {}) =>
+            query(() => {
+                const i = rows.findIndex((r) => matches(r, filter));
+                if (i > -1) rows.splice(i, 1);
+                return { deletedCount: i > -1 ? 1 : 0 };
+            }),
+        deleteMany: (filter = {}) =>
+            query(() => {
+                const keep = rows.filter((r) => !matches(r, filter));
+                const deletedCount = rows.length - keep.length;
+                rows.splice(0, rows.length, ...keep);
+                return { deletedCount };
+            }),
+        aggregate: () => {
+            throw new Error(`memoryDb: ${Model.modelName}.aggregate is not supported`);
+        },
+    };
+
+    return { rows, statics, write, plain };
+}
+
+/**
+ * Point every registered model at memory. Returns { rows(name), reset() }: rows(name) is the live
+ * array of plain documents behind a model, for seeding and assertions.
+ */
+function memoryDb() {
+    const stores = new Map();
+    for (const Model of Object.values(mongoose.models)) {
+        const store = modelStore(Model);
+        stores.set(Model.modelName, store);
+        Object.assign(Model, store.statics);
+    }
+
+    mongoose.Model.prototype.save = async function save() {
+        const store = stores.get(this.constructor.modelName);
+        await this.validate();
+        const inserting = this.isNew;
+        const row = store.write(store.plain(this), inserting);
+        if (row.createdAt) this.set("createdAt", row.createdAt);
+        this.isNew = false;
+        return this;
+    };
+    mongoose.Model.prototype.deleteOne = async function deleteOne() {
+        return stores.get(this.constructor.modelName).statics.deleteOne({ _id: this._id });
+    };
+
+    return {
+        rows: (name) => stores.get(name).rows,
+        reset: () => stores.forEach((s) => s.rows.splice(0)),
+    };
+}
+
+// ---------------------------------------------------------------- app
+
+/**
+ * Load index.js against the simulator and an in-memory database, listening on its own port
+ * (the simulator calls back into the app for tokens and webhooks). Call close() in after().
+ */
+async function startApp(env = {}) {
+    Object.assign(process.env, {
+        PORT: String(20000 + (process.pid % 20000)),
+        UBER_BACKEND: "simulator",
+        UBER_SIM_STEP_MS: String(60 * 60 * 1000), // simulated couriers stay put unless a test moves them
+        UBER_MAX_RETRIES: "0",
+        RECONCILE_ENABLED: "false",
+        LOG_LEVEL: "error",
+        ...env,
+    });
+    const mod = require("../index.js");
+    const db = memoryDb();
+    const server = await new Promise((resolve) => {
+        const s = mod.app.listen(Number(process.env.PORT), () => resolve(s));
+    });
+    const base = `http://127.0.0.1:${process.env.PORT}`;
+
+    async function request(method, path, { body, headers = {} } = {}) {
+        const res = await fetch(base + path, {
+            method,
+            headers: { ...(body !== undefined ? { "Content-Type": "application/json" } : {}), ...headers },
+            body: body === undefined ? undefined : typeof body === "string" ? body : JSON.stringify(body),
+        });
+        const text = await res.text();
+        let json = null;
+        try {
+            json = JSON.parse(text);
+        } catch {
+            // not JSON (sendStatus bodies)
+        }
+        return { status: res.status, body: json, headers: res.headers };
+    }
+
+    return { ...mod, db, base, request, close: () => new Promise((resolve) => server.close(resolve)) };
+}
+
+const sha256 = (v) => crypto.createHash("sha256").update(v).digest("hex");
+
+// API key of the given role, stored the way POST /api/auth/api-keys stores one
+function apiKey(db, role, extra = {}) {
+    const keyId = crypto.randomBytes(6).toString("hex");
+    const key = `udk_${keyId}_${crypto.randomBytes(18).toString("base64url")}`;
+    db.rows("ApiKey").push({
+        _id: new mongoose.Types.ObjectId(),
+        keyId,
+        keyHash: sha256(key),
+        name: `${role} key`,
+        role,
+        revokedAt: null,
+        ...extra,
+    });
+    return { "X-Api-Key": key };
+}
+
+const ADDRESSES = {
+    warehouse: { line1: "1 Market St", city: "San Francisco", state: "CA", postal_code: "94105", country: "US", latitude: 37.7936, longitude: -122.3958 },
+    customer: { line1: "500 Castro St", city: "San Francisco", state: "CA", postal_code: "94114", country: "US", latitude: 37.7609, longitude: -122.435 },
+};
+
+// A warehouse with `onHand` units of one item, and a customer to deliver it to
+async function seedShop(onHand = 10) {
+    const User = mongoose.model("User");
+    const warehouse = await User.create({ user_type: "WAREHOUSE", name: "Main warehouse", phone_number: "+14155550100", address: ADDRESSES.warehouse });
+    const customer = await User.create({ user_type: "CUSTOMER", name: "Ada", phone_number: "+14155550123", address: ADDRESSES.customer });
+    const item = await mongoose.model("Item").create({ name: "Widget", price: 12.5, weight: 500, dimensions: { length: 20, height: 10, depth: 10 } });
+    await mongoose.model("Stock").create({ warehouseId: warehouse._id, itemId: item._id, onHand, reserved: 0 });
+    return { warehouse, customer, item };
+}
+
+module.exports = { startApp, memoryDb, apiKey, seedShop, sha256 };
@@ -0,0 +1,112 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const { startApp, seedShop } = require("./helpers");
+
+let app;
+let Delivery;
+let Item;
+let Stock;
+before(async () => {
+    app = await startApp();
+    Delivery = mongoose.model("Delivery");
+    Item = mongoose.model("Item");
+    Stock = mongoose.model("Stock");
+});
+after(() => app.close());
+beforeEach(() => app.db.reset());
+
+const stockOf = async (warehouse, item) => {
+    const s = await Stock.findOne({ warehouseId: warehouse._id, itemId: item._id });
+    return { onHand: s.onHand, reserved: s.reserved };
+};
+const ledger = () => app.db.rows("InventoryLedger").map((l) => `${l.type} ${l.qty}`);
+
+function quoteFor(warehouse, lines) {
+    return { _id: new mongoose.Types.ObjectId(), warehouseId: warehouse._id, items: lines.map(([item, qty]) => ({ itemId: item._id, name: item.name, qty })) };
+}
+
+// a delivery that went through reserveStock, saved the way from-quote saves it
+async function reservedDelivery(quote) {
+    const doc = new Delivery({ quoteDbId: quote._id, status: "pending" });
+    await app.reserveStock(doc, quote);
+    await doc.save();
+    return doc;
+}
+
+test("reserves every line of the quote and logs each move", async () => {
+    const { warehouse, item } = await seedShop(10);
+    const doc = await reservedDelivery(quoteFor(warehouse, [[item, 3]]));
+
+    assert.deepEqual(await stockOf(warehouse, item), { onHand: 10, reserved: 3 });
+    assert.equal(doc.inventory.state, "reserved");
+    assert.deepEqual(ledger(), ["reserve 3"]);
+});
+
+test("reserves all lines or none", async () => {
+    const { warehouse, item } = await seedShop(10);
+    const scarce = await Item.create({ name: "Gadget", price: 5 });
+    await Stock.create({ warehouseId: warehouse._id, itemId: scarce._id, onHand: 1 });
+
+    const doc = new Delivery({ quoteDbId: new mongoose.Types.ObjectId(), status: "creating" });
+    await assert.rejects(app.reserveStock(doc, quoteFor(warehouse, [[item, 2], [scarce, 2]])), (e) => {
+        assert.equal(e.code, "insufficient_stock");
+        assert.ok(e.fields["items.1.qty"]);
+        return true;
+    });
+
+    assert.deepEqual(await stockOf(warehouse, item), { onHand: 10, reserved: 0 });
+    assert.deepEqual(await stockOf(warehouse, scarce), { onHand: 1, reserved: 0 });
+    assert.deepEqual(ledger(), ["reserve 2", "release 2"]);
+    assert.equal(doc.inventory?.state, undefined);
+});
+
+test("never promises more than is available", async () => {
+    const { warehouse, item } = await seedShop(3);
+    await reservedDelivery(quoteFor(warehouse, [[item, 2]]));
+    await assert.rejects(reservedDelivery(quoteFor(warehouse, [[item, 2]])), { code: "insufficient_stock" });
+    assert.deepEqual(await stockOf(warehouse, item), { onHand: 3, reserved: 2 });
+});
+
+test("a delivered order takes its units off the shelf exactly once", async () => {
+    const { warehouse, item } = await seedShop(10);
+    const doc = await reservedDelivery(quoteFor(warehouse, [[item, 4]]));
+
+    doc.status = "delivered";
+    await app.settleInventory(doc);
+    await app.settleInventory(doc); // e.g. webhook and reconcile both seeing "delivered"
+
+    assert.deepEqual(await stockOf(warehouse, item), { onHand: 6, reserved: 0 });
+    assert.equal((await Delivery.findById(doc._id)).inventory.state, "committed");
+    assert.deepEqual(ledger(), ["reserve 4", "commit 4"]);
+});
+
+test("a canceled order puts its units back", async () => {
+    const { warehouse, item } = await seedShop(10);
+    const doc = await reservedDelivery(quoteFor(warehouse, [[item, 4]]));
+
+    doc.status = "canceled";
+    await app.settleInventory(doc);
+
+    assert.deepEqual(await stockOf(warehouse, item), { onHand: 10, reserved: 0 });
+    assert.equal((await Delivery.findById(doc._id)).inventory.state, "released");
+});
+
+test("an in-flight status leaves the reservation alone", async () => {
+    const { warehouse, item } = await seedShop(10);
+    const doc = await reservedDelivery(quoteFor(warehouse, [[item, 4]]));
+
+    doc.status = "pickup_complete";
+    await app.settleInventory(doc);
+
+    assert.deepEqual(await stockOf(warehouse, item), { onHand: 10, reserved: 4 });
+});
+
+test("status updates settle the stock on their own", async () => {
+    const { warehouse, item } = await seedShop(10);
+    const doc = await reservedDelivery(quoteFor(warehouse, [[item, 1]]));
+
+    await app.applyDeliveryUpdate(doc, { status: "delivered", at: new Date().toISOString(), source: "webhook" });
+
+    assert.deepEqual(await stockOf(warehouse, item), { onHand: 9, reserved: 0 });
+});
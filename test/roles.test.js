@@ -0,0 +1,73 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp, apiKey } = require("./helpers");
+
+let app;
+before(async () => {
+    app = await startApp();
+});
+after(() => app.close());
+beforeEach(() => app.db.reset());
+
+const NEW_ITEM = { name: "Widget", price: 5 };
+
+test("the API needs credentials", async () => {
+    const res = await app.request("GET", "/api/items");
+    assert.equal(res.status, 401);
+    assert.equal(res.body.error.code, "unauthorized");
+});
+
+test("unknown and revoked keys are refused", async () => {
+    const forged = await app.request("GET", "/api/items", { headers: { "X-Api-Key": "udk_abcdef_notarealkey" } });
+    assert.equal(forged.status, 401);
+
+    const revoked = await app.request("GET", "/api/items", { headers: apiKey(app.db, "admin", { revokedAt: new Date() }) });
+    assert.equal(revoked.status, 401);
+    assert.equal(revoked.body.error.message, "Invalid or revoked API key");
+});
+
+test("a mangled session cookie counts as no session", async () => {
+    const res = await app.request("GET", "/api/auth/me", { headers: { Cookie: "sid=%E0%A4%A" } });
+    assert.equal(res.status, 401);
+});
+
+test("a key also works as a Bearer token", async () => {
+    const key = apiKey(app.db, "viewer")["X-Api-Key"];
+    const res = await app.request("GET", "/api/auth/me", { headers: { Authorization: `Bearer ${key}` } });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.kind, "api_key");
+    assert.equal(res.body.role, "viewer");
+});
+
+test("viewers can read but not dispatch", async () => {
+    const viewer = apiKey(app.db, "viewer");
+    assert.equal((await app.request("GET", "/api/items", { headers: viewer })).status, 200);
+
+    const res = await app.request("POST", "/api/quotes", { headers: viewer, body: {} });
+    assert.equal(res.status, 403);
+    assert.equal(res.body.error.code, "forbidden");
+    assert.equal(res.body.error.message, "Requires the dispatcher role");
+});
+
+test("dispatchers can't touch the catalog or the audit log", async () => {
+    const dispatcher = apiKey(app.db, "dispatcher");
+
+    const create = await app.request("POST", "/api/items", { headers: dispatcher, body: NEW_ITEM });
+    assert.equal(create.status, 403);
+    assert.equal(app.db.rows("Item").length, 0);
+
+    assert.equal((await app.request("GET", "/api/audit", { headers: dispatcher })).status, 403);
+    assert.equal((await app.request("POST", "/api/auth/api-keys", { headers: dispatcher, body: { name: "mine", role: "admin" } })).status, 403);
+});
+
+test("admins get through", async () => {
+    const admin = apiKey(app.db, "admin");
+
+    const create = await app.request("POST", "/api/items", { headers: admin, body: NEW_ITEM });
+    assert.equal(create.status, 200, JSON.stringify(create.body));
+
+    const log = await app.request("GET", "/api/audit", { headers: admin });
+    assert.equal(log.status, 200);
+    assert.deepEqual(Object.keys(log.body).sort(), ["items", "limit", "page", "pages", "total"]);
+});
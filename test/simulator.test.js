@@ -0,0 +1,75 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp } = require("./helpers");
+
+let app;
+let token;
+before(async () => {
+    app = await startApp();
+});
+after(() => app.close());
+
+const ADDRESS = (street) => JSON.stringify({ street_address: [street], city: "San Francisco", state: "CA", zip_code: "94105", country: "US" });
+const DELIVERY = {
+    pickup_address: ADDRESS("1 Market St"),
+    pickup_name: "Warehouse",
+    pickup_phone_number: "+14155550100",
+    dropoff_address: ADDRESS("500 Castro St"),
+    dropoff_name: "Ada",
+    dropoff_phone_number: "+14155550123",
+    manifest_items: [{ name: "Widget", quantity: 1, size: "small" }],
+};
+
+async function sim(method, path, body) {
+    return app.request(method, "/sim/uber/v1/customers/sim_customer" + path, { body, headers: { Authorization: `Bearer ${token}` } });
+}
+
+test("issues tokens only to the configured client", async () => {
+    const form = (secret) =>
+        fetch(app.base + "/sim/uber/oauth/v2/token", {
+            method: "POST",
+            headers: { "Content-Type": "application/x-www-form-urlencoded" },
+            body: new URLSearchParams({ grant_type: "client_credentials", client_id: "sim_client", client_secret: secret }),
+        });
+
+    assert.equal((await form("wrong")).status, 401);
+    const res = await form("sim_secret");
+    assert.equal(res.status, 200);
+    token = (await res.json()).access_token;
+    assert.match(token, /^simtok_/);
+});
+
+test("quotes, creates, reads and cancels a delivery", async () => {
+    const quote = await sim("POST", "/delivery_quotes", { pickup_address: DELIVERY.pickup_address, dropoff_address: DELIVERY.dropoff_address });
+    assert.equal(quote.status, 200);
+    assert.ok(quote.body.fee > 0);
+
+    const created = await sim("POST", "/deliveries", { ...DELIVERY, quote_id: quote.body.id, external_id: "SIM_TEST_1" });
+    assert.equal(created.status, 200);
+    assert.equal(created.body.status, "pending");
+    assert.equal(created.body.fee, quote.body.fee);
+
+    const read = await sim("GET", "/deliveries/" + created.body.id);
+    assert.equal(read.body.external_id, "SIM_TEST_1");
+
+    const canceled = await sim("POST", "/deliveries/" + created.body.id + "/cancel");
+    assert.equal(canceled.body.status, "canceled");
+    assert.equal((await sim("POST", "/deliveries/" + created.body.id + "/cancel")).body.code, "noncancelable_delivery");
+});
+
+test("rejects unknown quotes and missing fields like Uber does", async () => {
+    const unknown = await sim("POST", "/deliveries", { ...DELIVERY, quote_id: "dqt_nope" });
+    assert.equal(unknown.status, 400);
+    assert.equal(unknown.body.code, "invalid_params");
+
+    const missing = await sim("POST", "/deliveries", { ...DELIVERY, dropoff_phone_number: undefined });
+    assert.equal(missing.status, 400);
+    assert.ok("dropoff_phone_number" in missing.body.metadata);
+});
+
+test("uberRequest reaches the simulator, including body-less GETs", async () => {
+    const created = await sim("POST", "/deliveries", { ...DELIVERY, external_id: "SIM_TEST_2" });
+    const found = await app.findDeliveryByExternalId("SIM_TEST_2");
+    assert.equal(found.id, created.body.id);
+    assert.equal(await app.findDeliveryByExternalId("SIM_TEST_MISSING"), null);
+});
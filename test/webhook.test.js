@@ -0,0 +1,105 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const { startApp } = require("./helpers");
+
+const SIGNING_KEY = "test_signing_key";
+
+let app;
+let Delivery;
+before(async () => {
+    app = await startApp({ UBER_WEBHOOK_SIGNING_KEY: SIGNING_KEY });
+    Delivery = mongoose.model("Delivery");
+});
+after(() => app.close());
+beforeEach(() => app.db.reset());
+
+const sign = (raw, key = SIGNING_KEY) => crypto.createHmac("sha256", key).update(raw).digest("hex");
+
+function statusEvent(overrides = {}) {
+    return {
+        id: "evt_" + crypto.randomBytes(6).toString("hex"),
+        kind: "event.delivery_status",
+        delivery_id: "del_hook",
+        status: "pickup",
+        created: new Date().toISOString(),
+        ...overrides,
+    };
+}
+
+function post(event, { signature, raw = JSON.stringify(event) } = {}) {
+    const headers = signature === null ? {} : { "X-Uber-Signature": signature || sign(raw) };
+    return app.request("POST", "/webhook/uber", { body: raw, headers });
+}
+
+const newDelivery = () =>
+    Delivery.create({ quoteDbId: new mongoose.Types.ObjectId(), deliveryId: "del_hook", status: "pending", statusAt: new Date(Date.now() - 60000) });
+const logs = () => app.db.rows("WebhookLog").map((l) => [l.accepted, l.rejectReason]);
+
+test("rejects an unsigned event", async () => {
+    await newDelivery();
+    const res = await post(statusEvent(), { signature: null });
+
+    assert.equal(res.status, 401);
+    assert.equal(res.body.reason, "missing_signature");
+    assert.deepEqual(logs(), [[false, "missing_signature"]]);
+});
+
+test("rejects a signature made with another key, or over another body", async () => {
+    const doc = await newDelivery();
+    const event = statusEvent();
+
+    const wrongKey = await post(event, { signature: sign(JSON.stringify(event), "not_the_key") });
+    assert.equal(wrongKey.status, 401);
+    assert.equal(wrongKey.body.reason, "bad_signature");
+
+    const tampered = await post(event, { signature: sign(JSON.stringify(event)), raw: JSON.stringify({ ...event, status: "delivered" }) });
+    assert.equal(tampered.status, 401);
+
+    assert.equal((await Delivery.findById(doc._id)).status, "pending");
+});
+
+test("rejects events outside the replay window", async () => {
+    await newDelivery();
+    const stale = await post(statusEvent({ created: new Date(Date.now() - 20 * 60000).toISOString() }));
+    assert.equal(stale.status, 400);
+    assert.equal(stale.body.reason, "stale_event");
+
+    const future = await post(statusEvent({ created: new Date(Date.now() + 20 * 60000).toISOString() }));
+    assert.equal(future.body.reason, "future_event");
+});
+
+test("applies a signed event", async () => {
+    const doc = await newDelivery();
+    const res = await post(statusEvent());
+
+    assert.equal(res.status, 200);
+    assert.equal((await Delivery.findById(doc._id)).status, "pickup");
+    assert.deepEqual(logs(), [[true, undefined]]);
+});
+
+test("a redelivered event is acknowledged but not applied twice", async () => {
+    const doc = await newDelivery();
+    const event = statusEvent();
+    await post(event);
+    const again = await post(event);
+
+    assert.equal(again.status, 200);
+    assert.equal(again.body.duplicate, true);
+    assert.equal((await Delivery.findById(doc._id)).statusHistory.length, 1);
+    assert.deepEqual(logs(), [[true, undefined], [false, "duplicate_event"]]);
+});
+
+test("an event for a delivery we don't know yet is processed when Uber retries it", async () => {
+    const event = statusEvent();
+    const early = await post(event);
+    assert.equal(early.status, 404);
+    assert.equal(early.body.reason, "unknown_delivery");
+
+    const doc = await newDelivery();
+    const retry = await post(event);
+    assert.equal(retry.status, 200);
+    assert.equal(retry.body, null); // processed, not reported as a duplicate
+    assert.equal((await Delivery.findById(doc._id)).status, "pickup");
+});